@@ -10,23 +10,348 @@ const CaptionIt = require('../src/index.js');
 const program = new Command();
 const captionIt = new CaptionIt();
 
+// Style config files picked up from the working directory when --config is not given
+const DEFAULT_CONFIG_FILES = ['caption-it.config.js', 'caption-it.config.json'];
+
 program
   .name('caption-it')
   .description('Add captions to videos with different styles')
-  .version('1.0.0');
+  .version('1.0.0')
+  .option('--config <path>', `styles config file (default: ${DEFAULT_CONFIG_FILES.join(' or ')} if present)`)
+  .option('--verbose', 'print FFmpeg commands and render details')
+  .option('--json', 'print progress and results as one JSON object per line instead of a spinner')
+  .option('--timeout <seconds>', 'stop a render that takes longer than this');
 
-program
+// Ctrl+C cancels the running renders: FFmpeg is stopped and partial outputs are
+// removed. A second Ctrl+C exits straight away.
+const abortController = new AbortController();
+process.on('SIGINT', () => {
+  if (abortController.signal.aborted) {
+    process.exit(130);
+  }
+  abortController.abort();
+});
+
+// Cancellation options passed to every render
+function cancelOptions() {
+  const { timeout } = program.opts();
+  return {
+    signal: abortController.signal,
+    timeout: timeout !== undefined ? parseFloat(timeout) : undefined
+  };
+}
+
+// Report a failed command and exit, with 130 (the usual code for SIGINT) after Ctrl+C.
+// With --verbose, FFmpeg's own output is printed too.
+function failTask(task, error) {
+  if (abortController.signal.aborted) {
+    task.fail('Cancelled', { cancelled: true });
+    process.exit(130);
+  }
+  task.fail(`Error: ${error.message}`, { type: error.name, index: error.index, field: error.field });
+  if (error.stderr && program.opts().verbose && !task.json) {
+    console.error(chalk.gray(error.stderr.trim()));
+  }
+  process.exit(1);
+}
+
+// Collect the values of a repeatable option
+function collect(value, values = []) {
+  return [...values, value];
+}
+
+// Width of the progress bar drawn next to the spinner, in characters
+const PROGRESS_BAR_WIDTH = 24;
+
+// Draw a progress bar such as "[██████░░░░░░] 50%"
+function progressBar(percent) {
+  const filled = Math.round((percent / 100) * PROGRESS_BAR_WIDTH);
+  return `[${'█'.repeat(filled)}${'░'.repeat(PROGRESS_BAR_WIDTH - filled)}] ${Math.floor(percent)}%`;
+}
+
+// Report a command while it runs. By default a spinner shows a progress bar and
+// any warnings; --verbose also prints the debug log. With --json, CaptionIt's
+// events are printed as JSON lines instead, ending with a "done" or "failed" line.
+// Pass progress: false to update the spinner yourself.
+function startTask(text, { progress = true } = {}) {
+  const { verbose, json } = program.opts();
+  const print = (event, data) => console.log(JSON.stringify({ event, ...data }));
+  const spinner = json ? null : ora(text).start();
+
+  const listeners = {
+    log: ({ level, message }) => {
+      if (json) {
+        print('log', { level, message });
+      } else if (verbose || level === 'warn') {
+        // Print above the spinner, which ora only redraws on a terminal
+        if (spinner.isEnabled) {
+          spinner.clear();
+        }
+        console.error(level === 'warn' ? chalk.yellow(message) : chalk.gray(message));
+        if (spinner.isEnabled) {
+          spinner.render();
+        }
+      }
+    },
+    start: data => json && print('start', data),
+    progress: data => {
+      if (json) {
+        print('progress', data);
+      } else if (progress && data.percent !== undefined) {
+        const fps = data.fps ? ` ${Math.round(data.fps)}fps` : '';
+        spinner.text = `${text} ${progressBar(data.percent)} ${data.timemark || ''}${fps}`;
+      }
+    },
+    end: data => json && print('end', data)
+  };
+  for (const [event, listener] of Object.entries(listeners)) {
+    captionIt.on(event, listener);
+  }
+
+  const stop = () => {
+    for (const [event, listener] of Object.entries(listeners)) {
+      captionIt.off(event, listener);
+    }
+  };
+
+  return {
+    json,
+    set text(value) {
+      if (spinner) {
+        spinner.text = value;
+      }
+    },
+    // Print an extra event in --json mode
+    event(event, data) {
+      if (json) {
+        print(event, data);
+      }
+    },
+    succeed(message, data) {
+      stop();
+      if (json) {
+        print('done', data);
+      } else {
+        spinner.succeed(chalk.green(message));
+      }
+    },
+    fail(message, data) {
+      stop();
+      if (json) {
+        print('failed', { error: message, ...data });
+      } else {
+        spinner.fail(chalk.red(message));
+      }
+    }
+  };
+}
+
+// Build the position option from --position and --offset ("x,y" in pixels or percentages)
+function parsePosition(options) {
+  if (!options.offset) {
+    return options.position;
+  }
+
+  const [offsetX, offsetY = '0'] = options.offset.split(',').map(value => value.trim());
+  const toOffset = value => (value.endsWith('%') ? value : parseFloat(value));
+
+  return {
+    anchor: options.position || 'center',
+    offsetX: toOffset(offsetX),
+    offsetY: toOffset(offsetY)
+  };
+}
+
+// Build the animation option from --animation and --animation-duration
+function parseAnimation(options) {
+  if (!options.animationDuration) {
+    return options.animation;
+  }
+
+  const effect = options.animation || 'fade';
+  return {
+    in: effect,
+    out: effect === 'typewriter' ? 'none' : effect,
+    duration: parseFloat(options.animationDuration)
+  };
+}
+
+// Add the encoding options to a command
+function encodingOptions(command) {
+  return command
+    .option('--profile <name>', `encoding profile (${Object.keys(CaptionIt.ENCODING_PROFILES).join(', ')})`)
+    .option('--video-codec <codec>', 'video codec, e.g. libx264, libx265 or libvpx-vp9')
+    .option('--crf <value>', 'constant quality (lower is better, e.g. 18-28 for libx264)')
+    .option('--video-bitrate <rate>', 'target video bitrate instead of --crf, e.g. 4M')
+    .option('--preset <preset>', 'encoder speed preset, e.g. veryfast, medium or slow')
+    .option('--pix-fmt <format>', 'pixel format, e.g. yuv420p')
+    .option('--max-width <pixels>', 'scale the output down to at most this width')
+    .option('--max-height <pixels>', 'scale the output down to at most this height')
+    .option('--max-fps <fps>', 'drop frames down to at most this frame rate')
+    .option('--audio <codec>', 'audio handling: copy, none or a codec such as aac')
+    .option('--audio-bitrate <rate>', 'audio bitrate when re-encoding, e.g. 128k')
+    .option('--fps <fps>', '.gif/.webp output: frame rate (default: 15)')
+    .option('--loop <count>', '.gif/.webp output: 0 loops forever, -1 plays once, N repeats N times (default: 0)')
+    .option('--max-file-size <size>', '.gif/.webp output: shrink until the file fits, e.g. 8MB')
+    .option('--colors <count>', '.gif output: palette size, up to 256 (default: 256)')
+    .option('--dither <mode>', '.gif output: palette dithering, e.g. sierra2_4a, bayer or none (default: sierra2_4a)')
+    .option('--quality <0-100>', '.webp output: quality (default: 75)');
+}
+
+// Add the options for timing a plain-text script to a command
+function scriptOptions(command) {
+  return command
+    .option('--max-lines <count>', 'script: most lines in one caption (default: 2)')
+    .option('--wpm <words>', 'script: show captions at this reading speed instead of spreading them over the video')
+    .option('--min-duration <seconds>', 'script: shortest time a caption is shown (default: 1)')
+    .option('--max-duration <seconds>', 'script: longest time a caption is shown (default: 6)')
+    .option('--script-start <seconds>', 'script: when the first caption starts (default: 0)')
+    .option('--script-end <seconds>', 'script: when the last caption ends (default: the end of the video)');
+}
+
+// Add the options for aligning captions to the speech in the audio to a command
+function alignOptions(command) {
+  return command
+    .option('--align', 'snap captions to the speech detected in the audio (a script is spread over the speech only)')
+    .option('--silence-threshold <dB>', 'align: audio quieter than this counts as silence (default: -30)')
+    .option('--min-silence <seconds>', 'align: shortest pause that splits speech (default: 0.3)')
+    .option('--snap-tolerance <seconds>', 'align: furthest a caption start or end is moved (default: 0.5)');
+}
+
+// Build the align option from --align and its settings (undefined without --align)
+function parseAlign(options) {
+  if (!options.align) {
+    return undefined;
+  }
+
+  const number = value => (value !== undefined ? parseFloat(value) : undefined);
+  const align = {
+    noise: number(options.silenceThreshold),
+    minSilence: number(options.minSilence),
+    tolerance: number(options.snapTolerance)
+  };
+  for (const key of Object.keys(align)) {
+    if (align[key] === undefined) {
+      delete align[key];
+    }
+  }
+  return Object.keys(align).length ? align : true;
+}
+
+// Time the --script file over the input, with the options of scriptOptions
+// (and alignOptions, to time it over the speech only)
+function timeScript(options) {
+  const number = value => (value !== undefined ? parseFloat(value) : undefined);
+  return captionIt.timeScript({
+    inputPath: options.input,
+    script: fs.readFileSync(options.script, 'utf8'),
+    style: options.style,
+    fontfile: options.font,
+    fallbackFonts: options.fallbackFont,
+    position: parsePosition(options),
+    safeArea: options.safeArea,
+    duration: number(options.duration),
+    maxLines: options.maxLines !== undefined ? parseInt(options.maxLines, 10) : undefined,
+    wordsPerMinute: number(options.wpm),
+    minDuration: number(options.minDuration),
+    maxDuration: number(options.maxDuration),
+    startTime: number(options.scriptStart),
+    endTime: number(options.scriptEnd),
+    align: parseAlign(options),
+    ...cancelOptions()
+  });
+}
+
+// Read the --speakers JSON file (undefined without it)
+function readSpeakers(options) {
+  return options.speakers ? JSON.parse(fs.readFileSync(options.speakers, 'utf8')) : undefined;
+}
+
+// Read the --tracks JSON file (undefined without it). A track's captions can be
+// a captions file path, relative to the tracks file.
+function readTracks(options) {
+  if (!options.tracks) {
+    return undefined;
+  }
+
+  const baseDir = path.dirname(path.resolve(options.tracks));
+  const tracks = JSON.parse(fs.readFileSync(options.tracks, 'utf8'));
+  if (!Array.isArray(tracks)) {
+    return tracks;
+  }
+  return tracks.map(track => (track && typeof track.captions === 'string'
+    ? { ...track, captions: CaptionIt.readCaptionsFile(path.resolve(baseDir, track.captions)) }
+    : track));
+}
+
+// Build the encoding option from the encoding flags (undefined when none are given)
+function parseEncoding(options) {
+  const toNumber = value => (value === undefined ? undefined : Number(value));
+  const encoding = {
+    profile: options.profile,
+    videoCodec: options.videoCodec,
+    crf: toNumber(options.crf),
+    videoBitrate: options.videoBitrate,
+    preset: options.preset,
+    pixelFormat: options.pixFmt,
+    maxWidth: toNumber(options.maxWidth),
+    maxHeight: toNumber(options.maxHeight),
+    maxFps: toNumber(options.maxFps),
+    audio: options.audio,
+    audioBitrate: options.audioBitrate,
+    fps: toNumber(options.fps),
+    loop: toNumber(options.loop),
+    maxFileSize: options.maxFileSize,
+    colors: toNumber(options.colors),
+    dither: options.dither,
+    quality: toNumber(options.quality)
+  };
+
+  for (const key of Object.keys(encoding)) {
+    if (encoding[key] === undefined) {
+      delete encoding[key];
+    }
+  }
+  return Object.keys(encoding).length ? encoding : undefined;
+}
+
+// Register custom styles before any command runs
+program.hook('preAction', () => {
+  const configPath = program.opts().config || DEFAULT_CONFIG_FILES.find(file => fs.existsSync(file));
+  if (!configPath) {
+    return;
+  }
+
+  try {
+    captionIt.loadStyles(configPath);
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
+  }
+});
+
+const addCommand = program
   .command('add')
-  .description('Add a single caption to video')
-  .requiredOption('-i, --input <path>', 'input video file path')
-  .requiredOption('-o, --output <path>', 'output video file path')
+  .description('Add a single caption to a video or image')
+  .requiredOption('-i, --input <path>', 'input video or image file path')
+  .requiredOption('-o, --output <path>', 'output video, .gif/.webp or image (.png, .jpg) file path')
   .requiredOption('-t, --text <text>', 'caption text')
-  .option('-s, --style <style>', 'caption style (gif or tiktok)', 'gif')
+  .option('--bottom-text <text>', 'gif style: second caption in a bar below the video')
+  .option('-s, --style <style>', 'caption style (gif, tiktok or a custom style)', 'gif')
   .option('--start <seconds>', 'start time in seconds', '0')
-  .option('--duration <seconds>', 'duration in seconds')
-  .option('--font <path>', 'path to custom font file')
+  .option('--duration <seconds>', 'duration in seconds (needed to turn an image into a video)')
+  .option('--font <font>', 'font file path or installed font name (e.g. "Montserrat Bold")')
+  .option('--fallback-font <font>', 'font for characters the main font has no glyphs for (repeatable)', collect)
+  .option('--position <position>', 'caption position (top, bottom, center, top-left, ..., bottom-right)')
+  .option('--offset <x,y>', 'offset from the position in pixels or percentages (e.g. 0,-40 or 0,-5%)')
+  .option('--safe-area <platform>', `keep captions clear of platform UI (${['none', ...Object.keys(CaptionIt.SAFE_AREAS)].join(', ')})`)
+  .option('--aspect <ratio>', 'gif style: grow the bars (or add side bars) to letterbox the output, e.g. 1:1')
+  .option('--animation <effect>', `entrance/exit animation (${CaptionIt.ANIMATIONS.join(', ')})`)
+  .option('--animation-duration <seconds>', 'length of the entrance and exit animations (default: 0.3)');
+
+encodingOptions(addCommand)
   .action(async (options) => {
-    const spinner = ora('Adding caption to video...').start();
+    const task = startTask('Adding caption to video...');
 
     try {
       const result = await captionIt.addCaption({
@@ -36,59 +361,468 @@ program
         style: options.style,
         startTime: parseFloat(options.start),
         duration: options.duration ? parseFloat(options.duration) : undefined,
-        fontfile: options.font
+        fontfile: options.font,
+        fallbackFonts: options.fallbackFont,
+        position: parsePosition(options),
+        safeArea: options.safeArea,
+        aspectRatio: options.aspect,
+        bottomText: options.bottomText,
+        animation: parseAnimation(options),
+        encoding: parseEncoding(options),
+        ...cancelOptions()
       });
 
-      spinner.succeed(chalk.green(`Caption added successfully! Output: ${result}`));
+      task.succeed(`Caption added successfully! Output: ${result}`, { output: result });
     } catch (error) {
-      spinner.fail(chalk.red(`Error: ${error.message}`));
-      process.exit(1);
+      failTask(task, error);
     }
   });
 
-program
+const addMultipleCommand = program
   .command('add-multiple')
-  .description('Add multiple captions with timing from JSON file')
-  .requiredOption('-i, --input <path>', 'input video file path')
-  .requiredOption('-o, --output <path>', 'output video file path')
-  .requiredOption('-c, --captions <path>', 'JSON file with captions data')
-  .option('-s, --style <style>', 'caption style (gif or tiktok)', 'gif')
-  .option('--font <path>', 'path to custom font file')
+  .description('Add multiple captions with timing from a JSON, SRT or WebVTT file')
+  .requiredOption('-i, --input <path>', 'input video or image file path')
+  .requiredOption('-o, --output <path>', 'output video, .gif/.webp or image (.png, .jpg) file path')
+  .option('-c, --captions <path>', 'captions file (JSON, SRT or WebVTT)')
+  .option('--script <path>', 'plain-text script to split into captions and time automatically, instead of --captions')
+  .option('--tracks <path>', 'JSON file of caption tracks drawn together, each with its own captions and style, position, etc. (the other options are their defaults), instead of --captions')
+  .option('--save-captions <path>', 'script: also write the timed captions to a JSON, SRT or WebVTT file for editing')
+  .option('-f, --format <format>', `captions file format (${CaptionIt.SUBTITLE_FORMATS.join(', ')}), detected from the file extension by default`)
+  .option('-s, --style <style>', 'caption style (gif, tiktok or a custom style)', 'gif')
+  .option('--duration <seconds>', 'image input: length of the video (default: until the last caption ends)')
+  .option('--font <font>', 'font file path or installed font name (e.g. "Montserrat Bold")')
+  .option('--fallback-font <font>', 'font for characters the main font has no glyphs for (repeatable)', collect)
+  .option('--position <position>', 'caption position (top, bottom, center, top-left, ..., bottom-right)')
+  .option('--offset <x,y>', 'offset from the position in pixels or percentages (e.g. 0,-40 or 0,-5%)')
+  .option('--safe-area <platform>', `keep captions clear of platform UI (${['none', ...Object.keys(CaptionIt.SAFE_AREAS)].join(', ')})`)
+  .option('--aspect <ratio>', 'gif style: grow the bars (or add side bars) to letterbox the output, e.g. 1:1')
+  .option('--animation <effect>', `entrance/exit animation (${CaptionIt.ANIMATIONS.join(', ')})`)
+  .option('--animation-duration <seconds>', 'length of the entrance and exit animations (default: 0.3)')
+  .option('--speakers <path>', 'JSON file mapping speaker names to their color, label and labelColor')
+  .option('--speaker-labels', 'label every caption that has a speaker with the speaker\'s name, e.g. "ALEX:"');
+
+encodingOptions(alignOptions(scriptOptions(addMultipleCommand)))
   .action(async (options) => {
-    const spinner = ora('Adding multiple captions to video...').start();
+    const task = startTask('Adding multiple captions to video...');
 
     try {
-      // Read captions from JSON file
-      if (!fs.existsSync(options.captions)) {
-        throw new Error(`Captions file not found: ${options.captions}`);
+      if ([options.captions, options.script, options.tracks].filter(Boolean).length !== 1) {
+        throw new Error('Give one of --captions, --script or --tracks');
+      }
+
+      let captionsData;
+      if (options.script) {
+        captionsData = await timeScript(options);
+        if (options.saveCaptions) {
+          CaptionIt.writeCaptionsFile(options.saveCaptions, captionsData);
+        }
+      } else if (options.captions) {
+        captionsData = CaptionIt.readCaptionsFile(options.captions, options.format);
       }
 
-      const captionsData = JSON.parse(fs.readFileSync(options.captions, 'utf8'));
+      const result = await captionIt.addMultipleCaptions({
+        inputPath: options.input,
+        outputPath: options.output,
+        captions: captionsData,
+        tracks: readTracks(options),
+        style: options.style,
+        duration: options.duration ? parseFloat(options.duration) : undefined,
+        fontfile: options.font,
+        fallbackFonts: options.fallbackFont,
+        position: parsePosition(options),
+        safeArea: options.safeArea,
+        aspectRatio: options.aspect,
+        animation: parseAnimation(options),
+        speakers: readSpeakers(options),
+        speakerLabels: options.speakerLabels,
+        encoding: parseEncoding(options),
+        // A script is already aligned as it is timed
+        align: options.script ? undefined : parseAlign(options),
+        ...cancelOptions()
+      });
+
+      task.succeed(`Multiple captions added successfully! Output: ${result}`, { output: result });
+    } catch (error) {
+      failTask(task, error);
+    }
+  });
+
+const timeScriptCommand = program
+  .command('time-script')
+  .description('Split a plain-text script into captions timed over a video, and save them for editing')
+  .requiredOption('-i, --input <path>', 'video (or image, with --duration) to time the script over')
+  .requiredOption('--script <path>', 'plain-text script')
+  .requiredOption('-o, --output <path>', 'captions file to write (JSON, SRT or WebVTT)')
+  .option('-s, --style <style>', 'caption style the captions will be rendered with, for sizing them', 'gif')
+  .option('--duration <seconds>', 'image input: length of the video')
+  .option('--font <font>', 'font file path or installed font name, for sizing the captions')
+  .option('--fallback-font <font>', 'fallback font (repeatable)', collect)
+  .option('--position <position>', 'caption position the captions will be rendered at')
+  .option('--offset <x,y>', 'offset from the position in pixels or percentages')
+  .option('--safe-area <platform>', `platform UI the captions will be kept clear of (${['none', ...Object.keys(CaptionIt.SAFE_AREAS)].join(', ')})`);
+
+alignOptions(scriptOptions(timeScriptCommand))
+  .action(async (options) => {
+    const task = startTask('Timing script...');
+
+    try {
+      const captions = await timeScript(options);
+      CaptionIt.writeCaptionsFile(options.output, captions);
+      task.succeed(`Wrote ${captions.length} captions to ${options.output}`, { output: options.output, captions });
+    } catch (error) {
+      failTask(task, error);
+    }
+  });
+
+const alignCommand = program
+  .command('align')
+  .description('Snap captions to the speech in a video, or spread a script over it, and output the adjusted captions')
+  .requiredOption('-i, --input <path>', 'video whose audio to detect speech in')
+  .option('-c, --captions <path>', 'captions file (JSON, SRT or WebVTT) to snap to the speech')
+  .option('--script <path>', 'plain-text script to split into captions and time over the speech, instead of --captions')
+  .option('-f, --format <format>', `captions file format (${CaptionIt.SUBTITLE_FORMATS.join(', ')}), detected from the file extension by default`)
+  .option('-o, --output <path>', 'captions file to write (JSON, SRT or WebVTT); without it the captions are printed as JSON')
+  .option('--silence-threshold <dB>', 'audio quieter than this counts as silence (default: -30)')
+  .option('--min-silence <seconds>', 'shortest pause that splits speech (default: 0.3)')
+  .option('--snap-tolerance <seconds>', 'furthest a caption start or end is moved (default: 0.5)')
+  .option('-s, --style <style>', 'script: caption style the captions will be rendered with, for sizing them', 'gif')
+  .option('--font <font>', 'script: font file path or installed font name, for sizing the captions')
+  .option('--fallback-font <font>', 'script: fallback font (repeatable)', collect)
+  .option('--position <position>', 'script: caption position the captions will be rendered at')
+  .option('--offset <x,y>', 'script: offset from the position in pixels or percentages')
+  .option('--safe-area <platform>', `script: platform UI the captions will be kept clear of (${['none', ...Object.keys(CaptionIt.SAFE_AREAS)].join(', ')})`);
 
-      if (!Array.isArray(captionsData)) {
-        throw new Error('Captions file must contain an array of caption objects');
+scriptOptions(alignCommand)
+  .action(async (options) => {
+    const task = startTask('Detecting speech...');
+
+    try {
+      if (!options.captions === !options.script) {
+        throw new Error('Give either --captions or --script');
       }
 
-      // Validate caption format
-      for (const caption of captionsData) {
-        if (!caption.text || typeof caption.startTime !== 'number' || typeof caption.endTime !== 'number') {
-          throw new Error('Each caption must have text, startTime, and endTime properties');
+      const aligned = { ...options, align: true };
+      const captions = options.script
+        ? await timeScript(aligned)
+        : await captionIt.alignCaptions({
+          inputPath: options.input,
+          captions: CaptionIt.readCaptionsFile(options.captions, options.format),
+          align: parseAlign(aligned),
+          ...cancelOptions()
+        });
+
+      if (options.output) {
+        CaptionIt.writeCaptionsFile(options.output, captions);
+        task.succeed(`Aligned ${captions.length} captions. Output: ${options.output}`, { output: options.output, captions });
+      } else {
+        task.succeed(`Aligned ${captions.length} captions`, { captions });
+        if (!task.json) {
+          console.log(JSON.stringify(captions, null, 2));
         }
       }
+    } catch (error) {
+      failTask(task, error);
+    }
+  });
 
-      const result = await captionIt.addMultipleCaptions({
+program
+  .command('preview')
+  .description('Render one frame (or a short low-res clip) with the same filters as add or add-multiple')
+  .requiredOption('-i, --input <path>', 'input video or image file path')
+  .option('-o, --output <path>', 'output file path (default: preview.png, or preview.mp4 with --proxy)')
+  .option('-t, --text <text>', 'caption text, as with add')
+  .option('-c, --captions <path>', 'captions file (JSON, SRT or WebVTT), as with add-multiple')
+  .option('--tracks <path>', 'JSON file of caption tracks, as with add-multiple')
+  .option('-f, --format <format>', `captions file format (${CaptionIt.SUBTITLE_FORMATS.join(', ')}), detected from the file extension by default`)
+  .option('--time <seconds>', 'time into the output to preview', '0')
+  .option('--proxy', 'render a short low-resolution clip instead of a single frame')
+  .option('--proxy-duration <seconds>', 'length of the proxy clip (default: 3)')
+  .option('--bottom-text <text>', 'gif style: second caption in a bar below the video')
+  .option('-s, --style <style>', 'caption style (gif, tiktok or a custom style)', 'gif')
+  .option('--start <seconds>', 'start time in seconds, as with add', '0')
+  .option('--duration <seconds>', 'duration in seconds, as with add')
+  .option('--font <font>', 'font file path or installed font name (e.g. "Montserrat Bold")')
+  .option('--fallback-font <font>', 'font for characters the main font has no glyphs for (repeatable)', collect)
+  .option('--position <position>', 'caption position (top, bottom, center, top-left, ..., bottom-right)')
+  .option('--offset <x,y>', 'offset from the position in pixels or percentages (e.g. 0,-40 or 0,-5%)')
+  .option('--safe-area <platform>', `keep captions clear of platform UI (${['none', ...Object.keys(CaptionIt.SAFE_AREAS)].join(', ')})`)
+  .option('--aspect <ratio>', 'gif style: grow the bars (or add side bars) to letterbox the output, e.g. 1:1')
+  .option('--animation <effect>', `entrance/exit animation (${CaptionIt.ANIMATIONS.join(', ')})`)
+  .option('--animation-duration <seconds>', 'length of the entrance and exit animations (default: 0.3)')
+  .option('--speakers <path>', 'JSON file of speaker styles, as with add-multiple')
+  .option('--speaker-labels', 'label captions with their speaker\'s name, as with add-multiple')
+  .action(async (options) => {
+    const task = startTask('Rendering preview...');
+
+    try {
+      if ([options.text, options.captions, options.tracks].filter(Boolean).length !== 1) {
+        throw new Error('Give one of --text, --captions or --tracks');
+      }
+
+      const result = await captionIt.preview({
         inputPath: options.input,
         outputPath: options.output,
+        time: parseFloat(options.time),
+        proxy: options.proxy && (options.proxyDuration ? { duration: parseFloat(options.proxyDuration) } : true),
+        text: options.text,
+        captions: options.captions ? CaptionIt.readCaptionsFile(options.captions, options.format) : undefined,
+        tracks: readTracks(options),
+        bottomText: options.bottomText,
+        style: options.style,
+        startTime: parseFloat(options.start),
+        duration: options.duration ? parseFloat(options.duration) : undefined,
+        fontfile: options.font,
+        fallbackFonts: options.fallbackFont,
+        position: parsePosition(options),
+        safeArea: options.safeArea,
+        aspectRatio: options.aspect,
+        animation: parseAnimation(options),
+        speakers: readSpeakers(options),
+        speakerLabels: options.speakerLabels,
+        ...cancelOptions()
+      });
+
+      task.succeed(`Preview rendered! Output: ${result}`, { output: result });
+    } catch (error) {
+      failTask(task, error);
+    }
+  });
+
+program
+  .command('export')
+  .description('Export captions as an SRT, WebVTT or ASS subtitle file instead of burning them in')
+  .requiredOption('-c, --captions <path>', 'captions file (JSON, SRT or WebVTT)')
+  .requiredOption('-o, --output <path>', 'output subtitle file path')
+  .option('-f, --format <format>', `captions file format (${CaptionIt.SUBTITLE_FORMATS.join(', ')}), detected from the file extension by default`)
+  .option('--to <format>', `export format (${CaptionIt.EXPORT_FORMATS.join(', ')}), detected from the output extension by default`)
+  .option('-i, --input <path>', 'video to wrap captions for (and to mux into with --mux)')
+  .option('-s, --style <style>', 'caption style used for wrapping and ASS styling (gif, tiktok or a custom style)', 'gif')
+  .option('--font <font>', 'font name or file to measure text with when wrapping (defaults to the style\'s font)')
+  .option('--fallback-font <font>', 'font for characters the main font has no glyphs for (repeatable)', collect)
+  .option('--mux <path>', 'also write a copy of the input video with the subtitles as a soft track (mp4, mov, mkv, webm)')
+  .option('--language <code>', 'language tag for the muxed subtitle track (e.g. eng)')
+  .action(async (options) => {
+    const task = startTask('Exporting captions...');
+
+    try {
+      const captionsData = CaptionIt.readCaptionsFile(options.captions, options.format);
+
+      const result = await captionIt.exportCaptions({
         captions: captionsData,
+        outputPath: options.output,
+        format: options.to,
+        inputPath: options.input,
         style: options.style,
-        fontfile: options.font
+        fontfile: options.font,
+        fallbackFonts: options.fallbackFont,
+        muxOutputPath: options.mux,
+        language: options.language,
+        ...cancelOptions()
+      });
+
+      task.succeed(`Captions exported successfully! Output: ${result}` +
+        (options.mux ? `, muxed into ${options.mux}` : ''), { output: result, mux: options.mux });
+    } catch (error) {
+      failTask(task, error);
+    }
+  });
+
+const batchCommand = program
+  .command('batch [manifest]')
+  .description('Caption many videos from a CSV or JSON manifest, or every video in a directory')
+  .option('-f, --format <format>', `manifest format (${CaptionIt.MANIFEST_FORMATS.join(', ')}), detected from the file extension by default`)
+  .option('-g, --glob <pattern>', 'caption every video and image in a directory or matching a pattern (e.g. "clips/*.mp4")')
+  .option('-d, --output-dir <dir>', 'output directory for --glob videos')
+  .option('-t, --text <text>', 'caption text for jobs without their own text or captions')
+  .option('-s, --style <style>', 'caption style for jobs without their own (gif, tiktok or a custom style)')
+  .option('--font <font>', 'font file path or installed font name for jobs without their own')
+  .option('--fallback-font <font>', 'fallback font for jobs without their own (repeatable)', collect)
+  .option('--position <position>', 'caption position for jobs without their own')
+  .option('--safe-area <platform>', `keep captions clear of platform UI (${['none', ...Object.keys(CaptionIt.SAFE_AREAS)].join(', ')})`)
+  .option('--aspect <ratio>', 'gif style: letterbox the outputs to this aspect ratio, e.g. 1:1')
+  .option('--animation <effect>', `entrance/exit animation (${CaptionIt.ANIMATIONS.join(', ')})`)
+  .option('-j, --concurrency <count>', 'number of videos to caption at once', '2')
+  .option('--report <path>', 'write a JSON report of every job');
+
+encodingOptions(batchCommand)
+  .action(async (manifest, options) => {
+    const task = startTask('Reading jobs...', { progress: false });
+    let jobs;
+
+    try {
+      if (manifest && options.glob) {
+        throw new Error('Use either a manifest or --glob, not both');
+      }
+
+      if (manifest) {
+        jobs = CaptionIt.readManifest(manifest, options.format);
+      } else if (options.glob) {
+        if (!options.outputDir) {
+          throw new Error('--output-dir is required with --glob');
+        }
+        fs.mkdirSync(options.outputDir, { recursive: true });
+        jobs = CaptionIt.jobsFromVideos(options.glob, options.outputDir);
+      } else {
+        throw new Error('Give a manifest file or --glob <pattern>');
+      }
+    } catch (error) {
+      failTask(task, error);
+    }
+
+    // Command line options fill in whatever a job doesn't set
+    const defaults = {
+      text: options.text,
+      style: options.style,
+      fontfile: options.font,
+      fallbackFonts: options.fallbackFont,
+      position: options.position,
+      safeArea: options.safeArea,
+      aspectRatio: options.aspect,
+      animation: options.animation
+    };
+    const encoding = parseEncoding(options);
+    jobs = jobs.map(job => {
+      const merged = { ...job };
+      for (const [key, value] of Object.entries(defaults)) {
+        if (merged[key] === undefined && value !== undefined) {
+          merged[key] = value;
+        }
+      }
+      if (encoding) {
+        merged.encoding = { ...encoding, ...job.encoding };
+      }
+      return merged;
+    });
+
+    // Overall progress: finished jobs count in full, running ones by their own percentage
+    let finished = 0;
+    const running = new Map();
+    const showProgress = () => {
+      const percent = (finished * 100 + [...running.values()].reduce((sum, value) => sum + value, 0)) / jobs.length;
+      task.text = `Captioning videos... ${progressBar(percent)} ${finished}/${jobs.length} done`;
+    };
+    const onProgress = ({ outputPath, percent }) => {
+      if (percent !== undefined) {
+        running.set(outputPath, percent);
+        showProgress();
+      }
+    };
+
+    task.text = `Captioning ${jobs.length} videos...`;
+    captionIt.on('progress', onProgress);
+
+    try {
+      const summary = await captionIt.runBatch(jobs, {
+        ...cancelOptions(),
+        concurrency: parseInt(options.concurrency, 10),
+        onJobEnd: result => {
+          finished++;
+          running.delete(result.job.outputPath);
+          task.event('job', result);
+          showProgress();
+        }
       });
+      captionIt.off('progress', onProgress);
+
+      if (options.report) {
+        fs.writeFileSync(options.report, JSON.stringify(summary, null, 2));
+      }
+
+      const message = `Captioned ${summary.succeeded} of ${summary.total} videos`;
+      if (summary.cancelled) {
+        task.fail(`Cancelled. ${message}`, summary);
+        process.exit(130);
+      }
+      if (summary.failed) {
+        task.fail(`${message}, ${summary.failed} failed`, summary);
+        if (!task.json) {
+          summary.results
+            .filter(result => result.status === 'failed')
+            .forEach(result => {
+              console.log(chalk.red(`  ${result.job.inputPath || `job ${result.index + 1}`}: ${result.error}`));
+            });
+        }
+        process.exit(1);
+      }
 
-      spinner.succeed(chalk.green(`Multiple captions added successfully! Output: ${result}`));
+      task.succeed(message, summary);
     } catch (error) {
-      spinner.fail(chalk.red(`Error: ${error.message}`));
+      failTask(task, error);
+    }
+  });
+
+program
+  .command('serve')
+  .description('Run an HTTP service that renders caption jobs for other apps')
+  .option('-p, --port <port>', 'port to listen on', '3000')
+  .option('--host <host>', 'address to listen on', '127.0.0.1')
+  .option('-j, --concurrency <count>', 'number of jobs to render at once', '2')
+  .option('--dir <path>', 'folder for uploads and rendered outputs (default: caption-it-server in the temp folder)')
+  .option('--max-upload <mb>', 'largest upload in megabytes', '2048')
+  .option('--retention <hours>', 'hours to keep finished jobs, their outputs and unused uploads', '24')
+  .option('--cors-origin <origin>', 'origin browsers may call the service from, or * for any (repeatable)', collect)
+  .option('--allow-path <dir>', 'folder whose files jobs may name as inputPath or font paths (repeatable)', collect)
+  .option('--token <token>', 'require "Authorization: Bearer <token>" on every request (default: $CAPTION_IT_TOKEN)')
+  .action((options) => {
+    const { verbose, json } = program.opts();
+    const print = (event, data) => console.log(JSON.stringify({ event, ...data }));
+
+    let server;
+    try {
+      server = CaptionIt.createServer(captionIt, {
+        concurrency: parseInt(options.concurrency, 10),
+        workDir: options.dir,
+        maxUploadSize: parseFloat(options.maxUpload) * 1024 * 1024,
+        timeout: cancelOptions().timeout,
+        retention: parseFloat(options.retention) * 60 * 60,
+        corsOrigin: options.corsOrigin,
+        allowedPaths: options.allowPath,
+        token: options.token || process.env.CAPTION_IT_TOKEN,
+        onJobEnd: job => {
+          if (json) {
+            print('job', job);
+          } else if (job.status === 'done') {
+            console.log(chalk.green(`✔ Job ${job.id} done`));
+          } else {
+            console.log(chalk.red(`✖ Job ${job.id} ${job.status}${job.error ? `: ${job.error.message}` : ''}`));
+          }
+        }
+      });
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
       process.exit(1);
     }
+
+    captionIt.on('log', ({ level, message }) => {
+      if (json) {
+        print('log', { level, message });
+      } else if (verbose || level === 'warn') {
+        console.error(level === 'warn' ? chalk.yellow(message) : chalk.gray(message));
+      }
+    });
+
+    server.on('error', error => {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    });
+
+    server.listen(parseInt(options.port, 10), options.host, () => {
+      const url = `http://${options.host}:${server.address().port}`;
+      if (json) {
+        print('listening', { url });
+      } else {
+        console.log(chalk.cyan(`caption-it is serving on ${url} (Ctrl+C to stop)`));
+      }
+    });
+
+    // Ctrl+C cancels the queued and running jobs, then exits once FFmpeg has stopped
+    abortController.signal.addEventListener('abort', async () => {
+      if (!json) {
+        console.log(chalk.yellow('Stopping...'));
+      }
+      await server.shutdown();
+      process.exit(0);
+    });
   });
 
 program
@@ -103,9 +837,24 @@ program
       console.log(chalk.yellow(`\n${style}:`));
       console.log(`  Font size: ${config.fontsize}`);
       console.log(`  Font color: ${config.fontcolor}`);
-      console.log(`  Position: ${config.x}, ${config.y}`);
+      console.log(`  Position: ${config.x && config.y ? `${config.x}, ${config.y}` : config.position}`);
+      console.log(`  Layout: ${config.layout}`);
+
+      if (config.fontfile) {
+        console.log(`  Font file: ${config.fontfile}`);
+      }
+
+      if (config.fallbackFonts) {
+        console.log(`  Fallback fonts: ${[].concat(config.fallbackFonts).join(', ')}`);
+      }
+
+      if (config.speakers) {
+        console.log(`  Speakers: ${Object.keys(config.speakers).join(', ')}`);
+      }
 
-      if (style === 'gif') {
+      if (config.description) {
+        console.log(chalk.gray(`  Style: ${config.description}`));
+      } else if (style === 'gif') {
         console.log(chalk.gray('  Style: White text with black outline on white background, positioned at top'));
       } else if (style === 'tiktok') {
         console.log(chalk.gray('  Style: White text on black transparent background, centered'));
@@ -113,6 +862,36 @@ program
     });
   });
 
+program
+  .command('fonts [search]')
+  .description('List the fonts --font can name, optionally only families matching a search')
+  .action((search) => {
+    const query = search && search.toLowerCase();
+    const fonts = CaptionIt.listFonts().filter(font => !query || font.family.toLowerCase().includes(query));
+
+    if (program.opts().json) {
+      console.log(JSON.stringify(fonts));
+      return;
+    }
+    if (!fonts.length) {
+      console.log(chalk.yellow(search ? `No fonts match "${search}"` : 'No fonts found'));
+      return;
+    }
+
+    const families = new Map();
+    for (const font of fonts) {
+      families.set(font.family, [...(families.get(font.family) || []), font]);
+    }
+
+    console.log(chalk.cyan(`${families.size} font families:`));
+    for (const [family, styles] of families) {
+      console.log(chalk.yellow(`\n${family}`));
+      styles.forEach(font => {
+        console.log(`  ${font.style.padEnd(20)} ${chalk.gray(font.path)}`);
+      });
+    }
+  });
+
 program
   .command('example')
   .description('Show example usage and caption JSON format')
@@ -121,9 +900,42 @@ program
     console.log(chalk.white('\n# Add single caption:'));
     console.log('caption-it add -i input.mp4 -o output.mp4 -t "Hello World!" -s gif');
 
+    console.log(chalk.white('\n# Top text / bottom text meme, letterboxed to a square:'));
+    console.log('caption-it add -i input.mp4 -o output.mp4 -t "Top text" --bottom-text "Bottom text" --aspect 1:1');
+
     console.log(chalk.white('\n# Add multiple captions:'));
     console.log('caption-it add-multiple -i input.mp4 -o output.mp4 -c captions.json -s tiktok');
 
+    console.log(chalk.white('\n# Add multiple captions from a subtitle file:'));
+    console.log('caption-it add-multiple -i input.mp4 -o output.mp4 -c captions.srt -s tiktok');
+
+    console.log(chalk.white('\n# Caption a video from a plain-text script, timed automatically:'));
+    console.log('caption-it add-multiple -i input.mp4 -o output.mp4 --script script.txt -s tiktok --save-captions captions.json');
+
+    console.log(chalk.white('\n# Snap rough caption timings to the speech in the audio:'));
+    console.log('caption-it add-multiple -i input.mp4 -o output.mp4 -c transcript.srt --align');
+
+    console.log(chalk.white('\n# Title card in the top bar plus spoken subtitles over the video, in one pass:'));
+    console.log('caption-it add-multiple -i input.mp4 -o output.mp4 --tracks tracks.json');
+
+    console.log(chalk.white('\n# Place captions at the bottom, clear of the TikTok UI:'));
+    console.log('caption-it add-multiple -i input.mp4 -o output.mp4 -c captions.json -s tiktok --position bottom --safe-area tiktok');
+
+    console.log(chalk.white('\n# Use an installed font, with a fallback for emoji and CJK text:'));
+    console.log('caption-it add-multiple -i input.mp4 -o output.mp4 -c captions.json --font "Montserrat Bold" --fallback-font "Noto Sans CJK SC"');
+
+    console.log(chalk.white('\n# Check wrapping and placement on one frame before rendering:'));
+    console.log('caption-it preview -i input.mp4 -c captions.json -s tiktok --time 4 -o preview.png');
+
+    console.log(chalk.white('\n# Caption every clip listed in a manifest, four at a time:'));
+    console.log('caption-it batch jobs.csv -j 4 --report report.json');
+
+    console.log(chalk.white('\n# Render jobs for a web app over HTTP on port 3000:'));
+    console.log('caption-it serve -p 3000 -j 2');
+
+    console.log(chalk.white('\n# Export soft subtitles and mux them into the video:'));
+    console.log('caption-it export -c captions.json -o captions.srt -i input.mp4 --mux output.mp4');
+
     console.log(chalk.cyan('\nExample captions.json format:'));
     console.log(JSON.stringify([
       {
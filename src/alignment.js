@@ -0,0 +1,204 @@
+// Aligning captions to speech. FFmpeg's silencedetect filter finds the
+// pauses in the audio; the speech between them is split into segments, and
+// caption boundaries are snapped to segment edges, or a script's captions
+// are spread over the speech only.
+
+const { timeCaptions } = require("./timing");
+
+const ALIGN_DEFAULTS = {
+    // Audio quieter than this many dB counts as silence
+    noise: -30,
+    // Shortest pause, in seconds, that splits speech into segments
+    minSilence: 0.3,
+    // Furthest a caption boundary moves to meet the edge of speech, in seconds
+    tolerance: 0.5,
+};
+
+// Normalize the align option: true for the defaults, or an object
+// overriding some of them
+function normalizeAlign(align) {
+    const settings = {
+        ...ALIGN_DEFAULTS,
+        ...(align && typeof align === "object" ? align : {}),
+    };
+
+    if (typeof settings.noise !== "number" || !(settings.noise < 0)) {
+        throw new Error(
+            `align noise must be a negative number of dB: ${settings.noise}`,
+        );
+    }
+    if (!(settings.minSilence > 0)) {
+        throw new Error(
+            `align minSilence must be a positive number of seconds: ${settings.minSilence}`,
+        );
+    }
+    if (!(settings.tolerance >= 0)) {
+        throw new Error(
+            `align tolerance must be a number of seconds: ${settings.tolerance}`,
+        );
+    }
+    return settings;
+}
+
+// Read the silences silencedetect logs, as "silence_start: 1.2" and
+// "silence_end: 2.5 | silence_duration: 1.3" lines. A silence still going
+// when the audio ends runs to duration.
+function parseSilences(lines, duration) {
+    const silences = [];
+    let start;
+
+    for (const line of lines) {
+        const startMatch = /silence_start:\s*(-?[\d.]+)/.exec(line);
+        const endMatch = /silence_end:\s*(-?[\d.]+)/.exec(line);
+        if (startMatch) {
+            start = Math.max(0, parseFloat(startMatch[1]));
+        } else if (endMatch && start !== undefined) {
+            silences.push({ start, end: parseFloat(endMatch[1]) });
+            start = undefined;
+        }
+    }
+    if (start !== undefined) {
+        silences.push({ start, end: duration });
+    }
+
+    return silences;
+}
+
+// The stretches of speech between silences, as { start, end } in seconds
+function speechSegments(silences, duration) {
+    const segments = [];
+    let start = 0;
+
+    for (const silence of silences) {
+        if (silence.start > start) {
+            segments.push({ start, end: silence.start });
+        }
+        start = Math.max(start, silence.end);
+    }
+    if (duration > start) {
+        segments.push({ start, end: duration });
+    }
+
+    return segments;
+}
+
+// The edge nearest to time, if it is within tolerance seconds
+function nearestEdge(edges, time, tolerance) {
+    let nearest;
+    for (const edge of edges) {
+        if (
+            Math.abs(edge - time) <= tolerance &&
+            (nearest === undefined ||
+                Math.abs(edge - time) < Math.abs(nearest - time))
+        ) {
+            nearest = edge;
+        }
+    }
+    return nearest;
+}
+
+// Snap caption starts to the nearest start of speech, and ends to the
+// nearest end of speech, within tolerance seconds. Captions with word
+// timings keep their times. Captions that didn't overlap before are kept
+// from overlapping after.
+function snapCaptions(captions, segments, tolerance) {
+    const starts = segments.map((segment) => segment.start);
+    const ends = segments.map((segment) => segment.end);
+
+    const snapped = captions.map((caption) => {
+        if (caption.words) {
+            return { ...caption };
+        }
+
+        const startTime =
+            nearestEdge(starts, caption.startTime, tolerance) ??
+            caption.startTime;
+        const endTime =
+            nearestEdge(ends, caption.endTime, tolerance) ?? caption.endTime;
+        return endTime > startTime
+            ? { ...caption, startTime, endTime }
+            : { ...caption };
+    });
+
+    const order = captions
+        .map((caption, index) => index)
+        .sort((a, b) => captions[a].startTime - captions[b].startTime);
+    order.slice(1).forEach((index, position) => {
+        const previous = order[position];
+        if (
+            captions[previous].endTime <= captions[index].startTime &&
+            snapped[previous].endTime > snapped[index].startTime &&
+            snapped[index].startTime > snapped[previous].startTime
+        ) {
+            snapped[previous].endTime = snapped[index].startTime;
+        }
+    });
+
+    return snapped;
+}
+
+// Map a time on the speech-only timeline (silences cut out) back to the
+// video. Ends that fall on the edge of a segment stay in it; starts move on
+// to the next one.
+function speechTime(segments, time, isEnd) {
+    let offset = 0;
+    for (const segment of segments) {
+        const length = segment.end - segment.start;
+        if (time < offset + length || (isEnd && time <= offset + length)) {
+            return segment.start + Math.max(0, time - offset);
+        }
+        offset += length;
+    }
+    return segments[segments.length - 1].end;
+}
+
+// Time caption texts over the speech segments only. With one text per
+// segment each gets its own segment; otherwise they are timed as by
+// timeCaptions over the speech with the silences cut out, then snapped to
+// the edges of speech.
+function timeOverSpeech(texts, segments, options = {}, warn) {
+    if (!segments.length) {
+        throw new Error("No speech found to align the captions to");
+    }
+    if (texts.length === segments.length) {
+        return texts.map((text, index) => ({
+            text,
+            startTime: segments[index].start,
+            endTime: segments[index].end,
+        }));
+    }
+
+    const speech = segments.reduce(
+        (sum, segment) => sum + segment.end - segment.start,
+        0,
+    );
+    const captions = timeCaptions(
+        texts,
+        { ...options, startTime: 0, endTime: speech },
+        warn,
+    ).map((caption) => ({
+        text: caption.text,
+        startTime: speechTime(segments, caption.startTime, false),
+        endTime: speechTime(segments, caption.endTime, true),
+    }));
+
+    const round = (seconds) => Math.round(seconds * 1000) / 1000;
+    return snapCaptions(
+        captions,
+        segments,
+        normalizeAlign(options.align).tolerance,
+    ).map((caption) => ({
+        ...caption,
+        startTime: round(caption.startTime),
+        endTime: round(caption.endTime),
+    }));
+}
+
+module.exports = {
+    ALIGN_DEFAULTS,
+    normalizeAlign,
+    parseSilences,
+    speechSegments,
+    snapCaptions,
+    timeOverSpeech,
+};
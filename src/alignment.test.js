@@ -0,0 +1,102 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+    normalizeAlign,
+    parseSilences,
+    speechSegments,
+    snapCaptions,
+    timeOverSpeech,
+} = require("./alignment");
+
+// Speech from 0.8 to 3.2s and from 4 to 7.5s of a 9s video
+const segments = speechSegments(
+    parseSilences(
+        [
+            "[silencedetect @ 0x1] silence_start: -0.01",
+            "[silencedetect @ 0x1] silence_end: 0.8 | silence_duration: 0.81",
+            "frame=  120 fps=0.0",
+            "[silencedetect @ 0x1] silence_start: 3.2",
+            "[silencedetect @ 0x1] silence_end: 4 | silence_duration: 0.8",
+            // Still silent when the audio ends
+            "[silencedetect @ 0x1] silence_start: 7.5",
+        ],
+        9,
+    ),
+    9,
+);
+
+test("parseSilences and speechSegments find the speech", () => {
+    assert.deepEqual(parseSilences(["silence_start: 1"], 5), [
+        { start: 1, end: 5 },
+    ]);
+    assert.deepEqual(segments, [
+        { start: 0.8, end: 3.2 },
+        { start: 4, end: 7.5 },
+    ]);
+    assert.deepEqual(speechSegments([], 2), [{ start: 0, end: 2 }]);
+});
+
+test("normalizeAlign merges options over the defaults", () => {
+    assert.deepEqual(normalizeAlign(true), {
+        noise: -30,
+        minSilence: 0.3,
+        tolerance: 0.5,
+    });
+    assert.equal(normalizeAlign({ tolerance: 0 }).tolerance, 0);
+    assert.throws(() => normalizeAlign({ noise: 10 }), /negative number of dB/);
+    assert.throws(
+        () => normalizeAlign({ minSilence: 0 }),
+        /minSilence must be a positive number/,
+    );
+});
+
+test("snapCaptions moves boundaries to the edges of speech", () => {
+    assert.deepEqual(
+        snapCaptions(
+            [
+                { text: "a", startTime: 1, endTime: 3 },
+                { text: "b", startTime: 3.8, endTime: 7.2 },
+                { text: "c", startTime: 8, endTime: 9, words: [] },
+            ],
+            segments,
+            0.5,
+        ),
+        [
+            { text: "a", startTime: 0.8, endTime: 3.2 },
+            { text: "b", startTime: 4, endTime: 7.5 },
+            // Word timings are kept
+            { text: "c", startTime: 8, endTime: 9, words: [] },
+        ],
+    );
+    // Snapping a's end would run it into b, which it didn't overlap before
+    assert.deepEqual(
+        snapCaptions(
+            [
+                { text: "a", startTime: 1, endTime: 3 },
+                { text: "b", startTime: 3, endTime: 7.2 },
+            ],
+            segments,
+            0.5,
+        ),
+        [
+            { text: "a", startTime: 0.8, endTime: 3 },
+            { text: "b", startTime: 3, endTime: 7.5 },
+        ],
+    );
+});
+
+test("timeOverSpeech spreads captions over the speech only", () => {
+    assert.deepEqual(timeOverSpeech(["a", "b"], segments), [
+        { text: "a", startTime: 0.8, endTime: 3.2 },
+        { text: "b", startTime: 4, endTime: 7.5 },
+    ]);
+    assert.deepEqual(timeOverSpeech(["a b", "c d", "e f"], segments), [
+        { text: "a b", startTime: 0.8, endTime: 2.767 },
+        { text: "c d", startTime: 2.767, endTime: 5.533 },
+        { text: "e f", startTime: 5.533, endTime: 7.5 },
+    ]);
+    assert.throws(
+        () => timeOverSpeech(["a"], []),
+        /No speech found to align the captions to/,
+    );
+});
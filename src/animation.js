@@ -0,0 +1,212 @@
+const { splitGraphemes } = require("./text");
+
+// Entrance effects. Exit effects play the same animation in reverse;
+// typewriter only works as an entrance.
+const ANIMATIONS = ["none", "fade", "slide-up", "pop", "typewriter"];
+const EXIT_ANIMATIONS = ["none", "fade", "slide-up", "pop"];
+
+// Default effect length in seconds
+const DEFAULT_DURATION = 0.3;
+
+// Seconds per character for typewriter when no duration is given
+const TYPEWRITER_CHAR_DURATION = 0.05;
+
+// Most drawtext filters a typewriter caption expands into
+const MAX_TYPEWRITER_STEPS = 40;
+
+// Turn "fade" or { in, out, duration, inDuration, outDuration } into
+// { in, out, inDuration, outDuration }. Returns null for no animation.
+function normalizeAnimation(animation) {
+    if (!animation || animation === "none") {
+        return null;
+    }
+
+    const config =
+        typeof animation === "string"
+            ? {
+                  in: animation,
+                  out: animation === "typewriter" ? "none" : animation,
+              }
+            : animation;
+
+    if (typeof config !== "object") {
+        throw new Error(`Invalid animation: ${animation}`);
+    }
+
+    const {
+        in: inEffect = "none",
+        out: outEffect = "none",
+        duration,
+        inDuration = duration,
+        outDuration = duration,
+    } = config;
+
+    if (!ANIMATIONS.includes(inEffect)) {
+        throw new Error(
+            `Unknown animation: ${inEffect}. Available animations: ${ANIMATIONS.join(", ")}`,
+        );
+    }
+
+    if (!EXIT_ANIMATIONS.includes(outEffect)) {
+        throw new Error(
+            `Unknown exit animation: ${outEffect}. Available exit animations: ${EXIT_ANIMATIONS.join(", ")}`,
+        );
+    }
+
+    for (const value of [inDuration, outDuration]) {
+        if (value !== undefined && !(typeof value === "number" && value >= 0)) {
+            throw new Error(
+                `Animation durations must be non-negative numbers of seconds`,
+            );
+        }
+    }
+
+    return {
+        in: inEffect,
+        out: outEffect,
+        // Typewriter speed depends on the text, so its default is worked
+        // out per caption
+        inDuration:
+            inDuration === undefined && inEffect !== "typewriter"
+                ? DEFAULT_DURATION
+                : inDuration,
+        outDuration: outDuration === undefined ? DEFAULT_DURATION : outDuration,
+    };
+}
+
+// Expression going from 0 to 1 over the entrance, and from 1 to 0 over the
+// exit (1 while fully shown)
+function progressExpression(side, { startTime, endTime, duration }) {
+    if (!duration) {
+        return "1";
+    }
+    return side === "in"
+        ? `clip((t-${startTime})/${duration},0,1)`
+        : `clip((${endTime}-t)/${duration},0,1)`;
+}
+
+// Scale for pop: grow to 115% then settle back to 100%
+function popScale(progress) {
+    return `if(lt(${progress},0.7),1.15*${progress}/0.7,1.15-0.5*(${progress}-0.7))`;
+}
+
+// Build the drawtext alpha, y and fontsize expressions for an animation.
+// Values are undefined when the animation leaves them alone. endTime can be
+// undefined when the caption runs to the end of the video, which skips the
+// exit effect.
+function buildAnimation(animation, { startTime, endTime, fontsize, y }) {
+    const result = {};
+    if (!animation) {
+        return result;
+    }
+
+    const sides = [
+        {
+            effect: animation.in,
+            progress: progressExpression("in", {
+                startTime,
+                duration: animation.inDuration,
+            }),
+        },
+    ];
+    if (endTime !== undefined && Number.isFinite(endTime)) {
+        sides.push({
+            effect: animation.out,
+            progress: progressExpression("out", {
+                endTime,
+                duration: animation.outDuration,
+            }),
+        });
+    }
+
+    const alphaTerms = [];
+    const slideTerms = [];
+    const popTerms = [];
+
+    for (const { effect, progress } of sides) {
+        if (progress === "1") {
+            continue;
+        }
+
+        if (effect === "fade" || effect === "slide-up") {
+            alphaTerms.push(progress);
+        }
+
+        if (effect === "slide-up") {
+            // Slide in from one line below
+            slideTerms.push(`${fontsize}*(1-${progress})`);
+        }
+
+        if (effect === "pop") {
+            popTerms.push(popScale(progress));
+        }
+    }
+
+    if (alphaTerms.length) {
+        result.alpha = alphaTerms.join("*");
+    }
+
+    if (slideTerms.length) {
+        result.y = `(${y})+${slideTerms.join("+")}`;
+    }
+
+    if (popTerms.length) {
+        const scale =
+            popTerms.length > 1 ? `min(${popTerms.join(",")})` : popTerms[0];
+        result.fontsize = `max(1,${fontsize}*${scale})`;
+    }
+
+    return result;
+}
+
+// Round to milliseconds to keep enable expressions short
+function roundTime(seconds) {
+    return Number(seconds.toFixed(3));
+}
+
+// Split a caption into the growing prefixes a typewriter reveals, with the
+// time window each is shown for. The last step stays until endTime
+// (undefined for the end of the video).
+function typewriterSteps(text, { startTime, endTime, duration }) {
+    const characters = splitGraphemes(text);
+    const stepCount = Math.max(
+        1,
+        Math.min(MAX_TYPEWRITER_STEPS, characters.length),
+    );
+    const typingTime =
+        duration === undefined
+            ? characters.length * TYPEWRITER_CHAR_DURATION
+            : duration;
+    // Never type slower than the caption is on screen
+    const available =
+        endTime === undefined ? typingTime : (endTime - startTime) * 0.8;
+    const stepDuration = Math.min(typingTime, available) / stepCount;
+
+    const steps = [];
+    for (let step = 1; step <= stepCount; step++) {
+        const count = Math.ceil((step * characters.length) / stepCount);
+        const prefix = characters.slice(0, count).join("");
+        if (!prefix.trim()) {
+            continue;
+        }
+
+        steps.push({
+            text: prefix,
+            startTime: roundTime(startTime + (step - 1) * stepDuration),
+            endTime:
+                step === stepCount
+                    ? endTime
+                    : roundTime(startTime + step * stepDuration),
+        });
+    }
+
+    return steps;
+}
+
+module.exports = {
+    ANIMATIONS,
+    EXIT_ANIMATIONS,
+    normalizeAnimation,
+    buildAnimation,
+    typewriterSteps,
+};
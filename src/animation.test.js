@@ -0,0 +1,81 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+    normalizeAnimation,
+    buildAnimation,
+    typewriterSteps,
+} = require("./animation");
+
+test("normalizeAnimation fills in exit effects and durations", () => {
+    assert.equal(normalizeAnimation("none"), null);
+    assert.deepEqual(normalizeAnimation("fade"), {
+        in: "fade",
+        out: "fade",
+        inDuration: 0.3,
+        outDuration: 0.3,
+    });
+    assert.deepEqual(normalizeAnimation("typewriter"), {
+        in: "typewriter",
+        out: "none",
+        inDuration: undefined,
+        outDuration: 0.3,
+    });
+    assert.deepEqual(normalizeAnimation({ in: "pop", duration: 0.5 }), {
+        in: "pop",
+        out: "none",
+        inDuration: 0.5,
+        outDuration: 0.5,
+    });
+    assert.throws(() => normalizeAnimation("spin"), /Unknown animation/);
+    assert.throws(
+        () => normalizeAnimation({ out: "typewriter" }),
+        /Unknown exit animation/,
+    );
+    assert.throws(
+        () => normalizeAnimation({ in: "fade", duration: -1 }),
+        /non-negative/,
+    );
+});
+
+test("buildAnimation builds alpha, y and fontsize expressions", () => {
+    const timing = { startTime: 1, endTime: 3, fontsize: 40, y: "h-100" };
+
+    assert.deepEqual(buildAnimation(null, timing), {});
+    assert.deepEqual(buildAnimation(normalizeAnimation("fade"), timing), {
+        alpha: "clip((t-1)/0.3,0,1)*clip((3-t)/0.3,0,1)",
+    });
+    assert.equal(
+        buildAnimation(normalizeAnimation("slide-up"), timing).y,
+        "(h-100)+40*(1-clip((t-1)/0.3,0,1))+40*(1-clip((3-t)/0.3,0,1))",
+    );
+    assert.match(
+        buildAnimation(normalizeAnimation({ in: "pop" }), timing).fontsize,
+        /^max\(1,40\*if\(lt\(clip\(\(t-1\)\/0\.3,0,1\),0\.7\)/,
+    );
+    // Without an end time there is no exit
+    assert.deepEqual(
+        buildAnimation(normalizeAnimation("fade"), {
+            ...timing,
+            endTime: undefined,
+        }),
+        { alpha: "clip((t-1)/0.3,0,1)" },
+    );
+});
+
+test("typewriterSteps reveals growing prefixes within the caption", () => {
+    assert.deepEqual(typewriterSteps("a b", { startTime: 1, endTime: 2 }), [
+        { text: "a", startTime: 1, endTime: 1.05 },
+        { text: "a ", startTime: 1.05, endTime: 1.1 },
+        { text: "a b", startTime: 1.1, endTime: 2 },
+    ]);
+
+    // Typing never takes longer than 80% of the time on screen, and long
+    // text is revealed in at most 40 steps
+    const steps = typewriterSteps("x".repeat(100), {
+        startTime: 0,
+        endTime: 1,
+    });
+    assert.equal(steps.length, 40);
+    assert.equal(steps[39].startTime, 0.78);
+    assert.equal(steps[39].text.length, 100);
+});
@@ -0,0 +1,274 @@
+const fs = require("fs");
+const path = require("path");
+const { IMAGE_EXTENSIONS } = require("./encoding");
+const { isFontPath } = require("./fonts");
+
+const MANIFEST_FORMATS = ["csv", "json"];
+
+// Files picked up when batching a directory or glob
+const VIDEO_EXTENSIONS = [
+    ".mp4",
+    ".mov",
+    ".m4v",
+    ".mkv",
+    ".webm",
+    ".avi",
+    ...IMAGE_EXTENSIONS,
+];
+
+// Sidecar captions files looked for next to each video, in order
+const SIDECAR_EXTENSIONS = [".json", ".srt", ".vtt"];
+
+// Manifest columns (lowercased, without "_" or "-") and the job options they
+// fill in
+const MANIFEST_COLUMNS = {
+    input: "inputPath",
+    output: "outputPath",
+    text: "text",
+    bottomtext: "bottomText",
+    captions: "captions",
+    script: "script",
+    format: "format",
+    style: "style",
+    font: "fontfile",
+    fallbackfonts: "fallbackFonts",
+    position: "position",
+    safearea: "safeArea",
+    aspect: "aspectRatio",
+    animation: "animation",
+    start: "startTime",
+    duration: "duration",
+    profile: "profile",
+};
+
+// Job options holding paths, resolved against the manifest's directory
+const PATH_OPTIONS = ["inputPath", "outputPath", "captions"];
+const NUMBER_OPTIONS = ["startTime", "duration"];
+
+// Split CSV content into rows of fields. Fields can be quoted, with ""
+// for a literal quote and line breaks kept inside quotes.
+function parseCsv(content) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+
+    const text = content.replace(/^\uFEFF/, "");
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            quoted = true;
+        } else if (char === ",") {
+            row.push(field);
+            field = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && text[i + 1] === "\n") {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error("Unterminated quoted field in CSV manifest");
+    }
+
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter((fields) => fields.some((value) => value.trim()));
+}
+
+// Map a manifest column name to its job option
+function columnOption(name) {
+    const option =
+        MANIFEST_COLUMNS[String(name).toLowerCase().replace(/[_-]/g, "")];
+    if (!option) {
+        throw new Error(
+            `Unknown manifest column: ${name}. Available columns: ${Object.keys(MANIFEST_COLUMNS).join(", ")}`,
+        );
+    }
+    return option;
+}
+
+// Font paths are resolved against the manifest's directory; font names are
+// kept as they are
+function resolveFont(font, baseDir) {
+    return isFontPath(font) ? path.resolve(baseDir, font) : font;
+}
+
+// Turn a manifest row ({ column: value }) into job options. Empty values
+// are left out so defaults apply.
+function rowToJob(row, baseDir) {
+    const job = {};
+
+    for (const [column, value] of Object.entries(row)) {
+        if (value === undefined || value === null || value === "") {
+            continue;
+        }
+
+        const option = columnOption(column);
+        if (option === "profile") {
+            job.encoding = { profile: value };
+        } else if (NUMBER_OPTIONS.includes(option)) {
+            job[option] = Number(value);
+        } else if (PATH_OPTIONS.includes(option) && typeof value === "string") {
+            job[option] = path.resolve(baseDir, value);
+        } else if (option === "fontfile") {
+            job.fontfile = resolveFont(value, baseDir);
+        } else if (option === "fallbackFonts") {
+            // A list, or names and paths separated by ";" in CSV
+            job.fallbackFonts = (
+                Array.isArray(value) ? value : String(value).split(";")
+            )
+                .map((font) => String(font).trim())
+                .filter(Boolean)
+                .map((font) => resolveFont(font, baseDir));
+        } else {
+            job[option] = value;
+        }
+    }
+
+    return job;
+}
+
+// Parse manifest content into jobs. CSV manifests need a header row; JSON
+// manifests are an array of rows or { "jobs": [...] }.
+function parseManifest(content, format, baseDir = process.cwd()) {
+    let rows;
+
+    if (format === "csv") {
+        const [header, ...records] = parseCsv(content);
+        if (!header) {
+            throw new Error("CSV manifest is empty");
+        }
+        const columns = header.map((name) => name.trim());
+        rows = records.map((fields) =>
+            Object.fromEntries(
+                columns.map((column, index) => [
+                    column,
+                    (fields[index] || "").trim(),
+                ]),
+            ),
+        );
+    } else if (format === "json") {
+        const data = JSON.parse(content);
+        rows = Array.isArray(data) ? data : data && data.jobs;
+        if (!Array.isArray(rows)) {
+            throw new Error(
+                'JSON manifest must be an array of jobs or an object with a "jobs" array',
+            );
+        }
+    } else {
+        throw new Error(
+            `Unknown manifest format: ${format}. Available formats: ${MANIFEST_FORMATS.join(", ")}`,
+        );
+    }
+
+    return rows.map((row) => rowToJob(row, baseDir));
+}
+
+// Read jobs from a CSV or JSON manifest file. Relative paths in it are
+// resolved against the manifest's directory.
+function readManifest(filePath, format) {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`Manifest file not found: ${filePath}`);
+    }
+
+    const manifestFormat =
+        format || path.extname(filePath).slice(1).toLowerCase();
+    return parseManifest(
+        fs.readFileSync(filePath, "utf8"),
+        manifestFormat,
+        path.dirname(path.resolve(filePath)),
+    );
+}
+
+// Match a file name against a pattern with * and ? wildcards
+function matchesPattern(fileName, pattern) {
+    const expression = pattern
+        .split("")
+        .map((char) => {
+            if (char === "*") {
+                return ".*";
+            }
+            if (char === "?") {
+                return ".";
+            }
+            return char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+        })
+        .join("");
+    return new RegExp(`^${expression}$`, "i").test(fileName);
+}
+
+// Find videos and images in a directory, or matching a glob such as
+// "clips/*.mp4" (wildcards in the file name only)
+function findVideos(pattern) {
+    const isDirectory =
+        fs.existsSync(pattern) && fs.statSync(pattern).isDirectory();
+    const dir = isDirectory ? pattern : path.dirname(pattern);
+    const namePattern = isDirectory ? "*" : path.basename(pattern);
+
+    if (!fs.existsSync(dir)) {
+        throw new Error(`Directory not found: ${dir}`);
+    }
+
+    return fs
+        .readdirSync(dir)
+        .filter(
+            (name) =>
+                VIDEO_EXTENSIONS.includes(path.extname(name).toLowerCase()) &&
+                matchesPattern(name, namePattern),
+        )
+        .sort()
+        .map((name) => path.join(dir, name));
+}
+
+// Build a job for each video found by findVideos, writing to outputDir
+// under the same name. A captions file next to a video with the same
+// name (clip.json, clip.srt or clip.vtt) is used for its captions.
+function jobsFromVideos(pattern, outputDir) {
+    return findVideos(pattern).map((inputPath) => {
+        const { dir, name, base } = path.parse(inputPath);
+        const sidecar = SIDECAR_EXTENSIONS.map((extension) =>
+            path.join(dir, name + extension),
+        ).find((file) => fs.existsSync(file));
+
+        return {
+            inputPath,
+            outputPath: path.join(outputDir, base),
+            ...(sidecar ? { captions: sidecar } : {}),
+        };
+    });
+}
+
+module.exports = {
+    MANIFEST_FORMATS,
+    VIDEO_EXTENSIONS,
+    parseCsv,
+    parseManifest,
+    readManifest,
+    findVideos,
+    jobsFromVideos,
+};
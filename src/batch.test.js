@@ -0,0 +1,129 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+    parseCsv,
+    parseManifest,
+    readManifest,
+    findVideos,
+    jobsFromVideos,
+} = require("./batch");
+
+// A temp folder removed once the test finishes
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "caption-it-test-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test("parseCsv reads quoted fields and skips blank lines", () => {
+    assert.deepEqual(
+        parseCsv(
+            '\uFEFFinput,text\r\na.mp4,"Hi, ""you""\nthere"\r\n\r\nb.mp4,',
+        ),
+        [
+            ["input", "text"],
+            ["a.mp4", 'Hi, "you"\nthere'],
+            ["b.mp4", ""],
+        ],
+    );
+    assert.throws(() => parseCsv('a,"b'), /Unterminated quoted field/);
+});
+
+test("parseManifest maps columns to job options", () => {
+    const csv = "Input,Bottom_Text,font,start,style\na.mp4,Hi,f.ttf,1.5,\n";
+    assert.deepEqual(parseManifest(csv, "csv", "/base"), [
+        {
+            inputPath: path.resolve("/base", "a.mp4"),
+            bottomText: "Hi",
+            fontfile: path.resolve("/base", "f.ttf"),
+            startTime: 1.5,
+        },
+    ]);
+
+    const json = JSON.stringify({
+        jobs: [{ input: "a.mp4", captions: [{ text: "Hi" }] }],
+    });
+    assert.deepEqual(parseManifest(json, "json", "/base"), [
+        {
+            inputPath: path.resolve("/base", "a.mp4"),
+            captions: [{ text: "Hi" }],
+        },
+    ]);
+});
+
+test("parseManifest rejects unknown columns and formats", () => {
+    assert.throws(
+        () => parseManifest("input,color\na.mp4,red\n", "csv"),
+        /Unknown manifest column: color/,
+    );
+    assert.throws(() => parseManifest("{}", "json"), /must be an array/);
+    assert.throws(() => parseManifest("", "csv"), /CSV manifest is empty/);
+    assert.throws(() => parseManifest("", "xml"), /Unknown manifest format/);
+});
+
+test("readManifest resolves paths against the manifest's folder", (t) => {
+    const dir = tempDir(t);
+    const manifestPath = path.join(dir, "jobs.csv");
+    fs.writeFileSync(manifestPath, "input,output\nin.mp4,out/in.mp4\n");
+
+    assert.deepEqual(readManifest(manifestPath), [
+        {
+            inputPath: path.join(dir, "in.mp4"),
+            outputPath: path.join(dir, "out", "in.mp4"),
+        },
+    ]);
+    assert.throws(
+        () => readManifest(path.join(dir, "missing.csv")),
+        /Manifest file not found/,
+    );
+});
+
+test("jobsFromVideos finds videos and their sidecar captions", (t) => {
+    const dir = tempDir(t);
+    for (const name of ["b.MP4", "a.mov", "a.srt", "notes.txt", "c.png"]) {
+        fs.writeFileSync(path.join(dir, name), "");
+    }
+
+    assert.deepEqual(findVideos(dir), [
+        path.join(dir, "a.mov"),
+        path.join(dir, "b.MP4"),
+        path.join(dir, "c.png"),
+    ]);
+    assert.deepEqual(findVideos(path.join(dir, "?.mp4")), [
+        path.join(dir, "b.MP4"),
+    ]);
+    assert.deepEqual(jobsFromVideos(path.join(dir, "a.*"), "/out"), [
+        {
+            inputPath: path.join(dir, "a.mov"),
+            outputPath: path.join("/out", "a.mov"),
+            captions: path.join(dir, "a.srt"),
+        },
+    ]);
+    assert.throws(
+        () => findVideos(path.join(dir, "missing", "*.mp4")),
+        /Directory not found/,
+    );
+});
+
+test("parseManifest turns a profile column into encoding options", () => {
+    assert.deepEqual(parseManifest("profile\ntiktok\n", "csv"), [
+        { encoding: { profile: "tiktok" } },
+    ]);
+});
+
+test("parseManifest resolves font paths but keeps font names", () => {
+    const csv =
+        'font,fallback_fonts\nMontserrat Bold,"fonts/Emoji.ttf; Noto Sans"\n';
+    assert.deepEqual(parseManifest(csv, "csv", "/base"), [
+        {
+            fontfile: "Montserrat Bold",
+            fallbackFonts: [
+                path.resolve("/base", "fonts/Emoji.ttf"),
+                "Noto Sans",
+            ],
+        },
+    ]);
+});
@@ -0,0 +1,458 @@
+const path = require("path");
+
+// Named encoding presets. Options passed alongside a profile override it.
+const ENCODING_PROFILES = {
+    // Small, widely playable H.264 for websites
+    web: {
+        videoCodec: "libx264",
+        crf: 23,
+        preset: "medium",
+        pixelFormat: "yuv420p",
+        audio: "aac",
+        audioBitrate: "128k",
+        faststart: true,
+    },
+    // Vertical short-form upload: at most 1080x1920 at 30fps
+    tiktok: {
+        videoCodec: "libx264",
+        crf: 20,
+        preset: "medium",
+        pixelFormat: "yuv420p",
+        maxWidth: 1080,
+        maxHeight: 1920,
+        maxFps: 30,
+        audio: "aac",
+        audioBitrate: "192k",
+        faststart: true,
+    },
+    // Near-lossless master that keeps the original audio
+    archive: {
+        videoCodec: "libx264",
+        crf: 16,
+        preset: "slow",
+        pixelFormat: "yuv420p",
+        audio: "copy",
+    },
+};
+
+const ENCODING_FIELDS = [
+    "profile",
+    "videoCodec",
+    "crf",
+    "videoBitrate",
+    "preset",
+    "pixelFormat",
+    "maxWidth",
+    "maxHeight",
+    "maxFps",
+    "audio",
+    "audioBitrate",
+    "faststart",
+];
+
+// Animated image outputs, by file extension
+const ANIMATED_IMAGE_FORMATS = {
+    ".gif": "gif",
+    ".webp": "webp",
+};
+
+const ANIMATED_IMAGE_FIELDS = [
+    "fps",
+    "maxWidth",
+    "maxHeight",
+    "loop",
+    "maxFileSize",
+    "colors",
+    "dither",
+    "quality",
+];
+
+// Still image outputs, written as a single frame
+const IMAGE_EXTENSIONS = [".png", ".jpg", ".jpeg", ".bmp"];
+
+const IMAGE_FIELDS = ["maxWidth", "maxHeight"];
+
+// Defaults that keep GIFs and WebPs small enough to share
+const ANIMATED_IMAGE_DEFAULTS = {
+    fps: 15,
+    maxWidth: 480,
+    loop: 0,
+    colors: 256,
+    dither: "sierra2_4a",
+    quality: 75,
+};
+
+// Limits for shrinking an animated image towards maxFileSize
+const MIN_ANIMATED_WIDTH = 160;
+const MIN_ANIMATED_FPS = 8;
+const MIN_GIF_COLORS = 32;
+const MIN_WEBP_QUALITY = 30;
+const MAX_SIZE_ATTEMPTS = 6;
+
+const FILE_SIZE_UNITS = { "": 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 };
+
+function isPositive(value) {
+    return typeof value === "number" && Number.isFinite(value) && value > 0;
+}
+
+// Parse a file size given in bytes or as "8MB", "500KB", "10M"
+function parseFileSize(size) {
+    if (isPositive(size)) {
+        return size;
+    }
+
+    const match = /^(\d+(?:\.\d+)?)\s*([kmg]?)b?$/i.exec(String(size).trim());
+    if (!match) {
+        throw new Error(
+            `Invalid file size: ${size}. Use bytes or a size such as 8MB or 500KB`,
+        );
+    }
+
+    const multiplier = FILE_SIZE_UNITS[match[2].toLowerCase()];
+    return Math.floor(parseFloat(match[1]) * multiplier);
+}
+
+// Human-readable file size, e.g. "8.4MB"
+function formatFileSize(bytes) {
+    if (bytes < 1024) {
+        return `${bytes}B`;
+    }
+    if (bytes < 1024 ** 2) {
+        return `${(bytes / 1024).toFixed(1)}KB`;
+    }
+    return `${(bytes / 1024 ** 2).toFixed(1)}MB`;
+}
+
+// Animated image format ("gif" or "webp") for an output path, if any
+function getAnimatedImageFormat(outputPath) {
+    const extension = path.extname(outputPath || "").toLowerCase();
+    return ANIMATED_IMAGE_FORMATS[extension];
+}
+
+// Is the output path a still image (.png, .jpg, .jpeg or .bmp)?
+function isImageOutput(outputPath) {
+    return IMAGE_EXTENSIONS.includes(
+        path.extname(outputPath || "").toLowerCase(),
+    );
+}
+
+// Check the options for a still image output, which can only be scaled
+function normalizeImage(options = {}) {
+    const fields =
+        typeof options === "string" ? ["profile"] : Object.keys(options);
+    for (const key of fields) {
+        if (!IMAGE_FIELDS.includes(key)) {
+            throw new Error(
+                `Encoding option ${key} doesn't apply to image output. Available options: ${IMAGE_FIELDS.join(", ")}`,
+            );
+        }
+    }
+
+    for (const key of IMAGE_FIELDS) {
+        if (options[key] !== undefined && !isPositive(options[key])) {
+            throw new Error(`${key} must be a positive number`);
+        }
+    }
+
+    return { ...options, format: "image" };
+}
+
+// Check GIF/WebP options and fill in the defaults
+function normalizeAnimatedImage(format, options = {}) {
+    if (typeof options === "string") {
+        throw new Error(
+            `Encoding profiles don't apply to ${format} output. Available options: ${ANIMATED_IMAGE_FIELDS.join(", ")}`,
+        );
+    }
+
+    for (const key of Object.keys(options)) {
+        if (!ANIMATED_IMAGE_FIELDS.includes(key)) {
+            throw new Error(
+                `Encoding option ${key} doesn't apply to ${format} output. Available options: ${ANIMATED_IMAGE_FIELDS.join(", ")}`,
+            );
+        }
+    }
+
+    const result = { ...ANIMATED_IMAGE_DEFAULTS, format };
+    for (const [key, value] of Object.entries(options)) {
+        if (value !== undefined) {
+            result[key] = value;
+        }
+    }
+
+    for (const key of ["fps", "maxWidth", "maxHeight", "colors", "quality"]) {
+        if (result[key] !== undefined && !isPositive(result[key])) {
+            throw new Error(`${key} must be a positive number`);
+        }
+    }
+
+    if (!Number.isInteger(result.loop) || result.loop < -1) {
+        throw new Error(
+            "loop must be 0 (forever), -1 (play once) or a number of repeats",
+        );
+    }
+
+    if (result.colors > 256) {
+        throw new Error("colors must be at most 256");
+    }
+
+    if (result.maxFileSize !== undefined) {
+        result.maxFileSize = parseFileSize(result.maxFileSize);
+    }
+
+    return result;
+}
+
+// Merge encoding options over their profile and check them. Returns null
+// when nothing was asked for, leaving FFmpeg's defaults. GIF, WebP and
+// still image outputs (picked by the output extension) take their own
+// options instead.
+function normalizeEncoding(encoding, outputPath) {
+    if (isImageOutput(outputPath)) {
+        return normalizeImage(encoding || {});
+    }
+
+    const animatedFormat = getAnimatedImageFormat(outputPath);
+    if (animatedFormat) {
+        return normalizeAnimatedImage(animatedFormat, encoding || {});
+    }
+
+    if (!encoding) {
+        return null;
+    }
+
+    if (typeof encoding === "string") {
+        return normalizeEncoding({ profile: encoding });
+    }
+
+    for (const key of Object.keys(encoding)) {
+        if (!ENCODING_FIELDS.includes(key)) {
+            throw new Error(
+                `Unknown encoding option: ${key}. Available options: ${ENCODING_FIELDS.join(", ")}`,
+            );
+        }
+    }
+
+    const { profile, ...overrides } = encoding;
+    let base = {};
+    if (profile) {
+        base = ENCODING_PROFILES[profile];
+        if (!base) {
+            throw new Error(
+                `Unknown encoding profile: ${profile}. Available profiles: ${Object.keys(ENCODING_PROFILES).join(", ")}`,
+            );
+        }
+    }
+
+    // A bitrate replaces the profile's quality-based rate control
+    if (overrides.videoBitrate !== undefined && overrides.crf === undefined) {
+        base = { ...base, crf: undefined };
+    }
+
+    const result = { ...base };
+    for (const [key, value] of Object.entries(overrides)) {
+        if (value !== undefined) {
+            result[key] = value;
+        }
+    }
+
+    if (
+        result.crf !== undefined &&
+        !(Number.isInteger(result.crf) && result.crf >= 0 && result.crf <= 63)
+    ) {
+        throw new Error("crf must be a whole number from 0 to 63");
+    }
+
+    for (const key of ["maxWidth", "maxHeight", "maxFps"]) {
+        if (result[key] !== undefined && !isPositive(result[key])) {
+            throw new Error(`${key} must be a positive number`);
+        }
+    }
+
+    return result;
+}
+
+// Scale filter that shrinks the frame to fit maxWidth x maxHeight, keeping
+// the aspect ratio and even dimensions for yuv420p. Never upscales.
+function buildScaleFilter({ maxWidth, maxHeight }) {
+    if (!maxWidth && !maxHeight) {
+        return null;
+    }
+
+    const width = maxWidth ? `'min(iw,${maxWidth})'` : "iw";
+    const height = maxHeight ? `'min(ih,${maxHeight})'` : "ih";
+    return (
+        `scale=w=${width}:h=${height}:` +
+        "force_original_aspect_ratio=decrease:force_divisible_by=2"
+    );
+}
+
+// Palette-based GIF filters: build one palette for the whole clip, then map
+// every frame onto it
+function buildGifFilters({ fps, colors, dither }) {
+    return [
+        `fps=${fps}`,
+        "split[frames][source];" +
+            `[source]palettegen=max_colors=${colors}:stats_mode=diff[palette];` +
+            `[frames][palette]paletteuse=dither=${dither}:diff_mode=rectangle`,
+    ];
+}
+
+// Video filters an encoding adds after the captions are drawn
+function buildEncodingFilters(encoding, videoInfo = {}) {
+    const filters = [];
+    if (!encoding) {
+        return filters;
+    }
+
+    const scaleFilter = buildScaleFilter(encoding);
+    if (scaleFilter) {
+        filters.push(scaleFilter);
+    }
+
+    // Animated images scale before the palette is built from the frames
+    if (encoding.format === "gif") {
+        return filters.concat(buildGifFilters(encoding));
+    }
+    if (encoding.format === "webp") {
+        return filters.concat(`fps=${encoding.fps}`);
+    }
+    if (encoding.format === "image") {
+        return filters;
+    }
+
+    // Only drop frames; slower sources keep their frame rate
+    if (encoding.maxFps && !(videoInfo.fps <= encoding.maxFps)) {
+        filters.push(`fps=${encoding.maxFps}`);
+    }
+
+    return filters;
+}
+
+// Set codecs and rate control on a fluent-ffmpeg command
+function applyEncoding(command, encoding, videoInfo) {
+    if (!encoding) {
+        return command;
+    }
+
+    const filters = buildEncodingFilters(encoding, videoInfo);
+    if (filters.length) {
+        command.videoFilters(filters);
+    }
+
+    if (encoding.format === "image") {
+        // One frame to a single file. -q:v 2 is near-best JPEG quality;
+        // the other image encoders ignore it.
+        return command
+            .frames(1)
+            .noAudio()
+            .outputOptions(["-update", "1", "-q:v", "2"]);
+    }
+
+    if (encoding.format === "gif") {
+        return command
+            .noAudio()
+            .outputOptions(["-loop", String(encoding.loop)]);
+    }
+
+    if (encoding.format === "webp") {
+        // WebP counts plays rather than repeats, with 0 for forever
+        const plays = encoding.loop === 0 ? 0 : Math.max(1, encoding.loop + 1);
+        return command
+            .noAudio()
+            .videoCodec("libwebp")
+            .outputOptions([
+                "-loop",
+                String(plays),
+                "-quality",
+                String(encoding.quality),
+            ]);
+    }
+
+    if (encoding.videoCodec) {
+        command.videoCodec(encoding.videoCodec);
+    }
+
+    const outputOptions = [];
+    if (encoding.crf !== undefined) {
+        outputOptions.push("-crf", String(encoding.crf));
+    }
+    if (encoding.preset) {
+        outputOptions.push("-preset", encoding.preset);
+    }
+    if (encoding.pixelFormat) {
+        outputOptions.push("-pix_fmt", encoding.pixelFormat);
+    }
+    // Bitrates go straight through so "4M" and "2500k" both work
+    if (encoding.videoBitrate) {
+        outputOptions.push("-b:v", String(encoding.videoBitrate));
+    }
+    if (encoding.faststart) {
+        outputOptions.push("-movflags", "+faststart");
+    }
+
+    if (encoding.audio === "none") {
+        command.noAudio();
+    } else if (encoding.audio) {
+        command.audioCodec(encoding.audio);
+        if (encoding.audioBitrate && encoding.audio !== "copy") {
+            outputOptions.push("-b:a", String(encoding.audioBitrate));
+        }
+    }
+
+    if (outputOptions.length) {
+        command.outputOptions(outputOptions);
+    }
+
+    return command;
+}
+
+// Settings for the next, smaller attempt at fitting an animated image in
+// maxFileSize, or null when nothing is left to reduce. Frame size, frame
+// rate and colours (GIF) or quality (WebP) all step down, further when the
+// file is far over the limit.
+function shrinkAnimatedImage(settings, { size, frameWidth, attempt }) {
+    if (attempt >= MAX_SIZE_ATTEMPTS) {
+        return null;
+    }
+
+    const ratio = settings.maxFileSize / size;
+    const width = Math.min(settings.maxWidth || frameWidth, frameWidth);
+    const scale = Math.min(0.9, Math.max(0.5, Math.sqrt(ratio)));
+
+    const next = {
+        ...settings,
+        maxWidth: Math.max(
+            MIN_ANIMATED_WIDTH,
+            Math.round((width * scale) / 2) * 2,
+        ),
+        fps: Math.max(MIN_ANIMATED_FPS, Math.round(settings.fps * 0.85)),
+    };
+    if (settings.format === "gif") {
+        next.colors = Math.max(
+            MIN_GIF_COLORS,
+            ratio < 0.7 ? settings.colors / 2 : settings.colors,
+        );
+    } else {
+        next.quality = Math.max(MIN_WEBP_QUALITY, settings.quality - 10);
+    }
+
+    const reduced =
+        next.maxWidth < width ||
+        next.fps < settings.fps ||
+        next.colors < settings.colors ||
+        next.quality < settings.quality;
+    return reduced ? next : null;
+}
+
+module.exports = {
+    ENCODING_PROFILES,
+    IMAGE_EXTENSIONS,
+    isImageOutput,
+    getAnimatedImageFormat,
+    formatFileSize,
+    shrinkAnimatedImage,
+    normalizeEncoding,
+    buildEncodingFilters,
+    applyEncoding,
+};
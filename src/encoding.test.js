@@ -0,0 +1,209 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+    isImageOutput,
+    getAnimatedImageFormat,
+    formatFileSize,
+    shrinkAnimatedImage,
+    normalizeEncoding,
+    buildEncodingFilters,
+    applyEncoding,
+} = require("./encoding");
+
+// Records the fluent-ffmpeg calls applyEncoding makes, chaining like the
+// real command
+function recordCommand() {
+    const command = { calls: {} };
+    for (const name of [
+        "videoFilters",
+        "videoCodec",
+        "audioCodec",
+        "noAudio",
+        "outputOptions",
+        "frames",
+    ]) {
+        command[name] = (...args) => {
+            command.calls[name] = args.length > 1 ? args : args[0];
+            return command;
+        };
+    }
+    return command;
+}
+
+test("normalizeEncoding merges options over their profile", () => {
+    assert.equal(normalizeEncoding(undefined), null);
+    assert.equal(normalizeEncoding("web").crf, 23);
+    assert.deepEqual(normalizeEncoding({ profile: "archive", crf: 18 }), {
+        videoCodec: "libx264",
+        crf: 18,
+        preset: "slow",
+        pixelFormat: "yuv420p",
+        audio: "copy",
+    });
+
+    // A bitrate replaces the profile's crf
+    const bitrate = normalizeEncoding({ profile: "web", videoBitrate: "4M" });
+    assert.equal(bitrate.crf, undefined);
+    assert.equal(bitrate.videoBitrate, "4M");
+});
+
+test("normalizeEncoding rejects unknown and out of range options", () => {
+    assert.throws(
+        () => normalizeEncoding({ codec: "x" }),
+        /Unknown encoding option: codec/,
+    );
+    assert.throws(
+        () => normalizeEncoding("youtube"),
+        /Unknown encoding profile: youtube/,
+    );
+    assert.throws(() => normalizeEncoding({ crf: 64 }), /crf must be/);
+    assert.throws(
+        () => normalizeEncoding({ maxFps: 0 }),
+        /maxFps must be a positive number/,
+    );
+});
+
+test("buildEncodingFilters scales down and only drops frames", () => {
+    const encoding = normalizeEncoding("tiktok");
+
+    assert.deepEqual(buildEncodingFilters(encoding, { fps: 60 }), [
+        "scale=w='min(iw,1080)':h='min(ih,1920)':" +
+            "force_original_aspect_ratio=decrease:force_divisible_by=2",
+        "fps=30",
+    ]);
+    assert.equal(buildEncodingFilters(encoding, { fps: 24 }).length, 1);
+    assert.deepEqual(buildEncodingFilters({ maxFps: 30 }, {}), ["fps=30"]);
+    assert.deepEqual(buildEncodingFilters(null), []);
+});
+
+test("applyEncoding sets codecs and output options", () => {
+    const command = recordCommand();
+    applyEncoding(command, normalizeEncoding("web"), {});
+
+    assert.equal(command.calls.videoCodec, "libx264");
+    assert.equal(command.calls.audioCodec, "aac");
+    assert.deepEqual(command.calls.outputOptions, [
+        "-crf",
+        "23",
+        "-preset",
+        "medium",
+        "-pix_fmt",
+        "yuv420p",
+        "-movflags",
+        "+faststart",
+        "-b:a",
+        "128k",
+    ]);
+    assert.equal(command.calls.videoFilters, undefined);
+
+    const silent = recordCommand();
+    applyEncoding(silent, { audio: "none" }, {});
+    assert.ok("noAudio" in silent.calls);
+});
+
+test("normalizeEncoding picks GIF and WebP options by output extension", () => {
+    assert.equal(getAnimatedImageFormat("clip.GIF"), "gif");
+    assert.equal(getAnimatedImageFormat("clip.mp4"), undefined);
+    assert.deepEqual(
+        normalizeEncoding({ fps: 10, maxFileSize: "1.5MB" }, "out.gif"),
+        {
+            fps: 10,
+            maxWidth: 480,
+            loop: 0,
+            colors: 256,
+            dither: "sierra2_4a",
+            quality: 75,
+            format: "gif",
+            maxFileSize: 1572864,
+        },
+    );
+    assert.throws(
+        () => normalizeEncoding("web", "out.webp"),
+        /Encoding profiles don't apply to webp output/,
+    );
+    assert.throws(
+        () => normalizeEncoding({ crf: 20 }, "out.gif"),
+        /Encoding option crf doesn't apply to gif output/,
+    );
+    assert.throws(
+        () => normalizeEncoding({ maxFileSize: "big" }, "out.gif"),
+        /Invalid file size: big/,
+    );
+    assert.throws(() => normalizeEncoding({ loop: -2 }, "out.gif"), /loop/);
+});
+
+test("animated images get palette filters and loop options", () => {
+    const gif = normalizeEncoding({}, "out.gif");
+    assert.deepEqual(buildEncodingFilters(gif), [
+        "scale=w='min(iw,480)':h=ih:" +
+            "force_original_aspect_ratio=decrease:force_divisible_by=2",
+        "fps=15",
+        "split[frames][source];" +
+            "[source]palettegen=max_colors=256:stats_mode=diff[palette];" +
+            "[frames][palette]paletteuse=dither=sierra2_4a:diff_mode=rectangle",
+    ]);
+
+    const webp = recordCommand();
+    applyEncoding(webp, normalizeEncoding({ loop: 2 }, "out.webp"), {});
+    assert.equal(webp.calls.videoCodec, "libwebp");
+    assert.deepEqual(webp.calls.outputOptions, [
+        "-loop",
+        "3",
+        "-quality",
+        "75",
+    ]);
+});
+
+test("shrinkAnimatedImage steps settings down until nothing is left", () => {
+    const settings = normalizeEncoding({ maxFileSize: 1000 }, "out.gif");
+
+    assert.deepEqual(
+        shrinkAnimatedImage(settings, {
+            size: 4000,
+            frameWidth: 1920,
+            attempt: 1,
+        }),
+        { ...settings, maxWidth: 240, fps: 13, colors: 128 },
+    );
+    assert.equal(
+        shrinkAnimatedImage(
+            { ...settings, maxWidth: 160, fps: 8, colors: 32 },
+            { size: 4000, frameWidth: 1920, attempt: 1 },
+        ),
+        null,
+    );
+    assert.equal(
+        shrinkAnimatedImage(settings, {
+            size: 4000,
+            frameWidth: 1920,
+            attempt: 6,
+        }),
+        null,
+    );
+    assert.equal(formatFileSize(512), "512B");
+    assert.equal(formatFileSize(8.4 * 1024 ** 2), "8.4MB");
+});
+
+test("still image outputs write one scaled frame", () => {
+    assert.ok(isImageOutput("frame.JPG"));
+    assert.ok(!isImageOutput("clip.gif"));
+    assert.deepEqual(normalizeEncoding({ maxWidth: 640 }, "out.png"), {
+        maxWidth: 640,
+        format: "image",
+    });
+    assert.throws(
+        () => normalizeEncoding("web", "out.png"),
+        /Encoding option profile doesn't apply to image output/,
+    );
+
+    const command = recordCommand();
+    applyEncoding(command, normalizeEncoding(undefined, "out.jpg"), {});
+    assert.equal(command.calls.frames, 1);
+    assert.deepEqual(command.calls.outputOptions, [
+        "-update",
+        "1",
+        "-q:v",
+        "2",
+    ]);
+    assert.equal(command.calls.videoFilters, undefined);
+});
@@ -0,0 +1,68 @@
+// Errors thrown by caption-it. They all extend CaptionItError, so callers can
+// tell them apart from other errors with instanceof or by their name.
+
+class CaptionItError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+// An input file (video, image or subtitle file) that doesn't exist
+class InputNotFoundError extends CaptionItError {
+    constructor(filePath, kind = "Input file") {
+        super(`${kind} does not exist: ${filePath}`);
+        this.path = filePath;
+    }
+}
+
+// A style name that isn't built in or registered
+class UnknownStyleError extends CaptionItError {
+    constructor(style, availableStyles) {
+        super(
+            `Unknown style: ${style}. Available styles: ${availableStyles.join(", ")}`,
+        );
+        this.style = style;
+        this.availableStyles = availableStyles;
+    }
+}
+
+// FFmpeg or ffprobe failed. stderr holds the end of its output, and
+// commandLine the command that was run when known.
+class FfmpegError extends CaptionItError {
+    constructor(message, { stderr, commandLine } = {}) {
+        super(message);
+        this.stderr = stderr;
+        this.commandLine = commandLine;
+    }
+}
+
+// A font that isn't installed, or a font file that doesn't exist. similar
+// lists installed font families with a similar name.
+class FontNotFoundError extends CaptionItError {
+    constructor(message, { font, similar = [] } = {}) {
+        super(message);
+        this.font = font;
+        this.similar = similar;
+    }
+}
+
+// A caption that can't be rendered. index is its position in the captions
+// array (undefined for the text of a single caption) and field the caption
+// property at fault.
+class CaptionValidationError extends CaptionItError {
+    constructor(message, { index, field } = {}) {
+        super(message);
+        this.index = index;
+        this.field = field;
+    }
+}
+
+module.exports = {
+    CaptionItError,
+    InputNotFoundError,
+    UnknownStyleError,
+    FfmpegError,
+    FontNotFoundError,
+    CaptionValidationError,
+};
@@ -0,0 +1,99 @@
+// Builds FFmpeg filter strings. FFmpeg unescapes a filter's option values
+// twice, once when splitting the filtergraph into filters and once when
+// splitting a filter's options, so values are escaped for both. A font path
+// or color with quotes, colons or commas in it then stays one option value
+// instead of ending the filter or adding filters of its own.
+
+// Characters special in a filter's "key=value:key=value" option list
+const OPTION_SPECIAL = /[\\':]/g;
+
+// Characters special in the filtergraph the filters are chained in
+const GRAPH_SPECIAL = /[\\'[\],;]/g;
+
+// Options that take a color, checked with checkColor
+const COLOR_OPTIONS = ["fontcolor", "bordercolor", "boxcolor", "color"];
+
+// Options that must be plain numbers rather than expressions
+const NUMBER_OPTIONS = ["borderw", "boxborderw", "line_spacing"];
+
+// A color name, hex color (#RRGGBB, 0xRRGGBB or RRGGBB, with optional alpha
+// byte) and an optional @opacity, as 0.0-1.0 or a 0xXX byte
+const COLOR_PATTERN =
+    /^(?:[a-z]+|(?:#|0x)?[0-9a-f]{6}(?:[0-9a-f]{2})?)(?:@(0x[0-9a-f]{2}|\d*\.?\d+))?$/i;
+
+// Escape one level: backslash the special characters, and the first and
+// last characters when they are whitespace, which FFmpeg would trim
+function escapeLevel(value, special) {
+    return value.replace(special, "\\$&").replace(/^\s|\s$/g, "\\$&");
+}
+
+// Escape a value for use as a filter option inside a filtergraph
+function escapeFilterValue(value) {
+    return escapeLevel(
+        escapeLevel(String(value), OPTION_SPECIAL),
+        GRAPH_SPECIAL,
+    );
+}
+
+// Check a color is one FFmpeg's color parser takes. name says which option
+// it is for in the error.
+function checkColor(value, name = "color") {
+    const match = COLOR_PATTERN.exec(String(value));
+    const opacity = match && match[1];
+    if (
+        !match ||
+        (opacity && !opacity.startsWith("0x") && Number(opacity) > 1)
+    ) {
+        throw new Error(
+            `Invalid ${name}: ${value}. Use a color name, #RRGGBB or 0xRRGGBB, optionally followed by @opacity (0.0-1.0)`,
+        );
+    }
+    return value;
+}
+
+// Check a value is a finite number (or a string holding one)
+function checkNumber(value, name) {
+    if (
+        !(typeof value === "number" || typeof value === "string") ||
+        String(value).trim() === "" ||
+        !Number.isFinite(Number(value))
+    ) {
+        throw new Error(`${name} must be a number: ${value}`);
+    }
+    return value;
+}
+
+// Build a filter such as "drawbox=x=10:color=black" from its name and
+// options. Undefined and null options are left out; colors and numbers are
+// checked and every value is escaped.
+function buildFilter(name, options = {}) {
+    const args = [];
+
+    for (const [key, value] of Object.entries(options)) {
+        if (value === undefined || value === null) {
+            continue;
+        }
+        if (COLOR_OPTIONS.includes(key)) {
+            checkColor(value, key);
+        } else if (NUMBER_OPTIONS.includes(key)) {
+            checkNumber(value, key);
+        }
+        args.push(`${key}=${escapeFilterValue(value)}`);
+    }
+
+    return args.length ? `${name}=${args.join(":")}` : name;
+}
+
+// Build a drawtext filter. Caption text is drawn as written, so a % in it
+// isn't taken for one of drawtext's %{...} expansions.
+function drawtext(options) {
+    return buildFilter("drawtext", { ...options, expansion: "none" });
+}
+
+module.exports = {
+    escapeFilterValue,
+    checkColor,
+    checkNumber,
+    buildFilter,
+    drawtext,
+};
@@ -0,0 +1,52 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+    escapeFilterValue,
+    checkColor,
+    checkNumber,
+    buildFilter,
+    drawtext,
+} = require("./filters");
+
+test("escapeFilterValue escapes for the filter and the filtergraph", () => {
+    assert.equal(escapeFilterValue("plain"), "plain");
+    assert.equal(escapeFilterValue("a:b"), "a\\\\:b");
+    assert.equal(escapeFilterValue("it's"), "it\\\\\\'s");
+    assert.equal(escapeFilterValue("between(t,1,2)"), "between(t\\,1\\,2)");
+    assert.equal(escapeFilterValue("[out];"), "\\[out\\]\\;");
+    // Edge spaces are kept at both levels
+    assert.equal(escapeFilterValue(" x "), "\\\\ x\\\\\\ ");
+});
+
+test("buildFilter joins checked, escaped options", () => {
+    assert.equal(
+        buildFilter("drawbox", {
+            x: 10,
+            y: undefined,
+            color: "black@0.5",
+            enable: "gte(t,1)",
+        }),
+        "drawbox=x=10:color=black@0.5:enable=gte(t\\,1)",
+    );
+    assert.equal(buildFilter("null"), "null");
+    assert.equal(
+        drawtext({ textfile: "C:\\fonts\\a.txt", fontsize: 40 }),
+        "drawtext=textfile=C\\\\:\\\\\\\\fonts\\\\\\\\a.txt:fontsize=40:expansion=none",
+    );
+});
+
+test("checkColor and checkNumber reject values FFmpeg can't parse", () => {
+    for (const color of ["white", "#FF0000", "0xff000080", "black@0.4"]) {
+        assert.equal(checkColor(color), color);
+    }
+    assert.throws(
+        () => buildFilter("drawbox", { color: "red:enable=0" }),
+        /Invalid color: red:enable=0/,
+    );
+    assert.throws(() => checkColor("white@2", "fontcolor"), /fontcolor/);
+    assert.equal(checkNumber("2.5", "borderw"), "2.5");
+    assert.throws(
+        () => buildFilter("drawtext", { borderw: "2+1" }),
+        /borderw must be a number: 2\+1/,
+    );
+});
@@ -0,0 +1,578 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { FontNotFoundError } = require("./errors");
+const { splitGraphemes } = require("./text");
+
+// sfnt versions for TrueType and CFF-based OpenType fonts, and the tag of a
+// font collection (.ttc)
+const TRUETYPE_VERSIONS = [0x00010000, 0x74727565]; // 1.0 and "true"
+const OPENTYPE_VERSION = 0x4f54544f; // "OTTO"
+const COLLECTION_TAG = 0x74746366; // "ttcf"
+
+// Parsed metrics by font path (null when a font couldn't be read)
+const metricsCache = new Map();
+
+// Font files picked up when scanning font directories
+const FONT_EXTENSIONS = [".ttf", ".otf", ".ttc"];
+
+// Styles preferred when a font is looked up by its family name alone
+const REGULAR_STYLES = ["regular", "normal", "book", "roman", "medium"];
+
+// Fonts found by listFonts, looked up once per process
+let fontList;
+
+// Find the table records of the font starting at offset
+function readTableDirectory(buffer, offset) {
+    const version = buffer.readUInt32BE(offset);
+    if (!TRUETYPE_VERSIONS.includes(version) && version !== OPENTYPE_VERSION) {
+        throw new Error("Not a TrueType or OpenType font");
+    }
+
+    const tables = {};
+    const numTables = buffer.readUInt16BE(offset + 4);
+    for (let i = 0; i < numTables; i++) {
+        const record = offset + 12 + i * 16;
+        const tag = buffer.toString("latin1", record, record + 4);
+        tables[tag] = {
+            offset: buffer.readUInt32BE(record + 8),
+            length: buffer.readUInt32BE(record + 12),
+        };
+    }
+    return tables;
+}
+
+// Segment-mapped BMP subtable (format 4)
+function readCmapFormat4(buffer, offset) {
+    const segCount = buffer.readUInt16BE(offset + 6) / 2;
+    const endCodes = offset + 14;
+    const startCodes = endCodes + segCount * 2 + 2;
+    const idDeltas = startCodes + segCount * 2;
+    const idRangeOffsets = idDeltas + segCount * 2;
+
+    return (codePoint) => {
+        for (let i = 0; i < segCount; i++) {
+            if (codePoint > buffer.readUInt16BE(endCodes + i * 2)) {
+                continue;
+            }
+
+            const start = buffer.readUInt16BE(startCodes + i * 2);
+            if (codePoint < start) {
+                return 0;
+            }
+
+            const delta = buffer.readInt16BE(idDeltas + i * 2);
+            const rangeOffsetAt = idRangeOffsets + i * 2;
+            const rangeOffset = buffer.readUInt16BE(rangeOffsetAt);
+            if (rangeOffset === 0) {
+                return (codePoint + delta) & 0xffff;
+            }
+
+            const glyphAt =
+                rangeOffsetAt + rangeOffset + (codePoint - start) * 2;
+            const glyph = buffer.readUInt16BE(glyphAt);
+            return glyph === 0 ? 0 : (glyph + delta) & 0xffff;
+        }
+        return 0;
+    };
+}
+
+// Segmented coverage subtable (format 12), used for characters outside
+// the BMP such as emoji
+function readCmapFormat12(buffer, offset) {
+    const groupCount = buffer.readUInt32BE(offset + 12);
+    const groups = offset + 16;
+
+    return (codePoint) => {
+        for (let i = 0; i < groupCount; i++) {
+            const group = groups + i * 12;
+            const start = buffer.readUInt32BE(group);
+            const end = buffer.readUInt32BE(group + 4);
+            if (codePoint >= start && codePoint <= end) {
+                return buffer.readUInt32BE(group + 8) + (codePoint - start);
+            }
+        }
+        return 0;
+    };
+}
+
+// Pick the best Unicode subtable from the cmap table and return a code
+// point to glyph id lookup
+function readCmap(buffer, offset) {
+    const subtables = [];
+    const numTables = buffer.readUInt16BE(offset + 2);
+    for (let i = 0; i < numTables; i++) {
+        const record = offset + 4 + i * 8;
+        const platformId = buffer.readUInt16BE(record);
+        const encodingId = buffer.readUInt16BE(record + 2);
+        const subtableOffset = offset + buffer.readUInt32BE(record + 4);
+        const unicode =
+            platformId === 0 ||
+            (platformId === 3 && (encodingId === 1 || encodingId === 10));
+        if (unicode) {
+            subtables.push({
+                format: buffer.readUInt16BE(subtableOffset),
+                offset: subtableOffset,
+            });
+        }
+    }
+
+    const full = subtables.find((subtable) => subtable.format === 12);
+    if (full) {
+        return readCmapFormat12(buffer, full.offset);
+    }
+
+    const bmp = subtables.find((subtable) => subtable.format === 4);
+    if (bmp) {
+        return readCmapFormat4(buffer, bmp.offset);
+    }
+
+    throw new Error("Font has no Unicode character map");
+}
+
+// Parse the metrics needed to measure text from a TrueType/OpenType font
+function parseFontMetrics(buffer) {
+    let offset = 0;
+    if (buffer.readUInt32BE(0) === COLLECTION_TAG) {
+        // Measure with the first font of a collection
+        offset = buffer.readUInt32BE(12);
+    }
+
+    const tables = readTableDirectory(buffer, offset);
+    for (const tag of ["head", "hhea", "hmtx", "cmap"]) {
+        if (!tables[tag]) {
+            throw new Error(`Font is missing its ${tag} table`);
+        }
+    }
+
+    const unitsPerEm = buffer.readUInt16BE(tables.head.offset + 18);
+    const hhea = tables.hhea.offset;
+    const numberOfHMetrics = buffer.readUInt16BE(hhea + 34);
+    const hmtx = tables.hmtx.offset;
+    const glyphForCodePoint = readCmap(buffer, tables.cmap.offset);
+
+    // Glyphs past the last full metric share its advance width
+    const advanceForGlyph = (glyph) =>
+        buffer.readUInt16BE(hmtx + Math.min(glyph, numberOfHMetrics - 1) * 4);
+
+    const advances = new Map();
+    return {
+        unitsPerEm,
+        ascender: buffer.readInt16BE(hhea + 4),
+        descender: buffer.readInt16BE(hhea + 6),
+        lineGap: buffer.readInt16BE(hhea + 8),
+        // Whether the font has a glyph for a character
+        covers(codePoint) {
+            return glyphForCodePoint(codePoint) !== 0;
+        },
+        // Advance width of a character in font units
+        advance(codePoint) {
+            if (!advances.has(codePoint)) {
+                advances.set(
+                    codePoint,
+                    advanceForGlyph(glyphForCodePoint(codePoint)),
+                );
+            }
+            return advances.get(codePoint);
+        },
+    };
+}
+
+// Load the metrics of a font file. Returns null when there is no font or it
+// can't be parsed, so callers can fall back to estimates. onWarning is
+// called with the reason the first time a font can't be read.
+function loadFontMetrics(fontPath, onWarning) {
+    if (!fontPath) {
+        return null;
+    }
+
+    if (!metricsCache.has(fontPath)) {
+        let metrics = null;
+        try {
+            metrics = parseFontMetrics(fs.readFileSync(fontPath));
+        } catch (error) {
+            if (onWarning) {
+                onWarning(
+                    `Could not read font metrics from ${fontPath}: ${error.message}`,
+                );
+            }
+        }
+        metricsCache.set(fontPath, metrics);
+    }
+    return metricsCache.get(fontPath);
+}
+
+// Width of a single line of text in pixels at the given font size
+function measureText(metrics, text, fontSize) {
+    let units = 0;
+    for (const character of text) {
+        units += metrics.advance(character.codePointAt(0));
+    }
+    return (units * fontSize) / metrics.unitsPerEm;
+}
+
+// Height drawtext gives each line (ascender to descender) in pixels
+function measureLineHeight(metrics, fontSize) {
+    const units = metrics.ascender - metrics.descender;
+    return (units * fontSize) / metrics.unitsPerEm;
+}
+
+// Height of the font's ascender, from the top of a drawtext line to its
+// baseline, in pixels
+function measureAscent(metrics, fontSize) {
+    return (metrics.ascender * fontSize) / metrics.unitsPerEm;
+}
+
+// Read length bytes of an open file from position
+function readAt(fd, position, length) {
+    const buffer = Buffer.alloc(length);
+    fs.readSync(fd, buffer, 0, length, position);
+    return buffer;
+}
+
+// Pick the family, style and full name out of a name table, preferring
+// US English Windows names, then other Unicode names, then Mac Roman ones
+function parseNames(buffer) {
+    const count = buffer.readUInt16BE(2);
+    const stringsOffset = buffer.readUInt16BE(4);
+    const names = {};
+    const ranks = {};
+
+    for (let i = 0; i < count; i++) {
+        const record = 6 + i * 12;
+        const platformId = buffer.readUInt16BE(record);
+        const languageId = buffer.readUInt16BE(record + 4);
+        const nameId = buffer.readUInt16BE(record + 6);
+        const length = buffer.readUInt16BE(record + 8);
+        const start = stringsOffset + buffer.readUInt16BE(record + 10);
+
+        let rank = 0;
+        if (platformId === 3 && languageId === 0x409) {
+            rank = 3;
+        } else if (platformId === 3 || platformId === 0) {
+            rank = 2;
+        } else if (platformId === 1 && languageId === 0) {
+            rank = 1;
+        }
+        if (
+            !rank ||
+            rank <= (ranks[nameId] || 0) ||
+            start + length > buffer.length
+        ) {
+            continue;
+        }
+
+        // Unicode and Windows names are UTF-16BE
+        const bytes = buffer.subarray(start, start + length);
+        names[nameId] =
+            platformId === 1
+                ? bytes.toString("latin1")
+                : Buffer.from(bytes).swap16().toString("utf16le");
+        ranks[nameId] = rank;
+    }
+
+    // Typographic names (16 and 17) group more styles under one family
+    return {
+        family: names[16] || names[1],
+        style: names[17] || names[2] || "Regular",
+        fullName: names[4],
+    };
+}
+
+// Read the names of a font file (the first font of a collection) without
+// loading the whole file
+function readFontNames(fontPath) {
+    const fd = fs.openSync(fontPath, "r");
+    try {
+        let offset = 0;
+        if (readAt(fd, 0, 4).readUInt32BE(0) === COLLECTION_TAG) {
+            offset = readAt(fd, 12, 4).readUInt32BE(0);
+        }
+
+        const numTables = readAt(fd, offset + 4, 2).readUInt16BE(0);
+        const tables = readTableDirectory(
+            readAt(fd, offset, 12 + numTables * 16),
+            0,
+        );
+        if (!tables.name) {
+            throw new Error("Font is missing its name table");
+        }
+        return parseNames(readAt(fd, tables.name.offset, tables.name.length));
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// List fonts through fontconfig. Returns null when fc-list isn't installed.
+function listFontconfigFonts() {
+    let output;
+    try {
+        output = execFileSync(
+            "fc-list",
+            [
+                "--format",
+                "%{family}\\t%{style}\\t%{fullname}\\t%{index}\\t%{file}\\n",
+            ],
+            { encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] },
+        );
+    } catch (error) {
+        return null;
+    }
+
+    // Names can list several translations, separated by commas. drawtext
+    // only draws the first font of a collection.
+    return output
+        .split("\n")
+        .map((line) => line.split("\t"))
+        .filter(
+            ([family, , , index, file]) =>
+                family &&
+                index === "0" &&
+                FONT_EXTENSIONS.includes(path.extname(file).toLowerCase()),
+        )
+        .map(([family, style, fullName, , file]) => ({
+            family: family.split(",")[0],
+            style: style.split(",")[0] || "Regular",
+            fullName: fullName.split(",")[0] || undefined,
+            path: file,
+        }));
+}
+
+// Directories scanned for fonts when fontconfig isn't available: the system
+// and user font directories of each platform
+function systemFontDirectories() {
+    const home = os.homedir();
+    if (process.platform === "win32") {
+        return [
+            path.join(process.env.WINDIR || "C:\\Windows", "Fonts"),
+            path.join(
+                process.env.LOCALAPPDATA || path.join(home, "AppData", "Local"),
+                "Microsoft",
+                "Windows",
+                "Fonts",
+            ),
+        ];
+    }
+    if (process.platform === "darwin") {
+        return [
+            "/System/Library/Fonts",
+            "/Library/Fonts",
+            path.join(home, "Library", "Fonts"),
+        ];
+    }
+    return [
+        "/usr/share/fonts",
+        "/usr/local/share/fonts",
+        path.join(home, ".fonts"),
+        path.join(home, ".local", "share", "fonts"),
+    ];
+}
+
+// Find the font files in a directory and its subdirectories
+function findFontFiles(dir) {
+    let entries;
+    try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (error) {
+        return [];
+    }
+
+    return entries.flatMap((entry) => {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            return findFontFiles(entryPath);
+        }
+        return FONT_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())
+            ? [entryPath]
+            : [];
+    });
+}
+
+// List the fonts that can be used by name, as { family, style, fullName,
+// path } sorted by family and style. Installed fonts come from fontconfig,
+// or a scan of the system font directories when it isn't available. Fonts
+// in a "fonts" folder in the working directory are always included.
+function listFonts() {
+    if (!fontList) {
+        const fontconfigFonts = listFontconfigFonts();
+        const dirs = [
+            path.resolve("fonts"),
+            ...(fontconfigFonts ? [] : systemFontDirectories()),
+        ];
+        const scannedFonts = dirs.flatMap(findFontFiles).flatMap((file) => {
+            try {
+                const names = readFontNames(file);
+                return names.family ? [{ ...names, path: file }] : [];
+            } catch (error) {
+                return [];
+            }
+        });
+
+        const byPath = new Map();
+        for (const font of [...scannedFonts, ...(fontconfigFonts || [])]) {
+            if (!byPath.has(font.path)) {
+                byPath.set(font.path, font);
+            }
+        }
+        fontList = [...byPath.values()].sort(
+            (a, b) =>
+                a.family.localeCompare(b.family) ||
+                a.style.localeCompare(b.style),
+        );
+    }
+    return fontList;
+}
+
+// Lowercase a font name and drop spaces and punctuation, so "Montserrat
+// Bold", "montserrat-bold" and "MontserratBold" all match
+function normalizeFontName(name) {
+    return String(name)
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]/gu, "");
+}
+
+// Find a font by its full name ("Montserrat Bold"), family and style, file
+// name, or family alone (preferring its regular style). Returns null when
+// there is no such font.
+function findFont(name) {
+    const query = normalizeFontName(name);
+    const fonts = listFonts();
+
+    const exact = fonts.find((font) =>
+        [
+            font.fullName,
+            `${font.family} ${font.style}`,
+            path.parse(font.path).name,
+        ].some(
+            (candidate) => candidate && normalizeFontName(candidate) === query,
+        ),
+    );
+    if (exact) {
+        return exact;
+    }
+
+    const family = fonts.filter(
+        (font) => normalizeFontName(font.family) === query,
+    );
+    return (
+        family.find((font) =>
+            REGULAR_STYLES.includes(font.style.toLowerCase()),
+        ) ||
+        family[0] ||
+        null
+    );
+}
+
+// Whether a font option is a file path (it has a directory or a font file
+// extension) rather than a font name
+function isFontPath(font) {
+    return (
+        /[\\/]/.test(font) ||
+        FONT_EXTENSIONS.includes(path.extname(font).toLowerCase())
+    );
+}
+
+// Resolve a font option, a file path or a font name, to a font file
+function resolveFont(font) {
+    if (isFontPath(font)) {
+        if (!fs.existsSync(font)) {
+            throw new FontNotFoundError(`Font file does not exist: ${font}`, {
+                font,
+            });
+        }
+        return font;
+    }
+
+    const found = findFont(font);
+    if (!found) {
+        // Families containing the name, contained in it, or starting alike
+        const query = normalizeFontName(font);
+        const similar = [
+            ...new Set(
+                listFonts()
+                    .filter((candidate) => {
+                        const family = normalizeFontName(candidate.family);
+                        return (
+                            family.includes(query) ||
+                            query.includes(family) ||
+                            family.startsWith(query.slice(0, 4))
+                        );
+                    })
+                    .map((candidate) => candidate.family),
+            ),
+        ].slice(0, 5);
+        throw new FontNotFoundError(
+            similar.length
+                ? `Font not found: ${font}. Similar fonts: ${similar.join(", ")}`
+                : `Font not found: ${font}. List the available fonts with "caption-it fonts"`,
+            { font, similar },
+        );
+    }
+    return found.path;
+}
+
+// Characters that don't need a glyph of their own: spaces, joiners and
+// variation selectors
+const GLYPHLESS = /[\s\p{Cf}\uFE00-\uFE0F]/u;
+
+// Split text into runs drawn with one font each: every character goes to
+// the first font of a fallback chain with a glyph for it (all of a
+// grapheme's characters to the same font). Characters that need no glyph,
+// or that no font has, stay in the run they are in. Returns { runs, missing },
+// runs being { text, font } and missing listing the characters no font can
+// draw. Fonts whose metrics can't be read are taken to cover everything.
+function splitFontRuns(fonts, text) {
+    const covers = (font, characters) => {
+        const metrics = loadFontMetrics(font);
+        return (
+            !metrics ||
+            characters.every((character) =>
+                metrics.covers(character.codePointAt(0)),
+            )
+        );
+    };
+
+    const runs = [];
+    const missing = new Set();
+    // Characters before the first that needs a glyph join its run
+    let leading = "";
+    for (const grapheme of splitGraphemes(text || "")) {
+        const characters = Array.from(grapheme).filter(
+            (character) => !GLYPHLESS.test(character),
+        );
+        const font =
+            characters.length &&
+            fonts.find((candidate) => covers(candidate, characters));
+        if (characters.length && !font) {
+            characters.forEach((character) => missing.add(character));
+        }
+
+        const run = runs[runs.length - 1];
+        if (run && (!font || run.font === font)) {
+            run.text += grapheme;
+        } else if (font) {
+            runs.push({ text: leading + grapheme, font });
+            leading = "";
+        } else {
+            leading += grapheme;
+        }
+    }
+    if (leading) {
+        runs.push({ text: leading, font: fonts[0] });
+    }
+    return { runs, missing: [...missing] };
+}
+
+module.exports = {
+    FONT_EXTENSIONS,
+    loadFontMetrics,
+    measureText,
+    measureLineHeight,
+    measureAscent,
+    listFonts,
+    findFont,
+    isFontPath,
+    resolveFont,
+    splitFontRuns,
+};
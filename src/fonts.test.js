@@ -0,0 +1,141 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+    loadFontMetrics,
+    measureText,
+    measureLineHeight,
+    measureAscent,
+    isFontPath,
+    resolveFont,
+    splitFontRuns,
+} = require("./fonts");
+
+// A minimal TrueType font: 1000 units per em, the characters from first to
+// last (by default "A" and "B") mapped to glyphs 1 onwards, and advance
+// widths for glyphs 0 and 1 only (later glyphs share the last one)
+function buildFont(first = 0x41, last = 0x42) {
+    const head = Buffer.alloc(54);
+    head.writeUInt16BE(1000, 18);
+
+    const hhea = Buffer.alloc(36);
+    hhea.writeInt16BE(800, 4);
+    hhea.writeInt16BE(-200, 6);
+    hhea.writeUInt16BE(2, 34);
+
+    const hmtx = Buffer.alloc(8);
+    hmtx.writeUInt16BE(500, 0);
+    hmtx.writeUInt16BE(600, 4);
+
+    // Format 4 subtable with a segment for the characters and the closing
+    // segment
+    const subtable = Buffer.alloc(32);
+    subtable.writeUInt16BE(4, 0);
+    subtable.writeUInt16BE(32, 2);
+    subtable.writeUInt16BE(4, 6);
+    subtable.writeUInt16BE(last, 14);
+    subtable.writeUInt16BE(0xffff, 16);
+    subtable.writeUInt16BE(first, 20);
+    subtable.writeUInt16BE(0xffff, 22);
+    subtable.writeInt16BE(1 - first, 24);
+    subtable.writeInt16BE(1, 26);
+    const cmap = Buffer.concat([Buffer.alloc(12), subtable]);
+    cmap.writeUInt16BE(1, 2);
+    cmap.writeUInt16BE(3, 4);
+    cmap.writeUInt16BE(1, 6);
+    cmap.writeUInt32BE(12, 8);
+
+    const tables = { cmap, head, hhea, hmtx };
+    const directory = Buffer.alloc(12 + Object.keys(tables).length * 16);
+    directory.writeUInt32BE(0x00010000, 0);
+    directory.writeUInt16BE(Object.keys(tables).length, 4);
+
+    let offset = directory.length;
+    Object.entries(tables).forEach(([tag, table], i) => {
+        const record = 12 + i * 16;
+        directory.write(tag, record, "latin1");
+        directory.writeUInt32BE(offset, record + 8);
+        directory.writeUInt32BE(table.length, record + 12);
+        offset += table.length;
+    });
+    return Buffer.concat([directory, ...Object.values(tables)]);
+}
+
+// Write a font file to a temp folder removed once the test finishes
+function writeFont(t, content, name = "font.ttf") {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "caption-it-test-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const fontPath = path.join(dir, name);
+    fs.writeFileSync(fontPath, content);
+    return fontPath;
+}
+
+test("measureText adds up the font's advance widths", (t) => {
+    const metrics = loadFontMetrics(writeFont(t, buildFont()));
+
+    assert.equal(metrics.unitsPerEm, 1000);
+    assert.equal(measureText(metrics, "A", 50), 30);
+    // "B" is past the last full metric and "?" has no glyph (.notdef)
+    assert.equal(measureText(metrics, "B?", 50), 55);
+    assert.equal(measureLineHeight(metrics, 50), 50);
+    assert.equal(measureAscent(metrics, 50), 40);
+});
+
+test("loadFontMetrics returns null for missing or unreadable fonts", (t) => {
+    const warnings = [];
+    const onWarning = (message) => warnings.push(message);
+    const fontPath = writeFont(t, "not a font at all");
+
+    assert.equal(loadFontMetrics(undefined, onWarning), null);
+    assert.equal(loadFontMetrics(fontPath, onWarning), null);
+    // Only reported the first time
+    assert.equal(loadFontMetrics(fontPath, onWarning), null);
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /Not a TrueType or OpenType font/);
+});
+
+test("resolveFont takes font file paths or installed font names", (t) => {
+    const fontPath = writeFont(t, buildFont());
+
+    assert.ok(isFontPath("fonts/Brand"));
+    assert.ok(isFontPath("Brand.OTF"));
+    assert.ok(!isFontPath("Montserrat Bold"));
+    assert.equal(resolveFont(fontPath), fontPath);
+    assert.throws(() => resolveFont("missing/Brand.ttf"), {
+        name: "FontNotFoundError",
+        font: "missing/Brand.ttf",
+        message: "Font file does not exist: missing/Brand.ttf",
+    });
+    assert.throws(() => resolveFont("No Such Font Xyzzy"), {
+        name: "FontNotFoundError",
+        message: /^Font not found: No Such Font Xyzzy\./,
+    });
+});
+
+test("splitFontRuns draws each character with the first font covering it", (t) => {
+    const latin = writeFont(t, buildFont(), "latin.ttf");
+    const kana = writeFont(t, buildFont(0x3042, 0x3044), "kana.ttf");
+
+    assert.deepEqual(splitFontRuns([latin, kana], "AB BA"), {
+        runs: [{ text: "AB BA", font: latin }],
+        missing: [],
+    });
+    // Spaces need no glyph and stay in the run they are in
+    assert.deepEqual(splitFontRuns([latin, kana], " \u3042 AB"), {
+        runs: [
+            { text: " \u3042 ", font: kana },
+            { text: "AB", font: latin },
+        ],
+        missing: [],
+    });
+    // Characters no font has are drawn with the run they are in
+    assert.deepEqual(splitFontRuns([latin, kana], "A?\u3044"), {
+        runs: [
+            { text: "A?", font: latin },
+            { text: "\u3044", font: kana },
+        ],
+        missing: ["?"],
+    });
+});
@@ -2,33 +2,240 @@ const ffmpeg = require("fluent-ffmpeg");
 const path = require("path");
 const fs = require("fs");
 const tmp = require("tmp");
+const { execFile } = require("child_process");
+const EventEmitter = require("events");
+const {
+    SUBTITLE_FORMATS,
+    EXPORT_FORMATS,
+    parseCaptions,
+    readCaptionsFile,
+    writeCaptionsFile,
+    formatCaptions,
+} = require("./subtitles");
+const {
+    SAFE_AREAS,
+    getSafeArea,
+    getSafeWidth,
+    parseAspectRatio,
+    normalizePosition,
+    resolveX,
+    resolveY,
+    resolvePosition,
+} = require("./position");
+const {
+    ANIMATIONS,
+    normalizeAnimation,
+    buildAnimation,
+    typewriterSteps,
+} = require("./animation");
+const {
+    loadFontMetrics,
+    measureText,
+    measureLineHeight,
+    measureAscent,
+    listFonts,
+    isFontPath,
+    resolveFont,
+    splitFontRuns,
+} = require("./fonts");
+const {
+    splitGraphemes,
+    isWide,
+    splitBreakable,
+    joinWords,
+    textDirection,
+    needsShaping,
+    toVisualOrder,
+} = require("./text");
+const { MANIFEST_FORMATS, readManifest, jobsFromVideos } = require("./batch");
+const {
+    CaptionItError,
+    InputNotFoundError,
+    UnknownStyleError,
+    FfmpegError,
+    FontNotFoundError,
+    CaptionValidationError,
+} = require("./errors");
+const { COLOR_FIELDS, validateCaptions } = require("./validation");
+const { createServer } = require("./server");
+const {
+    SCRIPT_TIMING_DEFAULTS,
+    chunkScript,
+    timeCaptions,
+} = require("./timing");
+const {
+    normalizeAlign,
+    parseSilences,
+    speechSegments,
+    snapCaptions,
+    timeOverSpeech,
+} = require("./alignment");
+const { checkSpeakers, findSpeaker, applySpeaker } = require("./speakers");
+const { buildFilter, drawtext, checkColor } = require("./filters");
+const {
+    ENCODING_PROFILES,
+    isImageOutput,
+    getAnimatedImageFormat,
+    shrinkAnimatedImage,
+    formatFileSize,
+    normalizeEncoding,
+    applyEncoding,
+} = require("./encoding");
+
+// Subtitle codecs for muxing soft subtitles into each container.
+// Matroska keeps the subtitle file's own format.
+const CONTAINER_SUBTITLE_CODECS = {
+    ".mp4": "mov_text",
+    ".m4v": "mov_text",
+    ".mov": "mov_text",
+    ".webm": "webvtt",
+    ".mkv": null,
+};
+const SUBTITLE_FILE_CODECS = {
+    ".srt": "srt",
+    ".vtt": "webvtt",
+    ".ass": "ass",
+};
+
+// Options of addMultipleCaptions each of its caption tracks can set
+const TRACK_OPTIONS = [
+    "captions",
+    "style",
+    "fontfile",
+    "fallbackFonts",
+    "position",
+    "safeArea",
+    "aspectRatio",
+    "animation",
+    "speakers",
+    "speakerLabels",
+    "align",
+];
+
+// ✅ Helper to check a subtitle track language, which must be an ISO 639
+// code ("en" or "eng")
+function checkLanguage(language) {
+    if (language !== undefined && !/^[a-z]{2,3}$/i.test(language)) {
+        throw new Error(
+            `Invalid language: ${language}. Use an ISO 639 code such as "en" or "eng"`,
+        );
+    }
+}
+
+// ✅ Helper to wrap long text to a wrap's width (see calculateWrap),
+// keeping any explicit line breaks. Lines break at spaces, between CJK
+// characters and emoji, and after hyphens.
+function wrapText(str, wrap) {
+    return str
+        .split("\n")
+        .map((paragraph) => {
+            const lines = [];
+            let line = "";
+
+            for (const piece of splitBreakable(paragraph)) {
+                const candidate = line + piece;
+                if (
+                    line.trim() &&
+                    wrap.measure(candidate.trim()) > wrap.maxWidth
+                ) {
+                    lines.push(line.trim());
+                    line = piece;
+                } else {
+                    line = candidate;
+                }
+            }
+            lines.push(line.trim());
 
-// ✅ Helper to wrap long text and write to a temp file
-function wrapTextToFile(str, maxLen = 30) {
-    const words = str.split(" ");
-    let line = "";
-    let result = "";
+            return lines.join("\n");
+        })
+        .join("\n");
+}
 
-    for (const word of words) {
-        if ((line + word).length > maxLen) {
-            result += line.trim() + "\n";
-            line = "";
-        }
-        line += word + " ";
+// Whether drawtext lays out right-to-left text itself, which needs FFmpeg
+// built with libfribidi. Checked once, before the first render.
+let textShaping;
+
+// ✅ Helper to check the FFmpeg build for drawtext text shaping
+async function checkTextShaping() {
+    if (textShaping === undefined) {
+        textShaping = await new Promise((resolve) => {
+            execFile(
+                process.env.FFMPEG_PATH || "ffmpeg",
+                ["-hide_banner", "-h", "filter=drawtext"],
+                (error, stdout) =>
+                    resolve(!error && stdout.includes("text_shaping")),
+            );
+        });
     }
-    result += line.trim();
+    return textShaping;
+}
 
+// ✅ Helper to write text to a temp file for drawtext's textfile option.
+// Right-to-left lines are reordered for drawing when FFmpeg can't do it.
+function writeTextFile(str) {
     const tmpFile = tmp.fileSync({ postfix: ".txt" });
-    fs.writeFileSync(tmpFile.name, result);
+    fs.writeFileSync(tmpFile.name, textShaping ? str : toVisualOrder(str));
     return tmpFile.name;
 }
 
+// ✅ Helper to lay out timed words into lines with the same greedy wrapping
+// as wrapText. Offsets and widths are measured in pixels from the left, so
+// words of right-to-left lines run from the right edge.
+function layoutWords(words, wrap) {
+    const lines = [];
+    let line = { words: [], text: "" };
+
+    for (const word of words) {
+        const text = String(word.text).trim();
+        if (
+            line.words.length &&
+            wrap.measure(joinWords([line.text, text])) > wrap.maxWidth
+        ) {
+            lines.push(line);
+            line = { words: [], text: "" };
+        }
+
+        const lineText = joinWords([line.text, text]);
+        const prefix = lineText.slice(0, lineText.length - text.length);
+        line.words.push({
+            ...word,
+            text,
+            offset: wrap.measure(prefix),
+            width: wrap.measure(text),
+        });
+        line.text = lineText;
+    }
+    lines.push(line);
+
+    return lines.map((line) => {
+        const width = wrap.measure(line.text);
+        if (textDirection(line.text) !== "rtl") {
+            return { ...line, width };
+        }
+
+        return {
+            ...line,
+            width,
+            words: line.words.map((word) => ({
+                ...word,
+                offset: width - word.offset - word.width,
+            })),
+        };
+    });
+}
+
 // ✅ Helper to get video dimensions
 function getVideoInfo(inputPath) {
     return new Promise((resolve, reject) => {
         ffmpeg.ffprobe(inputPath, (err, metadata) => {
             if (err) {
-                reject(err);
+                // ffprobe's output follows the first line of the message
+                const [message, ...stderr] = err.message.split("\n");
+                reject(
+                    new FfmpegError(message, {
+                        stderr: stderr.join("\n") || undefined,
+                    }),
+                );
                 return;
             }
 
@@ -40,17 +247,218 @@ function getVideoInfo(inputPath) {
                 return;
             }
 
+            // Frame rates are fractions such as "30000/1001"
+            const [frames, seconds] = String(videoStream.avg_frame_rate)
+                .split("/")
+                .map(Number);
+
+            // Stills are read by the image demuxers and have no duration
+            const isImage = /^image2$|_pipe$/.test(metadata.format.format_name);
+
             resolve({
                 width: videoStream.width,
                 height: videoStream.height,
-                duration: parseFloat(metadata.format.duration),
+                duration: isImage ? 0 : parseFloat(metadata.format.duration),
+                fps: frames > 0 && seconds > 0 ? frames / seconds : undefined,
+                isImage,
+                hasAudio: metadata.streams.some(
+                    (stream) => stream.codec_type === "audio",
+                ),
             });
         });
     });
 }
 
+// Still image outputs are the frame at t=0, so captions drawn on them are
+// given this span to cover it
+const STILL_CAPTION_SPAN = 1;
+
+// ✅ Helper to check whether an encoding writes a single still image
+function isStill(encoding) {
+    return Boolean(encoding && encoding.format === "image");
+}
+
+// ✅ Helper to check a still image input can be rendered to the output: a
+// video needs to know how long to hold the image for
+function checkStillInput(videoInfo, encoding, duration) {
+    if (videoInfo.isImage && !(encoding && encoding.format) && !duration) {
+        throw new Error(
+            "Turning a still image into a video needs a duration, or an image output path (.png, .jpg, .jpeg or .bmp)",
+        );
+    }
+}
+
+// ✅ Helper to show every caption on a still image at once, without word
+// highlighting or animations
+function asStillCaptions(captions) {
+    return captions.map(({ words, ...caption }) => ({
+        ...caption,
+        startTime: 0,
+        endTime: STILL_CAPTION_SPAN,
+        style: { ...caption.style, animation: "none" },
+    }));
+}
+
+// ✅ Helper to pick the part of the input to render: a trimmed stretch of a
+// video, or a still image held for duration seconds
+function applyInputTiming(
+    command,
+    videoInfo,
+    { startTime, duration, encoding, preview },
+) {
+    if (preview) {
+        return applyPreviewTiming(command, videoInfo, startTime, preview);
+    }
+
+    if (!videoInfo.isImage) {
+        if (startTime > 0) {
+            command.seekInput(startTime);
+        }
+        if (duration) {
+            command.duration(duration);
+        }
+        return command;
+    }
+
+    if (!duration) {
+        return command;
+    }
+
+    command.inputOptions(["-loop", "1"]).duration(duration);
+    if (!encoding || !encoding.format) {
+        // Stills are often RGB or odd-sized, which H.264 players can't show
+        command.videoFilters("pad=ceil(iw/2)*2:ceil(ih/2)*2");
+        if (!encoding || !encoding.pixelFormat) {
+            command.outputOptions(["-pix_fmt", "yuv420p"]);
+        }
+    }
+    return command;
+}
+
+// Proxy preview clips: length in seconds and the largest side in pixels
+const PREVIEW_PROXY = { duration: 3, size: 640 };
+
+// ✅ Helper to build the fast, low-resolution encoding of a proxy preview
+function proxyEncoding({ size }, outputPath) {
+    const scale = { maxWidth: size, maxHeight: size };
+    if (getAnimatedImageFormat(outputPath)) {
+        return scale;
+    }
+    return {
+        ...scale,
+        videoCodec: "libx264",
+        crf: 28,
+        preset: "ultrafast",
+        pixelFormat: "yuv420p",
+        audio: "aac",
+    };
+}
+
+// ✅ Helper to start a preview render `time` seconds into the output. The
+// input is offset so frames keep the timestamps they have in the full
+// render, and timed filters (animations, karaoke) draw the same.
+function applyPreviewTiming(command, videoInfo, startTime, { time, duration }) {
+    if (!videoInfo.isImage) {
+        command.seekInput((startTime || 0) + time);
+    } else if (duration) {
+        command.inputOptions(["-loop", "1"]);
+    }
+    command.inputOptions(["-itsoffset", String(time)]);
+
+    if (duration) {
+        // Proxy clips start from 0 once the captions are drawn
+        command.videoFilters("setpts=PTS-STARTPTS").duration(duration);
+        if (!videoInfo.isImage) {
+            command.audioFilters("asetpts=PTS-STARTPTS");
+        }
+    }
+    return command;
+}
+
+// ✅ Helper to read the signal and timeout (in seconds) options of a render
+// into the cancel state passed down to runCommand. The timeout covers the
+// whole call, including any re-renders.
+function getCancel({ signal, timeout }) {
+    if (
+        timeout !== undefined &&
+        !(typeof timeout === "number" && timeout > 0)
+    ) {
+        throw new Error("timeout must be a positive number of seconds");
+    }
+
+    return {
+        signal,
+        timeout,
+        deadline: timeout ? Date.now() + timeout * 1000 : undefined,
+    };
+}
+
+// ✅ Helper to build the error cancelled renders reject with. Like Node's
+// own it is an AbortError with code ABORT_ERR; reason tells "aborted" (the
+// signal) from "timeout".
+function cancelledError(reason, timeout) {
+    const error = new Error(
+        reason === "timeout"
+            ? `Render timed out after ${timeout}s`
+            : "Render was cancelled",
+    );
+    error.name = "AbortError";
+    error.code = "ABORT_ERR";
+    error.reason = reason;
+    return error;
+}
+
+// ✅ Helper to stop a render that was cancelled before FFmpeg started
+function throwIfCancelled(cancel = {}) {
+    if (cancel.signal && cancel.signal.aborted) {
+        throw cancelledError("aborted");
+    }
+    if (cancel.deadline && Date.now() >= cancel.deadline) {
+        throw cancelledError("timeout", cancel.timeout);
+    }
+}
+
+// ✅ Helper to delete what a killed FFmpeg run wrote
+function removePartialOutput(outputPath) {
+    try {
+        fs.unlinkSync(outputPath);
+    } catch (e) {
+        // Nothing was written yet
+    }
+}
+
+// ✅ Helper to get how long the output of a render will be, in seconds.
+// Undefined for single frames and when it isn't known.
+function outputDuration(videoInfo, { startTime, duration, preview }) {
+    if (preview) {
+        return preview.duration;
+    }
+    if (duration) {
+        return duration;
+    }
+    if (videoInfo.isImage || !(videoInfo.duration > 0)) {
+        return undefined;
+    }
+    return Math.max(0, videoInfo.duration - (startTime || 0));
+}
+
+// ✅ Helper to convert an FFmpeg timemark ("00:01:02.50") to seconds
+function parseTimemark(timemark) {
+    const match = /^(-?\d+):(\d+):(\d+(?:\.\d+)?)$/.exec(String(timemark));
+    if (!match) {
+        return undefined;
+    }
+    const [, hours, minutes, seconds] = match.map(Number);
+    return hours * 3600 + minutes * 60 + seconds;
+}
+
 // Calculate scaled font size based on video resolution
-function calculateScaledFontSize(videoWidth, videoHeight, baseStyle) {
+function calculateScaledFontSize(
+    videoWidth,
+    videoHeight,
+    baseStyle,
+    referenceResolution,
+) {
     // =============================================
     // REFERENCE CONFIGURATION
     // =============================================
@@ -90,7 +498,10 @@ function calculateScaledFontSize(videoWidth, videoHeight, baseStyle) {
     // =============================================
     // CORE CALCULATION
     // =============================================
-    const reference = referenceResolutions[baseStyle] || referenceResolutions.gif;
+    const reference =
+        referenceResolution ||
+        referenceResolutions[baseStyle] ||
+        referenceResolutions.gif;
     const videoArea = videoWidth * videoHeight;
     const referenceArea = reference.width * reference.height;
 
@@ -148,19 +559,498 @@ function calculateScaledFontSize(videoWidth, videoHeight, baseStyle) {
     }
 }
 
-// Calculate wrap length based on video width and font size
-function calculateWrapLength(videoWidth, fontSize, padding = 40) {
-    const charWidth = fontSize * 0.6;
+// ✅ Helper to fill in the text of captions that only carry per-word timings
+function withWordText(captions) {
+    return captions.map((caption) =>
+        caption.text === undefined && Array.isArray(caption.words)
+            ? {
+                  ...caption,
+                  text: joinWords(caption.words.map((word) => word.text)),
+              }
+            : caption,
+    );
+}
+
+// ✅ Helper to merge a caption's style overrides over the scaled base style.
+// fontScale multiplies the scaled font size; fontfile falls back to the
+// render's font.
+function applyCaptionStyle(styleConfig, caption, fontfile) {
+    const { fontScale = 1, ...overrides } = caption.style || {};
+
+    return {
+        ...styleConfig,
+        ...overrides,
+        fontsize: Math.round(styleConfig.fontsize * fontScale),
+        line_spacing: Math.round((styleConfig.line_spacing || 0) * fontScale),
+        fontfile: overrides.fontfile || fontfile,
+    };
+}
+
+// ✅ Helper to pick a caption's position: its own, then the render's, then
+// the style's
+function pickPosition(styleConfig, caption, placement) {
+    const overrides = caption.style || {};
+    return overrides.position || placement.position || styleConfig.position;
+}
+
+// ✅ Helper to get drawtext x/y for a caption drawn over the video. The most
+// specific setting wins: the caption's x/y, its position, the render's
+// position, the style's x/y and finally the style's position.
+function getOverlayXY(styleConfig, caption, placement) {
+    const overrides = caption.style || {};
+    const explicitPosition = overrides.position || placement.position;
+    const resolved = resolvePosition(
+        pickPosition(styleConfig, caption, placement) || "center",
+        {
+            safeArea: placement.safeArea,
+            margin: getOverlayMargin(styleConfig),
+        },
+    );
+
+    return {
+        x: overrides.x || (!explicitPosition && styleConfig.x) || resolved.x,
+        y: overrides.y || (!explicitPosition && styleConfig.y) || resolved.y,
+    };
+}
+
+// ✅ Helper to get the gap kept between overlay text and the frame edge,
+// including the box drawn around the text
+function getOverlayMargin(styleConfig) {
+    return (
+        (styleConfig.margin || 0) +
+        (styleConfig.box ? styleConfig.boxborderw || 0 : 0)
+    );
+}
+
+// ✅ Helper to pick a caption's animation: its own, then the render's, then
+// the style's
+function pickAnimation(styleConfig, caption, animation) {
+    const overrides = caption.style || {};
+    return normalizeAnimation(
+        overrides.animation || animation || styleConfig.animation,
+    );
+}
+
+// ✅ Helper to build a drawtext enable expression. Captions without an end
+// time stay on until the end of the video.
+function enableExpression(startTime, endTime) {
+    if (endTime === undefined) {
+        return startTime > 0 ? `gte(t,${startTime})` : undefined;
+    }
+    return `between(t,${startTime},${endTime})`;
+}
+
+// ✅ Helper to tell whether two captions are shown at the same time. A
+// caption without an end time stays on until the end of the video.
+function overlapsInTime(a, b) {
+    const aEnd = a.endTime === undefined ? Infinity : a.endTime;
+    const bEnd = b.endTime === undefined ? Infinity : b.endTime;
+    return a.startTime < bEnd && b.startTime < aEnd;
+}
+
+// ✅ Helper to move a drawtext y expression down by shift pixels (up when
+// negative)
+function shiftY(expression, shift) {
+    return shift
+        ? `(${expression})${shift < 0 ? "-" : "+"}${Math.abs(shift)}`
+        : expression;
+}
+
+// ✅ Helper to stack captions of different tracks that are drawn over the
+// video in the same place at the same time. items are { track, caption,
+// position, height, gap } in track order, height being the caption's drawn
+// height in pixels. Each caption that collides with an earlier track's is
+// given a shift clearing it: up for the bottom row, down otherwise.
+function stackTrackCaptions(items) {
+    items.forEach((item, index) => {
+        item.shift = 0;
+        for (const other of items.slice(0, index)) {
+            if (
+                other.track !== item.track &&
+                other.position.row === item.position.row &&
+                other.position.column === item.position.column &&
+                overlapsInTime(other.caption, item.caption)
+            ) {
+                // Centred captions share a middle, so clear half of each
+                const clearance =
+                    item.position.row === "center"
+                        ? (other.height + item.height) / 2
+                        : other.height;
+                item.shift = Math.max(
+                    item.shift,
+                    other.shift + clearance + other.gap,
+                );
+            }
+        }
+    });
+
+    items.forEach((item) => {
+        if (item.shift) {
+            const shift = Math.round(item.shift);
+            item.caption.shift =
+                item.position.row === "bottom" ? -shift : shift;
+        }
+    });
+}
+
+// ✅ Helper to get the drawtext box options of an overlay style
+function boxOptions(styleConfig) {
+    return styleConfig.box
+        ? {
+              box: 1,
+              boxcolor: styleConfig.boxcolor,
+              boxborderw: styleConfig.boxborderw || 0,
+          }
+        : {};
+}
+
+// ✅ Helper to get the drawtext outline options of an overlay style, which
+// are left out when it has no outline
+function borderOptions(styleConfig) {
+    return styleConfig.borderw > 0
+        ? { borderw: styleConfig.borderw, bordercolor: styleConfig.bordercolor }
+        : {};
+}
+
+// ✅ Helper to expand a caption into the drawtext variants its animation
+// needs: one normally, one per step for typewriter. Each variant has its
+// text file plus the fontsize, y, alpha and enable options to draw it with.
+// With timed false the caption isn't limited to endTime, which is then only
+// used for the exit animation. range ([start, end] string indexes) draws
+// only that part of the text, typed along with the rest of it.
+function animateCaption(
+    wrappedText,
+    { startTime, endTime, fontsize, y, animation, timed = true, range },
+) {
+    const effect = buildAnimation(animation, {
+        startTime,
+        endTime,
+        fontsize,
+        y,
+    });
+    const shownUntil = timed ? endTime : undefined;
+    const steps =
+        animation && animation.in === "typewriter"
+            ? typewriterSteps(wrappedText, {
+                  startTime,
+                  endTime: shownUntil,
+                  duration: animation.inDuration,
+              })
+            : [{ text: wrappedText, startTime, endTime: shownUntil }];
+
+    // Steps that don't change the part drawn are merged, and ones before it
+    // is reached dropped
+    const shown = [];
+    for (const step of steps) {
+        const text = range ? step.text.slice(...range) : step.text;
+        const last = shown[shown.length - 1];
+        if (range && last && last.text === text) {
+            last.endTime = step.endTime;
+        } else if (!range || text.trim()) {
+            shown.push({ ...step, text });
+        }
+    }
+
+    return shown.map((step) => ({
+        file: writeTextFile(step.text),
+        fontsize: effect.fontsize || fontsize,
+        y: effect.y || y,
+        alpha: effect.alpha,
+        enable: enableExpression(step.startTime, step.endTime),
+    }));
+}
+
+// ✅ Helper to get the color a caption's speaker label is drawn in, when it
+// differs from the caption's own. Labels of right-to-left captions keep the
+// caption's color, since they don't start at the left of the text.
+function speakerLabelColor(caption, captionStyle) {
+    const label = caption.speakerLabel;
+    return label &&
+        label.color &&
+        label.color !== captionStyle.fontcolor &&
+        textDirection(caption.text) !== "rtl"
+        ? label.color
+        : undefined;
+}
+
+// ✅ Helper to replace text_w and text_h in a drawtext x/y expression with a
+// measured size, so texts of different sizes drawn at it line up
+function pinTextSize(expression, width, height) {
+    return String(expression)
+        .replace(/\b(text_w|tw)\b/g, width)
+        .replace(/\b(text_h|th)\b/g, height);
+}
+
+// ✅ Helper to draw a caption's speaker label over the start of its text, in
+// the label's color. drawOptions are the text's other drawtext options
+// (x, border, font, ...); the box is left to the text. A typewriter
+// caption's label is shown whole from the start.
+function drawSpeakerLabel(
+    caption,
+    color,
+    { fontsize, y, animation, drawOptions },
+) {
+    const files = [];
+    const filters = [];
+    const labelAnimation =
+        animation && animation.in === "typewriter"
+            ? { ...animation, in: "none" }
+            : animation;
+
+    animateCaption(caption.speakerLabel.text, {
+        startTime: caption.startTime,
+        endTime: caption.endTime,
+        fontsize,
+        y,
+        animation: labelAnimation,
+    }).forEach((variant) => {
+        files.push(variant.file);
+        filters.push(
+            drawtext({
+                textfile: variant.file,
+                fontsize: variant.fontsize,
+                fontcolor: color,
+                y: variant.y,
+                alpha: variant.alpha,
+                enable: variant.enable,
+                ...drawOptions,
+            }),
+        );
+    });
+
+    return { filters, files };
+}
+
+// ✅ Helper to draw wrapped text that needs several fonts (see
+// calculateWrap's runs). Each run of a line is drawn on its own at its
+// measured offset, left-aligned from the x/y of the whole text like drawtext
+// lines. The box (see boxOptions) goes behind the whole text as one drawbox,
+// and a speaker label ({ text, color }) leading the text is drawn in its
+// color, shown whole from the start like drawSpeakerLabel's. drawOptions are
+// the other drawtext options of every run (border, ...).
+function drawFontRuns(
+    wrappedText,
+    {
+        wrap,
+        x,
+        y,
+        fontsize,
+        fontcolor,
+        lineSpacing = 0,
+        box = {},
+        startTime,
+        endTime,
+        animation,
+        timed = true,
+        label,
+        drawOptions,
+    },
+) {
+    const filters = [];
+    const files = [];
+
+    // The label ends after as many non-space characters as it has, wherever
+    // the text was wrapped
+    let labelEnd = 0;
+    let labelLeft = label ? label.text.replace(/\s/g, "").length : 0;
+    while (labelLeft > 0 && labelEnd < wrappedText.length) {
+        if (!/\s/.test(wrappedText[labelEnd])) {
+            labelLeft--;
+        }
+        labelEnd++;
+    }
+
+    // Runs of each line, split where the label ends, with their index in
+    // wrappedText
+    let index = 0;
+    const lines = wrappedText.split("\n").map((text) => {
+        const lineStart = index;
+        index += text.length + 1;
+        const cut = Math.min(Math.max(labelEnd - lineStart, 0), text.length);
+        const runs = [text.slice(0, cut), text.slice(cut)]
+            .filter(Boolean)
+            .flatMap((part, partIndex) =>
+                wrap.runs(part).map((run) => ({
+                    ...run,
+                    isLabel: !partIndex && cut > 0,
+                })),
+            );
+        let start = lineStart;
+        runs.forEach((run) => {
+            run.start = start;
+            start += run.text.length;
+        });
+        return {
+            text,
+            runs,
+            width: runs.reduce((sum, run) => sum + run.width, 0),
+        };
+    });
+
+    const width = Math.round(Math.max(...lines.map((line) => line.width)));
+    const height = Math.round(
+        lines.length * wrap.lineHeight + lineSpacing * (lines.length - 1),
+    );
+    const left = pinTextSize(x, width, height);
+    const top = pinTextSize(y, width, height);
+
+    // drawbox takes the frame size as iw/ih, w/h being the box's own
+    if (box.box) {
+        const frame = (expression) => expression.replace(/\b([wh])\b/g, "i$1");
+        const pad = box.boxborderw || 0;
+        filters.push(
+            buildFilter("drawbox", {
+                x: `${frame(left)}-${pad}`,
+                y: `${frame(top)}-${pad}`,
+                w: width + pad * 2,
+                h: height + pad * 2,
+                color: box.boxcolor,
+                t: "fill",
+                enable: enableExpression(
+                    startTime,
+                    timed ? endTime : undefined,
+                ),
+            }),
+        );
+    }
+
+    const labelAnimation =
+        animation && animation.in === "typewriter"
+            ? { ...animation, in: "none" }
+            : animation;
+    lines.forEach((line, lineIndex) => {
+        const rtl = textDirection(line.text) === "rtl";
+        const lineTop = lineIndex
+            ? `${top}+${Math.round(lineIndex * (wrap.lineHeight + lineSpacing))}`
+            : top;
+        let offset = 0;
+        line.runs.forEach((run) => {
+            const runOffset = rtl ? line.width - offset - run.width : offset;
+            offset += run.width;
+            if (!run.text.trim()) {
+                return;
+            }
+
+            animateCaption(run.isLabel ? run.text : wrappedText, {
+                startTime,
+                endTime,
+                fontsize,
+                y: shiftY(lineTop, run.dy),
+                animation: run.isLabel ? labelAnimation : animation,
+                timed,
+                range: run.isLabel
+                    ? undefined
+                    : [run.start, run.start + run.text.length],
+            }).forEach((variant) => {
+                files.push(variant.file);
+                filters.push(
+                    drawtext({
+                        textfile: variant.file,
+                        fontsize: variant.fontsize,
+                        fontcolor: run.isLabel ? label.color : fontcolor,
+                        x: `${left}+${Math.round(runOffset)}`,
+                        y: variant.y,
+                        alpha: variant.alpha,
+                        enable: variant.enable,
+                        ...drawOptions,
+                        fontfile: run.font,
+                    }),
+                );
+            });
+        });
+    });
+
+    return { filters, files };
+}
+
+// Average glyph width as a fraction of the font size, for fonts we can't
+// read metrics from. CJK characters and emoji take up a full em.
+const CHAR_WIDTH_RATIO = 0.6;
+const WIDE_CHAR_WIDTH_RATIO = 1;
+
+// Calculate how wide wrapped lines can be and how to measure them, based on
+// video width, font size and fonts (a font file, or a fallback chain whose
+// first font sets the line height). Text is measured with the fonts' own
+// glyph widths when their metrics can be read; otherwise every character is
+// estimated at the same width and lines hold 15 to 80 characters. runs(text)
+// splits text into the runs each font draws (see splitFontRuns), with their
+// width and the dy that lines their baseline up with the first font's.
+function calculateWrap(videoWidth, fontSize, fonts, padding = 40) {
     const usableWidth = videoWidth - padding * 2;
+    const chain = [].concat(fonts || []);
+    const metrics = loadFontMetrics(chain[0]);
+
+    const charWidth = fontSize * CHAR_WIDTH_RATIO;
+    const wideCharWidth = fontSize * WIDE_CHAR_WIDTH_RATIO;
+    const estimate = (text) => {
+        const graphemes = splitGraphemes(text);
+        const wideCount = graphemes.filter(isWide).length;
+        return (
+            (graphemes.length - wideCount) * charWidth +
+            wideCount * wideCharWidth
+        );
+    };
+    const measureWith = (font, text) => {
+        const fontMetrics = loadFontMetrics(font);
+        return fontMetrics
+            ? measureText(fontMetrics, text, fontSize)
+            : estimate(text);
+    };
+
+    const ascent = (font) => {
+        const fontMetrics = loadFontMetrics(font);
+        return fontMetrics ? measureAscent(fontMetrics, fontSize) : 0;
+    };
+    const runs = (text) =>
+        (chain.length > 1
+            ? splitFontRuns(chain, text).runs
+            : [{ text, font: chain[0] }]
+        ).map((run) => ({
+            ...run,
+            width: measureWith(run.font, run.text),
+            dy: Math.round(ascent(chain[0]) - ascent(run.font)),
+        }));
+    const measure =
+        chain.length > 1
+            ? (text) => runs(text).reduce((sum, run) => sum + run.width, 0)
+            : (text) => measureWith(chain[0], text);
+
+    if (metrics) {
+        return {
+            maxWidth: usableWidth,
+            measure,
+            runs,
+            lineHeight: measureLineHeight(metrics, fontSize),
+        };
+    }
+
     const maxCharsPerLine = Math.floor(usableWidth / charWidth);
-    return Math.max(15, Math.min(maxCharsPerLine, 80));
+    return {
+        maxWidth: Math.max(15, Math.min(maxCharsPerLine, 80)) * charWidth,
+        measure,
+        runs,
+        lineHeight: fontSize,
+    };
 }
 
-class CaptionIt {
+// Layouts a style can render with: "gif" pads a bar above the video,
+// "tiktok" draws on top of the video
+const STYLE_LAYOUTS = ["gif", "tiktok"];
+
+// Renders emit "start" ({ inputPath, outputPath, commandLine }), "progress"
+// ({ inputPath, outputPath, percent, fps, timemark, frames }), "end"
+// ({ inputPath, outputPath }) and, when it has listeners, "error" (error,
+// { inputPath, outputPath }). Diagnostics go out as "log" events
+// ({ level, message }, level being "debug" or "warn"); nothing is printed.
+class CaptionIt extends EventEmitter {
     constructor() {
+        super();
+
         // Base styles with reference font sizes (for 1920x1080 for gif, 1080x1920 for tiktok)
         this.baseStyles = {
             gif: {
+                layout: "gif",
+                position: "top",
                 baseFontsize: 124, // Base font size for 1920x1080 (3x bigger)
                 fontcolor: "white",
                 borderw: 6,
@@ -170,6 +1060,7 @@ class CaptionIt {
                 backgroundColor: "black",
             },
             tiktok: {
+                layout: "tiktok",
                 baseFontsize: 48, // Base font size for 1080x1920
                 fontcolor: "white",
                 borderw: 0,
@@ -177,26 +1068,129 @@ class CaptionIt {
                 box: 1,
                 boxcolor: "black@0.6",
                 boxborderw: 10,
-                x: "(w-text_w)/2",
-                y: "(h-text_h)/2",
+                position: "center",
+                margin: 60, // Gap to the frame edge for top/bottom/side positions
                 line_spacing: 10,
+                // Word-by-word captions draw the active word like this
+                highlightColor: "yellow",
+                highlightScale: 1.15,
             },
         };
     }
 
+    // Register a custom style. A style extends a built-in or previously
+    // registered style (or just picks a layout) and overrides its fields.
+    registerStyle(name, config = {}) {
+        if (!name || typeof name !== "string") {
+            throw new Error("Style name must be a non-empty string");
+        }
+
+        const { extends: parentName, ...overrides } = config;
+        const baseName = parentName || overrides.layout;
+        const parent = this.baseStyles[baseName];
+        if (!parent) {
+            throw new Error(
+                baseName
+                    ? `Style ${name} extends unknown style: ${baseName}. Available styles: ${Object.keys(this.baseStyles).join(", ")}`
+                    : `Style ${name} must set "extends" to an existing style or "layout" to one of: ${STYLE_LAYOUTS.join(", ")}`,
+            );
+        }
+
+        const style = { ...parent, ...overrides };
+
+        if (!STYLE_LAYOUTS.includes(style.layout)) {
+            throw new Error(
+                `Style ${name} has unknown layout: ${style.layout}. Available layouts: ${STYLE_LAYOUTS.join(", ")}`,
+            );
+        }
+
+        if (typeof style.baseFontsize !== "number" || style.baseFontsize <= 0) {
+            throw new Error(`Style ${name} must have a positive baseFontsize`);
+        }
+
+        const reference = style.referenceResolution;
+        if (reference && !(reference.width > 0 && reference.height > 0)) {
+            throw new Error(
+                `Style ${name} referenceResolution must have a positive width and height`,
+            );
+        }
+
+        try {
+            if (style.animation) {
+                normalizeAnimation(style.animation);
+            }
+            for (const key of COLOR_FIELDS) {
+                if (style[key] !== undefined) {
+                    checkColor(style[key], key);
+                }
+            }
+            if (style.speakers !== undefined) {
+                checkSpeakers(style.speakers);
+            }
+        } catch (error) {
+            throw new Error(`Style ${name}: ${error.message}`);
+        }
+
+        this.baseStyles[name] = style;
+        return style;
+    }
+
+    // Register every style in a JSON or JS config file. The file maps style
+    // names to style configs; relative font paths are resolved against it.
+    loadStyles(configPath) {
+        const resolvedPath = path.resolve(configPath);
+        if (!fs.existsSync(resolvedPath)) {
+            throw new Error(`Styles config file not found: ${configPath}`);
+        }
+
+        const styles =
+            path.extname(resolvedPath).toLowerCase() === ".json"
+                ? JSON.parse(fs.readFileSync(resolvedPath, "utf8"))
+                : require(resolvedPath);
+
+        if (!styles || typeof styles !== "object" || Array.isArray(styles)) {
+            throw new Error(
+                `Styles config must map style names to style objects: ${configPath}`,
+            );
+        }
+
+        // Font paths are relative to the config file; font names are kept
+        const resolveFontPath = (font) =>
+            isFontPath(font)
+                ? path.resolve(path.dirname(resolvedPath), font)
+                : font;
+
+        for (const [name, config] of Object.entries(styles)) {
+            const style = { ...config };
+            if (style.fontfile) {
+                style.fontfile = resolveFontPath(style.fontfile);
+            }
+            if (style.fallbackFonts) {
+                style.fallbackFonts = []
+                    .concat(style.fallbackFonts)
+                    .map(resolveFontPath);
+            }
+            this.registerStyle(name, style);
+        }
+
+        return Object.keys(styles);
+    }
+
     // Get scaled style configuration based on video dimensions
     getScaledStyle(styleName, videoWidth, videoHeight) {
         const baseStyle = this.baseStyles[styleName];
         if (!baseStyle) {
-            throw new Error(
-                `Unknown style: ${styleName}. Available styles: ${Object.keys(this.baseStyles).join(", ")}`,
+            throw new UnknownStyleError(
+                styleName,
+                Object.keys(this.baseStyles),
             );
         }
 
         const scaleFactor = calculateScaledFontSize(
             videoWidth,
             videoHeight,
-            styleName,
+            baseStyle.layout,
+            baseStyle.referenceResolution,
         );
         const scaledFontSize = Math.round(baseStyle.baseFontsize * scaleFactor);
 
@@ -217,6 +1211,10 @@ class CaptionIt {
             textPadding: baseStyle.textPadding
                 ? Math.round(baseStyle.textPadding * scaleFactor)
                 : undefined,
+            // Scale edge margin for tiktok style
+            margin: baseStyle.margin
+                ? Math.round(baseStyle.margin * scaleFactor)
+                : undefined,
             // Scale box border width for tiktok style
             boxborderw: baseStyle.boxborderw
                 ? Math.max(
@@ -229,25 +1227,215 @@ class CaptionIt {
         return scaledStyle;
     }
 
-    // Helper method to calculate text height (updated to match wrapTextToFile logic)
-    calculateTextHeight(text, wrapLen, styleConfig) {
-        const words = text.split(" ");
-        let line = "";
-        let lineCount = 1; // Start with 1 line
+    // Helper method to calculate text height (uses the same wrapping as wrapText)
+    calculateTextHeight(text, wrap, styleConfig) {
+        const lineCount = wrapText(text, wrap).split("\n").length;
+
+        return Math.round(
+            wrap.lineHeight * lineCount +
+                styleConfig.line_spacing * Math.max(0, lineCount - 1),
+        );
+    }
+
+    // Lay out gif captions. Captions positioned at the top or bottom get a
+    // padded bar on that side, sized for the tallest caption there; captions
+    // in the middle row are drawn over the video. Each caption needs text,
+    // wrap and captionStyle. With placement.aspectRatio the bars (or side
+    // bars, for frames that are too tall) grow to letterbox the output.
+    layoutGifCaptions(captions, styleConfig, placement, videoInfo) {
+        return this.layoutGifTracks(
+            [{ captions, styleConfig, placement }],
+            videoInfo,
+        );
+    }
+
+    // Lay out the captions of several gif tracks ({ captions, styleConfig,
+    // placement }) as layoutGifCaptions does. A track whose captions on a
+    // side are shown at the same time as an earlier track's gets its own
+    // slot in that side's bar, stacked below the earlier ones; otherwise it
+    // shares the earlier track's slot. The padding is colored and letterboxed
+    // by the first track that sets a background color or aspect ratio.
+    layoutGifTracks(tracks, videoInfo) {
+        const slots = { top: [], bottom: [] };
+
+        const positioned = tracks.map((track) => {
+            const { styleConfig, placement } = track;
+            const captions = track.captions.map((caption) => ({
+                caption,
+                position: normalizePosition(
+                    pickPosition(styleConfig, caption, placement) || "top",
+                ),
+            }));
+
+            // Give the track a slot on each side it has captions on
+            const trackSlots = {};
+            for (const side of ["top", "bottom"]) {
+                const onSide = captions
+                    .filter(({ position }) => position.row === side)
+                    .map(({ caption }) => caption);
+                if (!onSide.length) {
+                    continue;
+                }
+
+                const height =
+                    Math.max(
+                        ...onSide.map((caption) =>
+                            this.calculateTextHeight(
+                                caption.text,
+                                caption.wrap,
+                                caption.captionStyle,
+                            ),
+                        ),
+                    ) +
+                    styleConfig.textPadding * 2;
+                let slot = slots[side].find(
+                    (existing) =>
+                        !existing.captions.some((shown) =>
+                            onSide.some((caption) =>
+                                overlapsInTime(shown, caption),
+                            ),
+                        ),
+                );
+                if (!slot) {
+                    slot = { captions: [], height: 0 };
+                    slots[side].push(slot);
+                }
+                slot.captions.push(...onSide);
+                slot.height = Math.max(slot.height, height);
+                trackSlots[side] = slot;
+            }
+
+            return { track, captions, trackSlots };
+        });
+
+        const bars = {};
+        for (const side of ["top", "bottom"]) {
+            bars[side] = slots[side].reduce(
+                (sum, slot) => sum + slot.height,
+                0,
+            );
+        }
 
-        for (const word of words) {
-            if ((line + word).length > wrapLen) {
-                lineCount++;
-                line = word + " ";
+        const sides = { left: 0, right: 0 };
+        const aspectRatio = tracks
+            .map((track) => track.placement.aspectRatio)
+            .find(Boolean);
+        if (aspectRatio) {
+            const ratio = parseAspectRatio(aspectRatio);
+            const frameHeight = videoInfo.height + bars.top + bars.bottom;
+            // Keep the padded frame even-sized so yuv420p output still works
+            const targetHeight = Math.round(videoInfo.width / ratio / 2) * 2;
+
+            if (targetHeight > frameHeight) {
+                // Split the extra height between the top and bottom bars
+                const extra = targetHeight - frameHeight;
+                bars.top += Math.floor(extra / 2);
+                bars.bottom += extra - Math.floor(extra / 2);
             } else {
-                line += word + " ";
+                const targetWidth = Math.round((frameHeight * ratio) / 2) * 2;
+                const extra = Math.max(0, targetWidth - videoInfo.width);
+                sides.left = Math.floor(extra / 2);
+                sides.right = extra - sides.left;
             }
         }
 
-        return (
-            styleConfig.fontsize * lineCount +
-            styleConfig.line_spacing * Math.max(0, lineCount - 1)
+        // Where a slot sits in its bar and how tall it is. A lone slot fills
+        // the bar; stacked slots are centred in it together.
+        const slotArea = (side, slot) => {
+            if (slots[side].length === 1) {
+                return { offset: 0, height: bars[side] };
+            }
+            const stacked = slots[side].reduce(
+                (sum, other) => sum + other.height,
+                0,
+            );
+            const before = slots[side]
+                .slice(0, slots[side].indexOf(slot))
+                .reduce((sum, other) => sum + other.height, 0);
+            return {
+                offset: Math.floor((bars[side] - stacked) / 2) + before,
+                height: slot.height,
+            };
+        };
+
+        const entries = positioned.flatMap(({ track, captions, trackSlots }) =>
+            captions.map(({ caption, position }) => {
+                const overrides = caption.style || {};
+                const centered = { ...position, row: "center" };
+
+                // Centre vertically inside the caption's slot of its bar, or
+                // inside the video itself for the middle row
+                let y;
+                if (position.row === "center") {
+                    y = `${bars.top}+${resolveY(centered, { frameHeight: `(h-${bars.top + bars.bottom})` })}`;
+                } else {
+                    const area = slotArea(
+                        position.row,
+                        trackSlots[position.row],
+                    );
+                    const inSlot = resolveY(centered, {
+                        frameHeight: area.height,
+                    });
+                    const top = position.row === "top" ? 0 : `h-${bars.bottom}`;
+                    y = [top, area.offset, inSlot]
+                        .filter((term) => term !== 0)
+                        .join("+");
+                }
+
+                const x = resolveX(position, {
+                    safeArea: track.placement.safeArea,
+                    margin:
+                        position.column === "center"
+                            ? 0
+                            : track.styleConfig.textPadding,
+                });
+
+                return {
+                    caption,
+                    track,
+                    position,
+                    x: overrides.x || x,
+                    y: overrides.y || y,
+                };
+            }),
         );
+
+        const padWidth = sides.left + sides.right;
+        const padHeight = bars.top + bars.bottom;
+        const backgroundColor = tracks
+            .map((track) => track.styleConfig.backgroundColor)
+            .find(Boolean);
+        const padFilter =
+            padWidth + padHeight > 0
+                ? buildFilter("pad", {
+                      w: padWidth ? `iw+${padWidth}` : "iw",
+                      h: padHeight ? `ih+${padHeight}` : "ih",
+                      x: sides.left,
+                      y: bars.top,
+                      color: backgroundColor,
+                  })
+                : null;
+
+        return { bars, sides, entries, padFilter };
+    }
+
+    // Validate and collect the position options shared by every render
+    getPlacement(options, styleConfig) {
+        const placement = {
+            position: options.position,
+            safeArea: options.safeArea || styleConfig.safeArea,
+            aspectRatio: options.aspectRatio || styleConfig.aspectRatio,
+        };
+
+        if (placement.position) {
+            normalizePosition(placement.position);
+        }
+        getSafeArea(placement.safeArea);
+        if (placement.aspectRatio) {
+            parseAspectRatio(placement.aspectRatio);
+        }
+
+        return placement;
     }
 
     async addCaption(options) {
@@ -258,21 +1446,65 @@ class CaptionIt {
             style = "gif",
             startTime = 0,
             duration,
-            fontfile,
+            bottomText,
+            animation,
+            preview,
         } = options;
 
         if (!fs.existsSync(inputPath)) {
-            throw new Error(`Input file does not exist: ${inputPath}`);
+            throw new InputNotFoundError(inputPath);
         }
 
         if (!this.baseStyles[style]) {
+            throw new UnknownStyleError(style, Object.keys(this.baseStyles));
+        }
+
+        if (bottomText && this.baseStyles[style].layout !== "gif") {
             throw new Error(
-                `Unknown style: ${style}. Available styles: ${Object.keys(this.baseStyles).join(", ")}`,
+                `bottomText needs a gif layout style, but ${style} uses the ${this.baseStyles[style].layout} layout`,
+            );
+        }
+
+        if (
+            typeof (text || "") !== "string" ||
+            !((text && text.trim()) || bottomText)
+        ) {
+            throw new CaptionValidationError(
+                "Caption text must be a non-empty string",
+                { field: "text" },
+            );
+        }
+
+        if (!(typeof startTime === "number" && startTime >= 0)) {
+            throw new CaptionValidationError(
+                "startTime must be a number of seconds, 0 or more",
+                { field: "startTime" },
+            );
+        }
+
+        if (
+            duration !== undefined &&
+            !(typeof duration === "number" && duration > 0)
+        ) {
+            throw new CaptionValidationError(
+                "duration must be a positive number of seconds",
+                { field: "duration" },
             );
         }
 
+        const encoding = normalizeEncoding(options.encoding, outputPath);
+        const cancel = getCancel(options);
+        const fonts = this.getFonts(options, style);
+        const textFonts = this.pickCaptionFonts(fonts, text || "");
+        const bottomFonts = bottomText
+            ? this.pickCaptionFonts(fonts, bottomText)
+            : textFonts;
+
         // Get video dimensions
         const videoInfo = await getVideoInfo(inputPath);
+        await checkTextShaping();
+        throwIfCancelled(cancel);
+        this.warnUnshaped([text, bottomText]);
 
         // Get scaled style configuration
         const styleConfig = this.getScaledStyle(
@@ -281,148 +1513,457 @@ class CaptionIt {
             videoInfo.height,
         );
 
-        // Calculate wrap length based on video width and scaled font size
-        const wrapLen = calculateWrapLength(
-            videoInfo.width,
+        const placement = this.getPlacement(options, styleConfig);
+        const captionAnimation = normalizeAnimation(
+            animation || styleConfig.animation,
+        );
+        checkStillInput(videoInfo, encoding, duration);
+
+        // Calculate wrap width based on the usable video width, scaled font size and font
+        const wrap = calculateWrap(
+            getSafeWidth(videoInfo.width, placement.safeArea),
             styleConfig.fontsize,
+            textFonts,
         );
-        const captionFile = wrapTextToFile(text, wrapLen);
 
-        console.log(`Video resolution: ${videoInfo.width}x${videoInfo.height}`);
-        console.log(
+        // The caption is shown for the whole output, so the exit animation
+        // plays at its end
+        const timing = {
+            startTime: 0,
+            endTime: duration || Math.max(0, videoInfo.duration - startTime),
+            // A single frame would only catch the start of the entrance.
+            // Previews keep it, to match the full render.
+            animation: isStill(encoding) && !preview ? null : captionAnimation,
+            timed: false,
+        };
+
+        this.log(
+            "debug",
+            `Video resolution: ${videoInfo.width}x${videoInfo.height}`,
+        );
+        this.log(
+            "debug",
             `Scaled font size: ${styleConfig.fontsize} (base: ${this.baseStyles[style].baseFontsize})`,
         );
-        console.log(`Calculated wrap length: ${wrapLen} characters`);
+        this.log(
+            "debug",
+            `Calculated wrap width: ${Math.round(wrap.maxWidth)}px`,
+        );
 
-        if (style === "gif") {
-            return this.addGifStyleCaption({
-                inputPath,
-                outputPath,
-                text,
-                captionFile,
-                styleConfig,
-                startTime,
-                duration,
-                fontfile,
-                videoInfo,
-                wrapLen,
-            });
-        } else {
-            return this.addTiktokStyleCaption({
-                inputPath,
-                outputPath,
-                text,
-                captionFile,
-                styleConfig,
-                startTime,
-                duration,
-                fontfile,
-                videoInfo,
-                wrapLen,
+        const render = (outputEncoding) => {
+            if (this.baseStyles[style].layout === "gif") {
+                return this.addGifStyleCaption({
+                    inputPath,
+                    outputPath,
+                    text,
+                    bottomText,
+                    timing,
+                    styleConfig,
+                    startTime,
+                    duration,
+                    fonts: textFonts,
+                    bottomFonts,
+                    videoInfo,
+                    wrap,
+                    placement,
+                    encoding: outputEncoding,
+                    preview,
+                    cancel,
+                });
+            } else {
+                return this.addTiktokStyleCaption({
+                    inputPath,
+                    outputPath,
+                    text,
+                    timing,
+                    styleConfig,
+                    startTime,
+                    duration,
+                    fonts: textFonts,
+                    videoInfo,
+                    wrap,
+                    placement,
+                    encoding: outputEncoding,
+                    preview,
+                    cancel,
+                });
+            }
+        };
+
+        return this.renderToFit(
+            outputPath,
+            encoding,
+            videoInfo,
+            render,
+            cancel,
+        );
+    }
+
+    // Check captions before they are used: throws a CaptionValidationError
+    // for the first error and logs any warnings. duration is the video's
+    // length in seconds, when known; prefix leads every message.
+    checkCaptions(captions, duration, prefix = "") {
+        const { errors, warnings } = validateCaptions(captions, { duration });
+        if (errors.length) {
+            throw new CaptionValidationError(
+                prefix + errors[0].message,
+                errors[0],
+            );
+        }
+        warnings.forEach((warning) =>
+            this.log("warn", prefix + warning.message),
+        );
+    }
+
+    // Render once, or for a GIF/WebP with a maxFileSize, keep rendering with
+    // smaller settings until the file fits
+    async renderToFit(outputPath, encoding, videoInfo, render, cancel) {
+        let settings = encoding;
+        for (let attempt = 1; ; attempt++) {
+            throwIfCancelled(cancel);
+            const result = await render(settings);
+            if (!settings || !settings.maxFileSize) {
+                return result;
+            }
+
+            const size = fs.statSync(outputPath).size;
+            if (size <= settings.maxFileSize) {
+                return result;
+            }
+
+            const next = shrinkAnimatedImage(settings, {
+                size,
+                frameWidth: videoInfo.width,
+                attempt,
             });
+            if (!next) {
+                throw new Error(
+                    `Could not fit ${outputPath} in ${formatFileSize(settings.maxFileSize)}: the smallest attempt was ${formatFileSize(size)}`,
+                );
+            }
+
+            this.log(
+                "debug",
+                `Output is ${formatFileSize(size)}, over the ${formatFileSize(settings.maxFileSize)} limit. ` +
+                    `Retrying at ${next.maxWidth}px wide and ${next.fps}fps`,
+            );
+            settings = next;
         }
     }
 
-    async addGifStyleCaption({
-        inputPath,
-        outputPath,
-        text,
-        captionFile,
-        styleConfig,
-        startTime,
-        duration,
-        fontfile,
-        videoInfo,
-        wrapLen,
-    }) {
-        const textHeight = this.calculateTextHeight(text, wrapLen, styleConfig);
-        const textAreaHeight = textHeight + styleConfig.textPadding * 2;
-
-        // Better text centering calculation
-        // Use FFmpeg's built-in text centering with some adjustments
-        const textX = "(w-text_w)/2";
-
-        // Calculate vertical center more accurately
-        // The text area starts at y=0 (top of the padded area)
-        // We want to center the text within the textAreaHeight
-        // Using FFmpeg's text_h variable for more accurate positioning
-        const textY = `(${textAreaHeight}-text_h)/2`;
-
-        let videoFilters = [
-            // 1. Add padding to top (increase canvas height and move video down)
-            `pad=iw:ih+${textAreaHeight}:0:${textAreaHeight}:color=${styleConfig.backgroundColor}`,
-
-            // 2. Add text on the top area with better centering
-            `drawtext=textfile='${captionFile}':` +
-            `fontsize=${styleConfig.fontsize}:` +
-            `fontcolor=${styleConfig.fontcolor}:` +
-            `x=${textX}:` +
-            `y=${textY}:` +
-            `line_spacing=${styleConfig.line_spacing}:` +
-            `borderw=${styleConfig.borderw}:` +
-            `bordercolor=${styleConfig.bordercolor}` +
-            (fontfile && fs.existsSync(fontfile)
-            ? `:fontfile='${fontfile}'`
-            : ""),
+    // Read the metrics of the fonts a render uses up front, so fonts that
+    // can't be read are reported once as warnings
+    loadFonts(fontfiles) {
+        fontfiles.forEach((fontfile) =>
+            loadFontMetrics(fontfile, (message) => this.log("warn", message)),
+        );
+    }
+
+    // Warn when text needs letter shaping that this FFmpeg build can't do
+    warnUnshaped(texts) {
+        if (!textShaping && texts.some((text) => text && needsShaping(text))) {
+            this.log(
+                "warn",
+                "This FFmpeg build can't shape text (drawtext needs libfribidi), so Arabic letters will be drawn unjoined",
+            );
+        }
+    }
+
+    // Resolve font options (file paths or font names, see resolveFont) to
+    // font files and load their metrics. Empty options are skipped.
+    resolveFonts(fonts) {
+        const fontfiles = []
+            .concat(fonts || [])
+            .filter(Boolean)
+            .map(resolveFont);
+        this.loadFonts(fontfiles);
+        return fontfiles;
+    }
+
+    // Resolve the fonts of a render: its fontfile (or the style's), then its
+    // fallbackFonts (or the style's)
+    getFonts(options, style) {
+        const baseStyle = this.baseStyles[style];
+        return [
+            ...this.resolveFonts(options.fontfile || baseStyle.fontfile),
+            ...this.resolveFonts(
+                options.fallbackFonts || baseStyle.fallbackFonts,
+            ),
         ];
+    }
 
-        return new Promise((resolve, reject) => {
-            let command = ffmpeg(inputPath)
-                .videoFilters(videoFilters)
-                .output(outputPath);
+    // Pick the fonts of a fallback chain that draw text: each character is
+    // drawn with the first one that has a glyph for it (see splitFontRuns).
+    // Returns them in chain order; only the first when text needs no glyphs.
+    pickCaptionFonts(fonts, text) {
+        const { runs, missing } = splitFontRuns(fonts, text);
+        const used = fonts.filter((font) =>
+            runs.some((run) => run.font === font),
+        );
+        if (missing.length) {
+            this.log(
+                "warn",
+                `No font has glyphs for ${missing.join(" ")} in "${text}"`,
+            );
+        }
+        if (used.length > 1 || (used.length && used[0] !== fonts[0])) {
+            this.log(
+                "debug",
+                `Drawing "${text}" with ${used.length > 1 ? "fonts" : "fallback font"} ${used.join(", ")}`,
+            );
+        }
+        return used.length ? used : fonts.slice(0, 1);
+    }
 
-            if (startTime > 0) {
-                command = command.seekInput(startTime);
-            }
+    // Emit a "log" event for a diagnostic message
+    log(level, message) {
+        this.emit("log", { level, message });
+    }
 
-            if (duration) {
-                command = command.duration(duration);
+    // Run an FFmpeg command, emitting its start, progress and end (or error)
+    // and removing the temp caption files once it finishes. duration is the
+    // expected output length, used for the progress percentage. When cancel
+    // (see getCancel) is aborted or runs out of time, FFmpeg is killed, the
+    // partial output removed and the promise rejects with an AbortError.
+    runCommand(
+        command,
+        { inputPath, outputPath, tempFiles = [], duration, cancel = {} },
+    ) {
+        const removeTempFiles = () => {
+            tempFiles.forEach((file) => {
+                try {
+                    fs.unlinkSync(file);
+                } catch (e) {
+                    this.log(
+                        "warn",
+                        `Could not delete temp caption file: ${file}`,
+                    );
+                }
+            });
+        };
+
+        return new Promise((resolve, reject) => {
+            const { signal, deadline } = cancel;
+            let cancelled = null;
+            let timer;
+            let ffmpegCommand;
+
+            const stop = (error) => {
+                if (!cancelled) {
+                    cancelled = error;
+                    command.kill("SIGKILL");
+                }
+            };
+            const onAbort = () => stop(cancelledError("aborted"));
+            const finish = () => {
+                clearTimeout(timer);
+                if (signal) {
+                    signal.removeEventListener("abort", onAbort);
+                }
+                removeTempFiles();
+            };
+
+            try {
+                throwIfCancelled(cancel);
+            } catch (error) {
+                removeTempFiles();
+                reject(error);
+                return;
             }
 
             command
                 .on("start", (commandLine) => {
-                    console.log("FFmpeg command:", commandLine);
-                    console.log(
-                        `Video dimensions: ${videoInfo.width}x${videoInfo.height}`,
-                    );
-                    console.log(`Scaled font size: ${styleConfig.fontsize}`);
-                    console.log(
-                        `Calculated wrap length: ${wrapLen} characters`,
-                    );
-                    console.log(`Text area height: ${textAreaHeight}`);
+                    // Cancelled before FFmpeg was spawned
+                    if (cancelled) {
+                        command.kill("SIGKILL");
+                        return;
+                    }
+                    ffmpegCommand = commandLine;
+                    this.log("debug", `FFmpeg command: ${commandLine}`);
+                    this.emit("start", { inputPath, outputPath, commandLine });
                 })
                 .on("progress", (progress) => {
-                    if (progress.percent) {
-                        console.log(
-                            `Processing: ${Math.round(progress.percent)}% done`,
-                        );
-                    }
+                    const seconds = parseTimemark(progress.timemark);
+                    const percent =
+                        duration > 0 && seconds !== undefined
+                            ? (seconds / duration) * 100
+                            : progress.percent;
+                    this.emit("progress", {
+                        inputPath,
+                        outputPath,
+                        percent:
+                            percent === undefined
+                                ? undefined
+                                : Math.min(100, Math.max(0, percent)),
+                        fps: progress.currentFps,
+                        timemark: progress.timemark,
+                        frames: progress.frames,
+                    });
                 })
                 .on("end", () => {
-                    console.log("Caption added successfully!");
-                    try {
-                        fs.unlinkSync(captionFile);
-                    } catch (e) {
-                        console.warn(
-                            "Could not delete temp caption file:",
-                            captionFile,
-                        );
-                    }
+                    finish();
+                    this.emit("end", { inputPath, outputPath });
                     resolve(outputPath);
                 })
-                .on("error", (err) => {
-                    console.error("Error adding caption:", err.message);
-                    try {
-                        fs.unlinkSync(captionFile);
-                    } catch (e) {
-                        console.warn(
-                            "Could not delete temp caption file:",
-                            captionFile,
+                .on("error", (err, stdout, stderr) => {
+                    finish();
+                    if (cancelled) {
+                        removePartialOutput(outputPath);
+                        this.log(
+                            "debug",
+                            `${cancelled.message}: ${outputPath || inputPath}`,
                         );
+                        reject(cancelled);
+                        return;
+                    }
+                    const error = new FfmpegError(err.message, {
+                        stderr,
+                        commandLine: ffmpegCommand,
+                    });
+                    // An unhandled "error" event would throw, so it is only
+                    // emitted to listeners; the promise rejects either way
+                    if (this.listenerCount("error")) {
+                        this.emit("error", error, { inputPath, outputPath });
                     }
-                    reject(err);
+                    reject(error);
                 })
                 .run();
+
+            if (signal) {
+                signal.addEventListener("abort", onAbort, { once: true });
+            }
+            if (deadline) {
+                timer = setTimeout(
+                    () => stop(cancelledError("timeout", cancel.timeout)),
+                    Math.max(0, deadline - Date.now()),
+                );
+            }
+        });
+    }
+
+    async addGifStyleCaption({
+        inputPath,
+        outputPath,
+        text,
+        timing,
+        styleConfig,
+        startTime,
+        duration,
+        fonts,
+        bottomFonts,
+        videoInfo,
+        wrap,
+        placement,
+        bottomText,
+        encoding,
+        preview,
+        cancel,
+    }) {
+        // Optional second caption in a bar below the video (classic
+        // top text / bottom text meme)
+        const barCaptions = [
+            { text, captionFonts: fonts, wrap, captionStyle: styleConfig },
+        ];
+        if (bottomText) {
+            barCaptions.push({
+                text: bottomText,
+                captionFonts: bottomFonts,
+                wrap: calculateWrap(
+                    getSafeWidth(videoInfo.width, placement.safeArea),
+                    styleConfig.fontsize,
+                    bottomFonts,
+                ),
+                captionStyle: styleConfig,
+                style: { position: "bottom" },
+            });
+        }
+        const captionFiles = [];
+
+        // Work out the bars above or below the video (none for the middle
+        // row) and where the text sits in them
+        const layout = this.layoutGifCaptions(
+            barCaptions.filter((caption) => caption.text),
+            styleConfig,
+            placement,
+            videoInfo,
+        );
+        const textAreaHeight = layout.bars.top + layout.bars.bottom;
+
+        // 1. Add padding for the bars (increase canvas height)
+        let videoFilters = layout.padFilter ? [layout.padFilter] : [];
+
+        // 2. Add text on each bar with better centering
+        layout.entries.forEach(({ caption, x: textX, y: textY }) => {
+            const wrappedText = wrapText(caption.text, caption.wrap);
+
+            // Text needing several fonts is drawn a run at a time
+            if (caption.captionFonts.length > 1) {
+                const runs = drawFontRuns(wrappedText, {
+                    ...timing,
+                    wrap: caption.wrap,
+                    x: textX,
+                    y: textY,
+                    fontsize: styleConfig.fontsize,
+                    fontcolor: styleConfig.fontcolor,
+                    lineSpacing: styleConfig.line_spacing,
+                    drawOptions: {
+                        borderw: styleConfig.borderw,
+                        bordercolor: styleConfig.bordercolor,
+                    },
+                });
+                captionFiles.push(...runs.files);
+                videoFilters.push(...runs.filters);
+                return;
+            }
+
+            const variants = animateCaption(wrappedText, {
+                ...timing,
+                fontsize: styleConfig.fontsize,
+                y: textY,
+            });
+
+            variants.forEach((variant) => {
+                captionFiles.push(variant.file);
+                videoFilters.push(
+                    drawtext({
+                        textfile: variant.file,
+                        fontsize: variant.fontsize,
+                        fontcolor: styleConfig.fontcolor,
+                        x: textX,
+                        y: variant.y,
+                        line_spacing: styleConfig.line_spacing,
+                        borderw: styleConfig.borderw,
+                        bordercolor: styleConfig.bordercolor,
+                        alpha: variant.alpha,
+                        enable: variant.enable,
+                        fontfile: caption.captionFonts[0],
+                    }),
+                );
+            });
+        });
+
+        const command = ffmpeg(inputPath)
+            .videoFilters(videoFilters)
+            .output(outputPath);
+        applyEncoding(command, encoding, videoInfo);
+        applyInputTiming(command, videoInfo, {
+            startTime,
+            duration,
+            encoding,
+            preview,
+        });
+
+        this.log("debug", `Text area height: ${textAreaHeight}`);
+        return this.runCommand(command, {
+            inputPath,
+            outputPath,
+            tempFiles: captionFiles,
+            cancel,
+            duration: outputDuration(videoInfo, {
+                startTime,
+                duration,
+                preview,
+            }),
         });
     }
 
@@ -430,114 +1971,283 @@ class CaptionIt {
         inputPath,
         outputPath,
         text,
-        captionFile,
+        timing,
         styleConfig,
         startTime,
         duration,
-        fontfile,
+        fonts,
         videoInfo,
-        wrapLen,
+        wrap,
+        placement,
+        encoding,
+        preview,
+        cancel,
     }) {
-        let drawTextFilter =
-            `drawtext=textfile='${captionFile}':` +
-            `fontsize=${styleConfig.fontsize}:` +
-            `fontcolor=${styleConfig.fontcolor}:` +
-            `x=${styleConfig.x}:` +
-            `y=${styleConfig.y}`;
+        const { x, y } = getOverlayXY(styleConfig, {}, placement);
+        const wrappedText = wrapText(text, wrap);
+
+        let captionFiles;
+        let drawTextFilters;
+
+        // Text needing several fonts is drawn a run at a time
+        if (fonts.length > 1) {
+            ({ files: captionFiles, filters: drawTextFilters } = drawFontRuns(
+                wrappedText,
+                {
+                    ...timing,
+                    wrap,
+                    x,
+                    y,
+                    fontsize: styleConfig.fontsize,
+                    fontcolor: styleConfig.fontcolor,
+                    lineSpacing: styleConfig.line_spacing,
+                    box: boxOptions(styleConfig),
+                    drawOptions: borderOptions(styleConfig),
+                },
+            ));
+        } else {
+            const variants = animateCaption(wrappedText, {
+                ...timing,
+                fontsize: styleConfig.fontsize,
+                y,
+            });
+            captionFiles = variants.map((variant) => variant.file);
+            drawTextFilters = variants.map((variant) =>
+                drawtext({
+                    textfile: variant.file,
+                    fontsize: variant.fontsize,
+                    fontcolor: styleConfig.fontcolor,
+                    x,
+                    y: variant.y,
+                    alpha: variant.alpha,
+                    enable: variant.enable,
+                    ...boxOptions(styleConfig),
+                    line_spacing: styleConfig.line_spacing,
+                    ...borderOptions(styleConfig),
+                    fontfile: fonts[0],
+                }),
+            );
+        }
 
-        if (styleConfig.box) {
-            drawTextFilter += `:box=1:boxcolor=${styleConfig.boxcolor}:boxborderw=${styleConfig.boxborderw}`;
+        const command = ffmpeg(inputPath)
+            .videoFilters(drawTextFilters)
+            .output(outputPath);
+        applyEncoding(command, encoding, videoInfo);
+        applyInputTiming(command, videoInfo, {
+            startTime,
+            duration,
+            encoding,
+            preview,
+        });
+
+        return this.runCommand(command, {
+            inputPath,
+            outputPath,
+            tempFiles: captionFiles,
+            cancel,
+            duration: outputDuration(videoInfo, {
+                startTime,
+                duration,
+                preview,
+            }),
+        });
+    }
+
+    async addMultipleCaptions(options) {
+        const { inputPath, outputPath, preview } = options;
+
+        if (!fs.existsSync(inputPath)) {
+            throw new InputNotFoundError(inputPath);
         }
 
-        if (styleConfig.line_spacing !== undefined) {
-            drawTextFilter += `:line_spacing=${styleConfig.line_spacing}`;
+        const trackOptions = this.getTracks(options).map((track) => {
+            const style = track.style || "gif";
+            if (!this.baseStyles[style]) {
+                throw new UnknownStyleError(
+                    style,
+                    Object.keys(this.baseStyles),
+                );
+            }
+            return { ...track, style, fonts: this.getFonts(track, style) };
+        });
+
+        const encoding = normalizeEncoding(options.encoding, outputPath);
+        const cancel = getCancel(options);
+
+        // Get video dimensions
+        const videoInfo = await getVideoInfo(inputPath);
+        await checkTextShaping();
+        throwIfCancelled(cancel);
+
+        this.log(
+            "debug",
+            `Video resolution: ${videoInfo.width}x${videoInfo.height}`,
+        );
+
+        const tracks = [];
+        for (const [index, track] of trackOptions.entries()) {
+            tracks.push(
+                await this.prepareTrack(track, videoInfo, {
+                    cancel,
+                    prefix: trackOptions.length > 1 ? `Track ${index}: ` : "",
+                }),
+            );
         }
 
-        if (styleConfig.borderw > 0) {
-            drawTextFilter += `:borderw=${styleConfig.borderw}:bordercolor=${styleConfig.bordercolor}`;
+        // A still image turned into a video lasts until the last caption ends
+        const duration =
+            videoInfo.isImage && !isStill(encoding)
+                ? options.duration ||
+                  Math.max(
+                      0,
+                      ...tracks.flatMap((track) =>
+                          track.captions.map((caption) => caption.endTime),
+                      ),
+                  )
+                : undefined;
+        checkStillInput(videoInfo, encoding, duration);
+        if (isStill(encoding) && !preview) {
+            tracks.forEach((track) => {
+                track.captions = asStillCaptions(track.captions);
+            });
         }
 
-        if (fontfile && fs.existsSync(fontfile)) {
-            drawTextFilter += `:fontfile='${fontfile}'`;
+        const render = (outputEncoding) =>
+            this.renderCaptionTracks({
+                inputPath,
+                outputPath,
+                tracks,
+                videoInfo,
+                encoding: outputEncoding,
+                duration,
+                preview,
+                cancel,
+            });
+
+        return this.renderToFit(
+            outputPath,
+            encoding,
+            videoInfo,
+            render,
+            cancel,
+        );
+    }
+
+    // The caption tracks of an addMultipleCaptions call: each of its tracks,
+    // taking the call's own track options as defaults, or with no tracks
+    // the call itself as the only track
+    getTracks(options) {
+        const { tracks } = options;
+        if (tracks === undefined) {
+            return [options];
         }
 
-        return new Promise((resolve, reject) => {
-            let command = ffmpeg(inputPath)
-                .videoFilters([drawTextFilter])
-                .output(outputPath);
+        if (!Array.isArray(tracks) || !tracks.length) {
+            throw new Error("tracks must be a non-empty array");
+        }
+        if (options.captions !== undefined) {
+            throw new Error("Give either captions or tracks, not both");
+        }
 
-            if (startTime > 0) {
-                command = command.seekInput(startTime);
+        const defaults = {};
+        for (const key of TRACK_OPTIONS) {
+            if (key !== "captions" && options[key] !== undefined) {
+                defaults[key] = options[key];
             }
+        }
 
-            if (duration) {
-                command = command.duration(duration);
+        return tracks.map((track, index) => {
+            if (!track || typeof track !== "object" || Array.isArray(track)) {
+                throw new Error(`Track ${index} must be an object`);
             }
-
-            command
-                .on("start", (commandLine) => {
-                    console.log("FFmpeg command:", commandLine);
-                    console.log(
-                        `Video dimensions: ${videoInfo.width}x${videoInfo.height}`,
-                    );
-                    console.log(`Scaled font size: ${styleConfig.fontsize}`);
-                })
-                .on("progress", (progress) => {
-                    if (progress.percent) {
-                        console.log(
-                            `Processing: ${Math.round(progress.percent)}% done`,
-                        );
-                    }
-                })
-                .on("end", () => {
-                    console.log("Caption added successfully!");
-                    try {
-                        fs.unlinkSync(captionFile);
-                    } catch (e) {
-                        console.warn(
-                            "Could not delete temp caption file:",
-                            captionFile,
-                        );
-                    }
-                    resolve(outputPath);
-                })
-                .on("error", (err) => {
-                    console.error("Error adding caption:", err.message);
-                    try {
-                        fs.unlinkSync(captionFile);
-                    } catch (e) {
-                        console.warn(
-                            "Could not delete temp caption file:",
-                            captionFile,
-                        );
-                    }
-                    reject(err);
-                })
-                .run();
+            const unknown = Object.keys(track).filter(
+                (key) => !TRACK_OPTIONS.includes(key),
+            );
+            if (unknown.length) {
+                throw new Error(
+                    `Track ${index} has unknown fields: ${unknown.join(", ")}. Allowed fields: ${TRACK_OPTIONS.join(", ")}`,
+                );
+            }
+            return { ...defaults, ...track };
         });
     }
 
-    async addMultipleCaptions(options) {
-        const {
-            inputPath,
-            outputPath,
-            captions,
-            style = "gif",
-            fontfile,
-        } = options;
-
-        if (!fs.existsSync(inputPath)) {
-            throw new Error(`Input file does not exist: ${inputPath}`);
-        }
+    // Get one track of captions ready to draw: checked, aligned to speech,
+    // styled by speaker and given the fonts that cover their text, with the
+    // track's style scaled to the video. prefix leads the messages about
+    // its captions.
+    async prepareTrack(options, videoInfo, { cancel, prefix = "" } = {}) {
+        const { inputPath, style, fonts, animation } = options;
+
+        this.checkCaptions(
+            options.captions,
+            videoInfo.isImage ? undefined : videoInfo.duration,
+            prefix,
+        );
 
-        if (!this.baseStyles[style]) {
-            throw new Error(
-                `Unknown style: ${style}. Available styles: ${Object.keys(this.baseStyles).join(", ")}`,
+        // Move caption boundaries onto the edges of speech
+        const sourceCaptions = options.align
+            ? snapCaptions(
+                  options.captions,
+                  await this.findSpeech(
+                      inputPath,
+                      videoInfo,
+                      options.align,
+                      cancel,
+                  ),
+                  normalizeAlign(options.align).tolerance,
+              )
+            : options.captions;
+
+        // Color and label each caption by its speaker
+        const speakers = {
+            ...this.baseStyles[style].speakers,
+            ...(options.speakers && checkSpeakers(options.speakers)),
+        };
+        const speakerLabels =
+            options.speakerLabels ?? this.baseStyles[style].speakerLabels;
+        const unstyledSpeakers = new Set(
+            sourceCaptions
+                .filter(
+                    (caption) =>
+                        caption.speaker !== undefined &&
+                        !findSpeaker(speakers, caption.speaker),
+                )
+                .map((caption) => caption.speaker),
+        );
+        if (
+            unstyledSpeakers.size &&
+            Object.keys(speakers).length &&
+            !speakerLabels
+        ) {
+            this.log(
+                "warn",
+                `${prefix}No speaker style for: ${[...unstyledSpeakers].join(", ")}`,
             );
         }
+        const spokenCaptions = withWordText(sourceCaptions).map((caption) =>
+            applySpeaker(caption, speakers, { labels: speakerLabels }),
+        );
 
-        // Get video dimensions
-        const videoInfo = await getVideoInfo(inputPath);
+        // Draw each character of a caption with the first font of its chain
+        // (its own font, if it sets one, then the fallbacks) that has a glyph
+        // for it. captionFonts are the fonts it needs.
+        const fallbackFonts = fonts.slice(1);
+        const captions = spokenCaptions.map((caption) => {
+            const overrides = caption.style || {};
+            const chain = overrides.fontfile
+                ? this.resolveFonts([overrides.fontfile, ...fallbackFonts])
+                : fonts;
+            const captionFonts = this.pickCaptionFonts(chain, caption.text);
+            return captionFonts.length
+                ? {
+                      ...caption,
+                      captionFonts,
+                      style: { ...overrides, fontfile: captionFonts[0] },
+                  }
+                : caption;
+        });
+        this.warnUnshaped(captions.map((caption) => caption.text));
 
         // Get scaled style configuration
         const styleConfig = this.getScaledStyle(
@@ -546,255 +2256,1064 @@ class CaptionIt {
             videoInfo.height,
         );
 
-        // Calculate wrap length based on video width and scaled font size
-        const wrapLen = calculateWrapLength(
-            videoInfo.width,
+        const placement = this.getPlacement(options, styleConfig);
+        normalizeAnimation(animation);
+
+        // Calculate wrap width based on the usable video width, scaled font size and font
+        const wrap = calculateWrap(
+            getSafeWidth(videoInfo.width, placement.safeArea),
             styleConfig.fontsize,
+            fonts,
         );
 
-        console.log(`Video resolution: ${videoInfo.width}x${videoInfo.height}`);
-        console.log(
-            `Scaled font size: ${styleConfig.fontsize} (base: ${this.baseStyles[style].baseFontsize})`,
+        this.log(
+            "debug",
+            `${prefix}Scaled font size: ${styleConfig.fontsize} (base: ${this.baseStyles[style].baseFontsize})`,
+        );
+        this.log(
+            "debug",
+            `${prefix}Calculated wrap width: ${Math.round(wrap.maxWidth)}px`,
         );
-        console.log(`Calculated wrap length: ${wrapLen} characters`);
 
-        if (style === "gif") {
-            return this.addMultipleGifStyleCaptions({
-                inputPath,
-                outputPath,
-                captions,
-                styleConfig,
-                fontfile,
-                videoInfo,
-                wrapLen,
-            });
-        } else {
-            return this.addMultipleTiktokStyleCaptions({
-                inputPath,
-                outputPath,
-                captions,
-                styleConfig,
-                fontfile,
-                videoInfo,
-                wrapLen,
-            });
-        }
+        return {
+            captions,
+            styleConfig,
+            fonts,
+            placement,
+            animation,
+            layout: styleConfig.layout,
+        };
     }
 
-    async addMultipleGifStyleCaptions({
+    // Draw prepared caption tracks (see prepareTrack) in one FFmpeg pass.
+    // Tracks with the tiktok layout are drawn over the video first; then it
+    // is padded for the bars of the gif tracks and their captions drawn.
+    // Captions of different tracks shown at once in the same place over the
+    // video are stacked instead of drawn on top of each other.
+    async renderCaptionTracks({
         inputPath,
         outputPath,
-        captions,
-        styleConfig,
-        fontfile,
+        tracks,
         videoInfo,
-        wrapLen,
+        encoding,
+        duration,
+        preview,
+        cancel,
     }) {
-        // Calculate the maximum text height needed across all captions
-        const maxTextHeight = Math.max(
-            ...captions.map((caption) =>
-                this.calculateTextHeight(caption.text, wrapLen, styleConfig),
-            ),
+        // Merge each caption's style overrides and wrap for its font size
+        const styledTracks = tracks.map((track) => ({
+            ...track,
+            captions: track.captions.map((caption) => {
+                const captionStyle = applyCaptionStyle(
+                    track.styleConfig,
+                    caption,
+                    track.fonts[0],
+                );
+                return {
+                    ...caption,
+                    captionStyle,
+                    wrap: calculateWrap(
+                        getSafeWidth(videoInfo.width, track.placement.safeArea),
+                        captionStyle.fontsize,
+                        caption.captionFonts ||
+                            this.resolveFonts(captionStyle.fontfile),
+                    ),
+                };
+            }),
+        }));
+
+        // Size a bar for each side gif captions are placed on
+        const gifTracks = styledTracks.filter(
+            (track) => track.layout === "gif",
+        );
+        const layout = gifTracks.length
+            ? this.layoutGifTracks(gifTracks, videoInfo)
+            : null;
+
+        // Everything drawn over the video, in track order
+        const overlays = styledTracks.flatMap((track) =>
+            track.layout === "gif"
+                ? layout.entries.filter(
+                      (entry) =>
+                          entry.track === track &&
+                          entry.position.row === "center",
+                  )
+                : track.captions.map((caption) => ({
+                      caption,
+                      track,
+                      position: normalizePosition(
+                          pickPosition(
+                              track.styleConfig,
+                              caption,
+                              track.placement,
+                          ) || "center",
+                      ),
+                  })),
+        );
+        stackTrackCaptions(
+            overlays.map(({ caption, track, position }) => ({
+                track,
+                caption,
+                position,
+                height:
+                    this.calculateTextHeight(
+                        caption.text,
+                        caption.wrap,
+                        caption.captionStyle,
+                    ) +
+                    (caption.captionStyle.box
+                        ? (caption.captionStyle.boxborderw || 0) * 2
+                        : 0),
+                gap: caption.captionStyle.line_spacing || 0,
+            })),
         );
-        const textAreaHeight = maxTextHeight + styleConfig.textPadding * 2;
 
-        // Create temp files for all captions
-        const captionFiles = captions.map((caption) => ({
-            ...caption,
-            file: wrapTextToFile(caption.text, wrapLen),
-        }));
+        const tempFiles = [];
+        const videoFilters = [];
+
+        // 1. Draw the tiktok tracks over the video
+        styledTracks
+            .filter((track) => track.layout !== "gif")
+            .forEach((track) => {
+                const overlay = this.buildOverlayCaptionFilters(
+                    track,
+                    videoInfo,
+                );
+                videoFilters.push(...overlay.filters);
+                tempFiles.push(...overlay.files);
+            });
 
-        const textX = "(w-text_w)/2";
-        // Use FFmpeg's text_h for better centering
-        const textY = `(${textAreaHeight}-text_h)/2`;
+        if (layout) {
+            // 2. Add padding for the bars
+            if (layout.padFilter) {
+                videoFilters.push(layout.padFilter);
+            }
 
-        let videoFilters = [
-            // 1. Add padding to top
-            `pad=iw:ih+${textAreaHeight}:0:${textAreaHeight}:color=${styleConfig.backgroundColor}`,
-        ];
+            // 3. Add drawtext filters for each gif caption
+            const bars = this.buildGifCaptionFilters(layout.entries);
+            videoFilters.push(...bars.filters);
+            tempFiles.push(...bars.files);
+
+            this.log(
+                "debug",
+                `Text area height: ${layout.bars.top + layout.bars.bottom}`,
+            );
+        }
 
-        // 2. Add drawtext filters for each caption with enable conditions
-        captionFiles.forEach((caption) => {
-            const enableCondition = `between(t,${caption.startTime},${caption.endTime})`;
+        const command = ffmpeg(inputPath)
+            .videoFilters(videoFilters)
+            .output(outputPath);
+        applyEncoding(command, encoding, videoInfo);
+        applyInputTiming(command, videoInfo, {
+            duration,
+            encoding,
+            preview,
+        });
 
-            let drawText =
-                `drawtext=textfile='${caption.file}':` +
-                `fontsize=${styleConfig.fontsize}:` +
-                `fontcolor=${styleConfig.fontcolor}:` +
-                `x=${textX}:` +
-                `y=${textY}:` +
-                `line_spacing=${styleConfig.line_spacing}:` +
-                `borderw=${styleConfig.borderw}:` +
-                `bordercolor=${styleConfig.bordercolor}:` +
-                `enable='${enableCondition}'`;
+        return this.runCommand(command, {
+            inputPath,
+            outputPath,
+            tempFiles,
+            cancel,
+            duration: outputDuration(videoInfo, { duration, preview }),
+        });
+    }
 
-            if (fontfile && fs.existsSync(fontfile)) {
-                drawText += `:fontfile='${fontfile}'`;
+    // Build the drawtext filters of laid out gif captions (see
+    // layoutGifTracks), with the style and animation of each one's track
+    buildGifCaptionFilters(entries) {
+        const filters = [];
+        const files = [];
+
+        entries.forEach((entry) => {
+            const { caption, track } = entry;
+            const captionStyle = caption.captionStyle;
+            const wrappedText = wrapText(caption.text, caption.wrap);
+            const captionAnimation = pickAnimation(
+                track.styleConfig,
+                caption,
+                track.animation,
+            );
+            let x = entry.x;
+            let y = shiftY(entry.y, caption.shift);
+
+            const labelColor = speakerLabelColor(caption, captionStyle);
+
+            // Text needing several fonts is drawn a run at a time
+            if (caption.captionFonts && caption.captionFonts.length > 1) {
+                const runs = drawFontRuns(wrappedText, {
+                    wrap: caption.wrap,
+                    x,
+                    y,
+                    fontsize: captionStyle.fontsize,
+                    fontcolor: captionStyle.fontcolor,
+                    lineSpacing: captionStyle.line_spacing,
+                    box: boxOptions(captionStyle),
+                    startTime: caption.startTime,
+                    endTime: caption.endTime,
+                    animation: captionAnimation,
+                    label: labelColor && {
+                        text: caption.speakerLabel.text,
+                        color: labelColor,
+                    },
+                    drawOptions: {
+                        borderw: captionStyle.borderw,
+                        bordercolor: captionStyle.bordercolor,
+                    },
+                });
+                filters.push(...runs.filters);
+                files.push(...runs.files);
+                return;
             }
 
-            videoFilters.push(drawText);
+            // A label in its own color is drawn over the text, so both are
+            // placed by the measured size of the text
+            if (labelColor) {
+                const width = Math.round(
+                    Math.max(
+                        ...wrappedText
+                            .split("\n")
+                            .map((line) => caption.wrap.measure(line)),
+                    ),
+                );
+                const height = this.calculateTextHeight(
+                    caption.text,
+                    caption.wrap,
+                    captionStyle,
+                );
+                x = pinTextSize(x, width, height);
+                y = pinTextSize(y, width, height);
+            }
+
+            // Create temp files for the caption (one per typewriter step)
+            const variants = animateCaption(wrappedText, {
+                startTime: caption.startTime,
+                endTime: caption.endTime,
+                fontsize: captionStyle.fontsize,
+                y,
+                animation: captionAnimation,
+            });
+
+            const drawOptions = {
+                x,
+                line_spacing: captionStyle.line_spacing,
+                borderw: captionStyle.borderw,
+                bordercolor: captionStyle.bordercolor,
+                fontfile: captionStyle.fontfile,
+            };
+            variants.forEach((variant) => {
+                files.push(variant.file);
+                filters.push(
+                    drawtext({
+                        textfile: variant.file,
+                        fontsize: variant.fontsize,
+                        fontcolor: captionStyle.fontcolor,
+                        y: variant.y,
+                        alpha: variant.alpha,
+                        enable: variant.enable,
+                        ...boxOptions(captionStyle),
+                        ...drawOptions,
+                    }),
+                );
+            });
+
+            if (labelColor) {
+                const label = drawSpeakerLabel(caption, labelColor, {
+                    fontsize: captionStyle.fontsize,
+                    y,
+                    animation: captionAnimation,
+                    drawOptions,
+                });
+                filters.push(...label.filters);
+                files.push(...label.files);
+            }
         });
 
-        return new Promise((resolve, reject) => {
-            const command = ffmpeg(inputPath)
-                .videoFilters(videoFilters)
-                .output(outputPath);
+        return { filters, files };
+    }
 
-            command
-                .on("start", (commandLine) => {
-                    console.log("FFmpeg command:", commandLine);
-                    console.log(
-                        `Video dimensions: ${videoInfo.width}x${videoInfo.height}`,
-                    );
-                    console.log(`Scaled font size: ${styleConfig.fontsize}`);
-                    console.log(
-                        `Calculated wrap length: ${wrapLen} characters`,
-                    );
-                    console.log(`Processing ${captions.length} captions`);
-                    console.log(`Text area height: ${textAreaHeight}`);
-                })
-                .on("progress", (progress) => {
-                    if (progress.percent) {
-                        console.log(
-                            `Processing: ${Math.round(progress.percent)}% done`,
+    // Build the drawtext filters of a tiktok track's captions, drawn over
+    // the video
+    buildOverlayCaptionFilters(track, videoInfo) {
+        const { styleConfig, placement, animation } = track;
+        const filters = [];
+        const files = [];
+
+        track.captions.forEach((caption) => {
+            const captionStyle = caption.captionStyle;
+            const captionWrap = caption.wrap;
+
+            // Captions with per-word timings get the karaoke treatment
+            if (caption.words && caption.words.length) {
+                const karaoke = this.buildKaraokeFilters(
+                    caption,
+                    captionStyle,
+                    captionWrap,
+                    pickPosition(styleConfig, caption, placement),
+                    placement.safeArea,
+                    pickAnimation(styleConfig, caption, animation),
+                );
+                filters.push(...karaoke.filters);
+                files.push(...karaoke.files);
+                return;
+            }
+
+            const position = getOverlayXY(styleConfig, caption, placement);
+            let x = position.x;
+            let y = shiftY(position.y, caption.shift);
+            const wrappedText = wrapText(caption.text, captionWrap);
+            const captionAnimation = pickAnimation(
+                styleConfig,
+                caption,
+                animation,
+            );
+
+            const labelColor = speakerLabelColor(caption, captionStyle);
+
+            // Text needing several fonts is drawn a run at a time
+            if (caption.captionFonts && caption.captionFonts.length > 1) {
+                const runs = drawFontRuns(wrappedText, {
+                    wrap: captionWrap,
+                    x,
+                    y,
+                    fontsize: captionStyle.fontsize,
+                    fontcolor: captionStyle.fontcolor,
+                    lineSpacing: captionStyle.line_spacing,
+                    box: boxOptions(captionStyle),
+                    startTime: caption.startTime,
+                    endTime: caption.endTime,
+                    animation: captionAnimation,
+                    label: labelColor && {
+                        text: caption.speakerLabel.text,
+                        color: labelColor,
+                    },
+                    drawOptions: borderOptions(captionStyle),
+                });
+                filters.push(...runs.filters);
+                files.push(...runs.files);
+                return;
+            }
+
+            // A label in its own color is drawn over the text, so both are
+            // placed by the measured size of the text
+            if (labelColor) {
+                const width = Math.round(
+                    Math.max(
+                        ...wrappedText
+                            .split("\n")
+                            .map((line) => captionWrap.measure(line)),
+                    ),
+                );
+                const height = this.calculateTextHeight(
+                    caption.text,
+                    captionWrap,
+                    captionStyle,
+                );
+                x = pinTextSize(x, width, height);
+                y = pinTextSize(y, width, height);
+            }
+
+            // Create temp files for the caption (one per typewriter step)
+            const variants = animateCaption(wrappedText, {
+                startTime: caption.startTime,
+                endTime: caption.endTime,
+                fontsize: captionStyle.fontsize,
+                y,
+                animation: captionAnimation,
+            });
+
+            const drawOptions = {
+                x,
+                line_spacing: captionStyle.line_spacing,
+                ...borderOptions(captionStyle),
+                fontfile: captionStyle.fontfile,
+            };
+            variants.forEach((variant) => {
+                files.push(variant.file);
+                filters.push(
+                    drawtext({
+                        textfile: variant.file,
+                        fontsize: variant.fontsize,
+                        fontcolor: captionStyle.fontcolor,
+                        y: variant.y,
+                        alpha: variant.alpha,
+                        enable: variant.enable,
+                        ...boxOptions(captionStyle),
+                        ...drawOptions,
+                    }),
+                );
+            });
+
+            if (labelColor) {
+                const label = drawSpeakerLabel(caption, labelColor, {
+                    fontsize: captionStyle.fontsize,
+                    y,
+                    animation: captionAnimation,
+                    drawOptions,
+                });
+                filters.push(...label.filters);
+                files.push(...label.files);
+            }
+        });
+
+        return { filters, files };
+    }
+
+    // Build the filters for a caption with per-word timings. Each word is
+    // drawn on its own so the active word can be swapped for a highlighted
+    // copy while the rest of the line stays visible. Fade and slide-up
+    // animate every word (the box stays put); pop and typewriter would fight
+    // the highlight, so they are refused.
+    buildKaraokeFilters(
+        caption,
+        styleConfig,
+        wrap,
+        position = "center",
+        safeArea,
+        animation,
+    ) {
+        const filters = [];
+        const files = [];
+
+        const fontsize = styleConfig.fontsize;
+        const lineSpacing = styleConfig.line_spacing || 0;
+        // Stack lines the way drawtext spaces them for this font
+        const lineHeight = Math.round(wrap.lineHeight) + lineSpacing;
+        const highlightSize = Math.round(
+            fontsize * (styleConfig.highlightScale || 1),
+        );
+        // Shift the enlarged word up so it grows around the line's middle
+        const highlightShift = Math.round((highlightSize - fontsize) / 2);
+
+        const refused =
+            animation &&
+            [animation.in, animation.out].find(
+                (effect) => effect === "pop" || effect === "typewriter",
+            );
+        if (refused) {
+            throw new Error(
+                `The ${refused} animation can't be used on captions with word timings. Use fade or slide-up`,
+            );
+        }
+        const animate = (y) =>
+            buildAnimation(animation, {
+                startTime: caption.startTime,
+                endTime: caption.endTime,
+                fontsize,
+                y,
+            });
+
+        // A speaker label leads the first line, never highlighted
+        const label = caption.speakerLabel;
+        const lines = layoutWords(
+            label
+                ? [{ text: label.text, isLabel: true }, ...caption.words]
+                : caption.words,
+            wrap,
+        );
+        const blockWidth = Math.round(
+            Math.max(...lines.map((line) => line.width)),
+        );
+        const blockHeight = lines.length * lineHeight - lineSpacing;
+        const captionCondition = `between(t,${caption.startTime},${caption.endTime})`;
+
+        // Top-left corner of the block, for drawtext (w/h) and drawbox (iw/ih)
+        const blockOptions = {
+            safeArea,
+            margin: getOverlayMargin(styleConfig),
+            textWidth: blockWidth,
+            textHeight: blockHeight,
+        };
+        const block = resolvePosition(position, blockOptions);
+        const boxBlock = resolvePosition(position, {
+            ...blockOptions,
+            frameWidth: "iw",
+            frameHeight: "ih",
+        });
+        // Make way for captions of other tracks shown in the same place
+        block.y = shiftY(block.y, caption.shift);
+        boxBlock.y = shiftY(boxBlock.y, caption.shift);
+
+        const wordOptions = {
+            alpha: animate(block.y).alpha,
+            ...borderOptions(styleConfig),
+        };
+
+        // One background box behind the whole block instead of one per word
+        if (styleConfig.box) {
+            const pad = styleConfig.boxborderw || 0;
+            filters.push(
+                buildFilter("drawbox", {
+                    x: `${boxBlock.x}-${pad}`,
+                    y: `${boxBlock.y}-${pad}`,
+                    w: blockWidth + pad * 2,
+                    h: blockHeight + pad * 2,
+                    color: styleConfig.boxcolor,
+                    t: "fill",
+                    enable: captionCondition,
+                }),
+            );
+        }
+
+        lines.forEach((line, lineIndex) => {
+            // Lines are centred inside the block
+            const lineWidth = Math.round(line.width);
+            const lineIndent = Math.round((blockWidth - lineWidth) / 2);
+            const lineX = lineIndent ? `${block.x}+${lineIndent}` : block.x;
+            const lineY = lineIndex
+                ? `${block.y}+${lineIndex * lineHeight}`
+                : block.y;
+            const highlightY = `${lineY}-${highlightShift}`;
+
+            line.words.forEach((word) => {
+                // A word needing several fonts is drawn a run at a time, at
+                // the runs' offsets scaled to the copy's size
+                const runs = wrap.runs(word.text);
+                const rtl = textDirection(word.text) === "rtl";
+                let offset = 0;
+                runs.forEach((run) => {
+                    run.offset = rtl ? word.width - offset - run.width : offset;
+                    offset += run.width;
+                    run.file = writeTextFile(run.text);
+                    files.push(run.file);
+                });
+
+                // Centre each word on its measured slot so the plain and
+                // highlighted copies line up
+                const centerX = `${lineX}+${Math.round(word.offset + word.width / 2)}`;
+                const drawWord = ({ size, fontcolor, y, enable }) => {
+                    const scale = size / fontsize;
+                    runs.forEach((run) => {
+                        const shift = Math.round(
+                            (run.offset - word.width / 2) * scale,
+                        );
+                        filters.push(
+                            drawtext({
+                                textfile: run.file,
+                                fontsize: size,
+                                fontcolor,
+                                x:
+                                    runs.length > 1
+                                        ? `${centerX}${shift < 0 ? "-" : "+"}${Math.abs(shift)}`
+                                        : `${centerX}-text_w/2`,
+                                y: shiftY(y, Math.round(run.dy * scale)),
+                                enable,
+                                ...wordOptions,
+                                fontfile: run.font,
+                            }),
                         );
-                    }
-                })
-                .on("end", () => {
-                    console.log("Captions added successfully!");
-                    // Clean up temp files
-                    captionFiles.forEach((caption) => {
-                        try {
-                            fs.unlinkSync(caption.file);
-                        } catch (e) {
-                            console.warn(
-                                "Could not delete temp caption file:",
-                                caption.file,
-                            );
-                        }
                     });
-                    resolve(outputPath);
-                })
-                .on("error", (err) => {
-                    console.error("Error adding captions:", err.message);
-                    // Clean up temp files
-                    captionFiles.forEach((caption) => {
-                        try {
-                            fs.unlinkSync(caption.file);
-                        } catch (e) {
-                            console.warn(
-                                "Could not delete temp caption file:",
-                                caption.file,
-                            );
-                        }
+                };
+
+                if (word.isLabel) {
+                    drawWord({
+                        size: fontsize,
+                        fontcolor: label.color || styleConfig.fontcolor,
+                        y: animate(lineY).y || lineY,
+                        enable: captionCondition,
                     });
-                    reject(err);
-                })
-                .run();
+                    return;
+                }
+
+                const wordStart = Math.max(word.start, caption.startTime);
+                const wordEnd = Math.min(word.end, caption.endTime);
+                const wordCondition = `between(t,${wordStart},${wordEnd})`;
+
+                drawWord({
+                    size: fontsize,
+                    fontcolor: styleConfig.fontcolor,
+                    y: animate(lineY).y || lineY,
+                    enable: `${captionCondition}*not(${wordCondition})`,
+                });
+
+                drawWord({
+                    size: highlightSize,
+                    fontcolor:
+                        styleConfig.highlightColor || styleConfig.fontcolor,
+                    y: animate(highlightY).y || highlightY,
+                    enable: wordCondition,
+                });
+            });
         });
+
+        return { filters, files };
     }
 
-    async addMultipleTiktokStyleCaptions({
-        inputPath,
-        outputPath,
-        captions,
-        styleConfig,
-        fontfile,
-        videoInfo,
-        wrapLen,
-    }) {
-        // Create temp files for all captions
-        const captionFiles = captions.map((caption) => ({
+    // Write captions to an SRT, VTT or ASS sidecar file instead of burning
+    // them in. Text is wrapped exactly like the burned-in captions would be.
+    async exportCaptions(options) {
+        const {
+            captions,
+            outputPath,
+            format,
+            inputPath,
+            style = "gif",
+            muxOutputPath,
+            language,
+        } = options;
+
+        const exportFormat =
+            format || path.extname(outputPath).slice(1).toLowerCase();
+        if (!EXPORT_FORMATS.includes(exportFormat)) {
+            throw new Error(
+                `Unknown export format: ${exportFormat}. Available formats: ${EXPORT_FORMATS.join(", ")}`,
+            );
+        }
+
+        if (!this.baseStyles[style]) {
+            throw new UnknownStyleError(style, Object.keys(this.baseStyles));
+        }
+
+        if (muxOutputPath && !inputPath) {
+            throw new Error("An input video is required to mux subtitles");
+        }
+        checkLanguage(language);
+
+        // Use the real video dimensions when we have them so wrapping and
+        // ASS sizing match the burned-in output
+        let videoInfo = { width: 1920, height: 1080 };
+        if (inputPath) {
+            if (!fs.existsSync(inputPath)) {
+                throw new InputNotFoundError(inputPath);
+            }
+            videoInfo = await getVideoInfo(inputPath);
+        }
+        this.checkCaptions(captions, videoInfo.duration);
+
+        const styleConfig = this.getScaledStyle(
+            style,
+            videoInfo.width,
+            videoInfo.height,
+        );
+        const fonts = this.getFonts(options, style);
+        const wrap = calculateWrap(
+            videoInfo.width,
+            styleConfig.fontsize,
+            fonts,
+        );
+
+        const wrappedCaptions = withWordText(captions).map((caption) => ({
             ...caption,
-            file: wrapTextToFile(caption.text, wrapLen),
+            text: wrapText(caption.text, wrap),
         }));
 
-        const drawTextFilters = captionFiles.map((caption) => {
-            const enableCondition = `between(t,${caption.startTime},${caption.endTime})`;
+        fs.writeFileSync(
+            outputPath,
+            formatCaptions(wrappedCaptions, exportFormat, {
+                styleConfig,
+                videoInfo,
+                // ASS numpad alignment: gif captions sit at the top, tiktok in the middle
+                alignment: styleConfig.layout === "gif" ? 8 : 5,
+            }),
+        );
+
+        this.log(
+            "debug",
+            `Exported ${captions.length} captions to ${outputPath}`,
+        );
 
-            let drawText =
-                `drawtext=textfile='${caption.file}':` +
-                `fontsize=${styleConfig.fontsize}:` +
-                `fontcolor=${styleConfig.fontcolor}:` +
-                `x=${styleConfig.x}:` +
-                `y=${styleConfig.y}:` +
-                `enable='${enableCondition}'`;
+        if (muxOutputPath) {
+            await this.muxSubtitles({
+                inputPath,
+                outputPath: muxOutputPath,
+                subtitlePath: outputPath,
+                language,
+                signal: options.signal,
+                timeout: options.timeout,
+            });
+        }
 
-            if (styleConfig.box) {
-                drawText += `:box=1:boxcolor=${styleConfig.boxcolor}:boxborderw=${styleConfig.boxborderw}`;
-            }
+        return outputPath;
+    }
 
-            if (styleConfig.line_spacing !== undefined) {
-                drawText += `:line_spacing=${styleConfig.line_spacing}`;
-            }
+    // Add a subtitle file to a video as a soft subtitle track. Audio and
+    // video streams are copied, so nothing is re-encoded.
+    async muxSubtitles(options) {
+        const { inputPath, outputPath, subtitlePath, language } = options;
+        checkLanguage(language);
+        const cancel = getCancel(options);
 
-            if (styleConfig.borderw > 0) {
-                drawText += `:borderw=${styleConfig.borderw}:bordercolor=${styleConfig.bordercolor}`;
-            }
+        if (!fs.existsSync(inputPath)) {
+            throw new InputNotFoundError(inputPath);
+        }
 
-            if (fontfile && fs.existsSync(fontfile)) {
-                drawText += `:fontfile='${fontfile}'`;
-            }
+        if (!fs.existsSync(subtitlePath)) {
+            throw new InputNotFoundError(subtitlePath, "Subtitle file");
+        }
+
+        const container = path.extname(outputPath).toLowerCase();
+        if (!(container in CONTAINER_SUBTITLE_CODECS)) {
+            throw new Error(
+                `Cannot mux subtitles into ${container || outputPath}. Supported containers: ${Object.keys(CONTAINER_SUBTITLE_CODECS).join(", ")}`,
+            );
+        }
+
+        const subtitleCodec =
+            CONTAINER_SUBTITLE_CODECS[container] ||
+            SUBTITLE_FILE_CODECS[path.extname(subtitlePath).toLowerCase()];
+        if (!subtitleCodec) {
+            throw new Error(`Unsupported subtitle file: ${subtitlePath}`);
+        }
+
+        const outputOptions = [
+            "-map 0:v",
+            "-map 0:a?",
+            "-map 1:0",
+            "-c copy",
+            `-c:s ${subtitleCodec}`,
+        ];
+        if (language) {
+            outputOptions.push(`-metadata:s:s:0 language=${language}`);
+        }
+
+        const command = ffmpeg(inputPath)
+            .input(subtitlePath)
+            .outputOptions(outputOptions)
+            .output(outputPath);
+        return this.runCommand(command, { inputPath, outputPath, cancel });
+    }
+
+    // Render a quick preview with exactly the filters of the full render: a
+    // PNG of the frame `time` seconds into the output, or with proxy a short
+    // low-resolution clip starting there. Takes the options of addCaption, or
+    // of addMultipleCaptions when captions or tracks are given.
+    async preview(options) {
+        const { time = 0, proxy, captions, ...renderOptions } = options;
+
+        if (typeof time !== "number" || !(time >= 0)) {
+            throw new Error("Preview time must be a number of seconds");
+        }
 
-            return drawText;
+        const proxySettings = proxy
+            ? { ...PREVIEW_PROXY, ...(proxy === true ? {} : proxy) }
+            : null;
+        const outputPath =
+            options.outputPath || (proxy ? "preview.mp4" : "preview.png");
+
+        if (!proxy && !isImageOutput(outputPath)) {
+            throw new Error(
+                `Frame previews are images; use a .png or .jpg output path, not ${outputPath}`,
+            );
+        }
+        if (proxy && isImageOutput(outputPath)) {
+            throw new Error(
+                `Proxy previews are clips; use a video output path, not ${outputPath}`,
+            );
+        }
+
+        const renderPreview = {
+            ...renderOptions,
+            outputPath,
+            encoding: proxy
+                ? proxyEncoding(proxySettings, outputPath)
+                : undefined,
+            preview: {
+                time,
+                duration: proxy ? proxySettings.duration : undefined,
+            },
+        };
+
+        if (captions !== undefined || renderOptions.tracks !== undefined) {
+            return this.addMultipleCaptions({ ...renderPreview, captions });
+        }
+        return this.addCaption(renderPreview);
+    }
+
+    // Split a plain-text script into captions that fit in maxLines lines
+    // with the render's style, font and placement, and time them over the
+    // video, or over duration seconds of an image (see timeCaptions). With
+    // align they are timed over the speech in the audio only. Returns the
+    // captions array.
+    async timeScript(options) {
+        const {
+            inputPath,
+            script,
+            style = "gif",
+            startTime = 0,
+            maxLines = SCRIPT_TIMING_DEFAULTS.maxLines,
+        } = options;
+
+        if (typeof script !== "string" || !script.trim()) {
+            throw new Error("Script is empty");
+        }
+        if (!Number.isInteger(maxLines) || maxLines < 1) {
+            throw new Error("maxLines must be a positive whole number");
+        }
+        if (!fs.existsSync(inputPath)) {
+            throw new InputNotFoundError(inputPath);
+        }
+        if (!this.baseStyles[style]) {
+            throw new UnknownStyleError(style, Object.keys(this.baseStyles));
+        }
+
+        const fonts = this.getFonts(options, style);
+        const videoInfo = await getVideoInfo(inputPath);
+        if (videoInfo.isImage && !options.duration && !options.endTime) {
+            throw new Error("Give a duration to time a script over an image");
+        }
+        const endTime =
+            options.endTime ||
+            (videoInfo.isImage ? options.duration : videoInfo.duration);
+
+        const styleConfig = this.getScaledStyle(
+            style,
+            videoInfo.width,
+            videoInfo.height,
+        );
+        const placement = this.getPlacement(options, styleConfig);
+        const wrap = calculateWrap(
+            getSafeWidth(videoInfo.width, placement.safeArea),
+            styleConfig.fontsize,
+            fonts,
+        );
+
+        const texts = chunkScript(
+            script,
+            (text) => wrapText(text, wrap).split("\n").length <= maxLines,
+        );
+        const warn = (message) => this.log("warn", message);
+        let captions;
+        if (options.align) {
+            // Spread the captions over the speech between startTime and
+            // endTime, leaving the silences uncaptioned
+            const segments = (
+                await this.findSpeech(
+                    inputPath,
+                    videoInfo,
+                    options.align,
+                    getCancel(options),
+                )
+            )
+                .map((segment) => ({
+                    start: Math.max(segment.start, startTime),
+                    end: Math.min(segment.end, endTime),
+                }))
+                .filter((segment) => segment.end > segment.start);
+            captions = timeOverSpeech(texts, segments, options, warn);
+        } else {
+            captions = timeCaptions(
+                texts,
+                { ...options, startTime, endTime },
+                warn,
+            );
+        }
+        this.log(
+            "debug",
+            `Split the script into ${captions.length} captions over ${startTime}-${endTime}s`,
+        );
+        return captions;
+    }
+
+    // Find the speech in the audio of a probed video with FFmpeg's
+    // silencedetect filter. Returns the speech segments as { start, end } in
+    // seconds; align sets the silence threshold (see normalizeAlign).
+    async findSpeech(inputPath, videoInfo, align, cancel) {
+        const { noise, minSilence } = normalizeAlign(align);
+        if (videoInfo.isImage || !videoInfo.hasAudio) {
+            throw new Error(
+                `Cannot align captions to speech: ${inputPath} has no audio`,
+            );
+        }
+
+        const lines = [];
+        const command = ffmpeg(inputPath)
+            .noVideo()
+            .audioFilters(
+                buildFilter("silencedetect", {
+                    noise: `${noise}dB`,
+                    d: minSilence,
+                }),
+            )
+            .format("null")
+            .output("-")
+            .on("stderr", (line) => lines.push(line));
+
+        // There is no output file, so nothing for a cancelled run to remove
+        await this.runCommand(command, {
+            inputPath,
+            duration: videoInfo.duration,
+            cancel,
         });
 
-        return new Promise((resolve, reject) => {
-            const command = ffmpeg(inputPath)
-                .videoFilters(drawTextFilters)
-                .output(outputPath);
+        const segments = speechSegments(
+            parseSilences(lines, videoInfo.duration),
+            videoInfo.duration,
+        );
+        this.log(
+            "debug",
+            `Found ${segments.length} stretches of speech in ${inputPath}`,
+        );
+        return segments;
+    }
 
-            command
-                .on("start", (commandLine) => {
-                    console.log("FFmpeg command:", commandLine);
-                    console.log(
-                        `Video dimensions: ${videoInfo.width}x${videoInfo.height}`,
-                    );
-                    console.log(`Scaled font size: ${styleConfig.fontsize}`);
-                    console.log(
-                        `Calculated wrap length: ${wrapLen} characters`,
-                    );
-                    console.log(`Processing ${captions.length} captions`);
-                })
-                .on("progress", (progress) => {
-                    if (progress.percent) {
-                        console.log(
-                            `Processing: ${Math.round(progress.percent)}% done`,
-                        );
-                    }
-                })
-                .on("end", () => {
-                    console.log("Captions added successfully!");
-                    // Clean up temp files
-                    captionFiles.forEach((caption) => {
-                        try {
-                            fs.unlinkSync(caption.file);
-                        } catch (e) {
-                            console.warn(
-                                "Could not delete temp caption file:",
-                                caption.file,
-                            );
-                        }
-                    });
-                    resolve(outputPath);
-                })
-                .on("error", (err) => {
-                    console.error("Error adding captions:", err.message);
-                    // Clean up temp files
-                    captionFiles.forEach((caption) => {
-                        try {
-                            fs.unlinkSync(caption.file);
-                        } catch (e) {
-                            console.warn(
-                                "Could not delete temp caption file:",
-                                caption.file,
-                            );
-                        }
+    // Detect the speech in a video's audio. Returns the speech segments as
+    // { start, end } in seconds.
+    async detectSpeech(options) {
+        const { inputPath, align = true } = options;
+        const cancel = getCancel(options);
+
+        if (!fs.existsSync(inputPath)) {
+            throw new InputNotFoundError(inputPath);
+        }
+
+        const videoInfo = await getVideoInfo(inputPath);
+        return this.findSpeech(inputPath, videoInfo, align, cancel);
+    }
+
+    // Snap the start and end of each caption to the nearest edge of speech
+    // in the video's audio, when within align's tolerance. Returns the
+    // adjusted captions array.
+    async alignCaptions(options) {
+        const { inputPath, captions, align = true } = options;
+        const cancel = getCancel(options);
+
+        if (!fs.existsSync(inputPath)) {
+            throw new InputNotFoundError(inputPath);
+        }
+
+        const videoInfo = await getVideoInfo(inputPath);
+        this.checkCaptions(captions, videoInfo.duration);
+        const segments = await this.findSpeech(
+            inputPath,
+            videoInfo,
+            align,
+            cancel,
+        );
+        return snapCaptions(
+            captions,
+            segments,
+            normalizeAlign(align).tolerance,
+        );
+    }
+
+    // Run one batch job: addMultipleCaptions when it has captions (an array
+    // or a captions file path), caption tracks or a script to time,
+    // addCaption otherwise
+    async runJob(job) {
+        const { captions, format, script, tracks, ...options } = job;
+
+        if (!options.inputPath || !options.outputPath) {
+            throw new Error("Each job needs an input and an output path");
+        }
+
+        if (
+            path.resolve(options.inputPath) === path.resolve(options.outputPath)
+        ) {
+            throw new Error(
+                `Output would overwrite the input: ${options.inputPath}`,
+            );
+        }
+
+        if (captions !== undefined && tracks !== undefined) {
+            throw new Error("Give either captions or tracks, not both");
+        }
+
+        if (captions !== undefined) {
+            return this.addMultipleCaptions({
+                ...options,
+                captions:
+                    typeof captions === "string"
+                        ? readCaptionsFile(captions, format)
+                        : captions,
+            });
+        }
+
+        if (tracks !== undefined) {
+            return this.addMultipleCaptions({
+                ...options,
+                tracks: Array.isArray(tracks)
+                    ? tracks.map((track) =>
+                          track && typeof track.captions === "string"
+                              ? {
+                                    ...track,
+                                    captions: readCaptionsFile(
+                                        track.captions,
+                                        format,
+                                    ),
+                                }
+                              : track,
+                      )
+                    : tracks,
+            });
+        }
+
+        if (script !== undefined) {
+            // The script is already timed to the speech when aligned
+            return this.addMultipleCaptions({
+                ...options,
+                captions: await this.timeScript({ ...options, script }),
+                align: undefined,
+            });
+        }
+
+        if (!options.text) {
+            throw new Error(
+                "Each job needs text, captions, tracks or a script",
+            );
+        }
+        return this.addCaption(options);
+    }
+
+    // Caption many videos, running up to concurrency jobs at a time. A
+    // failing job is recorded in the summary without stopping the others.
+    // onJobEnd is called with each job's result as it finishes. timeout (in
+    // seconds) applies to each job that doesn't set its own; aborting signal
+    // cancels the running jobs and skips the rest.
+    async runBatch(jobs, { concurrency = 2, onJobEnd, signal, timeout } = {}) {
+        if (!Number.isInteger(concurrency) || concurrency < 1) {
+            throw new Error("Concurrency must be a positive integer");
+        }
+
+        const results = [];
+        let nextIndex = 0;
+
+        const worker = async () => {
+            while (nextIndex < jobs.length) {
+                const index = nextIndex++;
+                const job = jobs[index];
+                const startedAt = Date.now();
+                let result;
+
+                try {
+                    const outputPath = await this.runJob({
+                        timeout,
+                        ...job,
+                        signal,
                     });
-                    reject(err);
-                })
-                .run();
-        });
+                    result = { index, job, status: "success", outputPath };
+                } catch (error) {
+                    result = {
+                        index,
+                        job,
+                        status:
+                            signal && signal.aborted ? "cancelled" : "failed",
+                        error: error.message,
+                    };
+                }
+
+                result.seconds = (Date.now() - startedAt) / 1000;
+                results[index] = result;
+                if (onJobEnd) {
+                    onJobEnd(result);
+                }
+            }
+        };
+
+        const workers = [];
+        for (let i = 0; i < Math.min(concurrency, jobs.length); i++) {
+            workers.push(worker());
+        }
+        await Promise.all(workers);
+
+        const count = (status) =>
+            results.filter((result) => result.status === status).length;
+        return {
+            total: jobs.length,
+            succeeded: count("success"),
+            failed: count("failed"),
+            cancelled: count("cancelled"),
+            results,
+        };
     }
 
     getAvailableStyles() {
@@ -812,3 +3331,24 @@ class CaptionIt {
 }
 
 module.exports = CaptionIt;
+module.exports.STYLE_LAYOUTS = STYLE_LAYOUTS;
+module.exports.SAFE_AREAS = SAFE_AREAS;
+module.exports.ANIMATIONS = ANIMATIONS;
+module.exports.ENCODING_PROFILES = ENCODING_PROFILES;
+module.exports.SUBTITLE_FORMATS = SUBTITLE_FORMATS;
+module.exports.EXPORT_FORMATS = EXPORT_FORMATS;
+module.exports.parseCaptions = parseCaptions;
+module.exports.readCaptionsFile = readCaptionsFile;
+module.exports.writeCaptionsFile = writeCaptionsFile;
+module.exports.MANIFEST_FORMATS = MANIFEST_FORMATS;
+module.exports.readManifest = readManifest;
+module.exports.jobsFromVideos = jobsFromVideos;
+module.exports.validateCaptions = validateCaptions;
+module.exports.listFonts = listFonts;
+module.exports.createServer = createServer;
+module.exports.CaptionItError = CaptionItError;
+module.exports.InputNotFoundError = InputNotFoundError;
+module.exports.UnknownStyleError = UnknownStyleError;
+module.exports.FfmpegError = FfmpegError;
+module.exports.FontNotFoundError = FontNotFoundError;
+module.exports.CaptionValidationError = CaptionValidationError;
@@ -0,0 +1,448 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const CaptionIt = require("./index");
+
+// Wrap settings for a font whose glyphs are all 20px wide
+const wrap = {
+    maxWidth: 1000,
+    measure: (text) => text.length * 20,
+    runs: (text) => [{ text, width: text.length * 20, dy: 0 }],
+    lineHeight: 48,
+};
+
+// A temp folder removed once the test finishes
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "caption-it-test-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test("exportCaptions writes a sidecar file in the format of its extension", async (t) => {
+    const outputPath = path.join(tempDir(t), "captions.vtt");
+    const captionIt = new CaptionIt();
+
+    const result = await captionIt.exportCaptions({
+        captions: [{ text: "Hello", startTime: 0, endTime: 1 }],
+        outputPath,
+    });
+
+    assert.equal(result, outputPath);
+    assert.equal(
+        fs.readFileSync(outputPath, "utf8"),
+        "WEBVTT\n\n00:00:00.000 --> 00:00:01.000\nHello\n",
+    );
+});
+
+test("exportCaptions rejects unknown formats and languages", async (t) => {
+    const dir = tempDir(t);
+    const captionIt = new CaptionIt();
+    const captions = [{ text: "Hello", startTime: 0, endTime: 1 }];
+
+    await assert.rejects(
+        captionIt.exportCaptions({
+            captions,
+            outputPath: path.join(dir, "captions.sub"),
+        }),
+        /Unknown export format: sub/,
+    );
+    await assert.rejects(
+        captionIt.exportCaptions({
+            captions,
+            outputPath: path.join(dir, "captions.srt"),
+            inputPath: __filename,
+            muxOutputPath: path.join(dir, "output.mkv"),
+            language: "eng -y",
+        }),
+        /Invalid language: eng -y/,
+    );
+    assert.equal(fs.existsSync(path.join(dir, "captions.srt")), false);
+});
+
+test("buildKaraokeFilters draws each word plain and highlighted in turn", (t) => {
+    const captionIt = new CaptionIt();
+    const karaoke = captionIt.buildKaraokeFilters(
+        {
+            startTime: 1,
+            endTime: 3,
+            words: [
+                { text: "Hello", start: 1, end: 2 },
+                { text: "world", start: 2, end: 3 },
+            ],
+        },
+        {
+            fontsize: 40,
+            fontcolor: "white",
+            highlightColor: "yellow",
+            highlightScale: 1.5,
+            box: 1,
+            boxcolor: "black",
+            boxborderw: 10,
+        },
+        wrap,
+    );
+    t.after(() => karaoke.files.forEach((file) => fs.unlinkSync(file)));
+
+    assert.equal(karaoke.files.length, 2);
+    const [box, ...words] = karaoke.filters;
+    assert.match(box, /^drawbox=/);
+    assert.equal(words.length, 4);
+    assert.match(words[0], /fontsize=40:fontcolor=white:/);
+    assert.match(words[1], /fontsize=60:fontcolor=yellow:/);
+    assert.match(words[1], /between\(t\\,1\\,2\)/);
+    assert.match(words[3], /between\(t\\,2\\,3\)/);
+});
+
+test("registerStyle extends a style and checks the result", () => {
+    const captionIt = new CaptionIt();
+
+    const style = captionIt.registerStyle("loud", {
+        extends: "tiktok",
+        fontcolor: "yellow",
+    });
+    assert.equal(style.layout, "tiktok");
+    assert.equal(style.fontcolor, "yellow");
+    assert.ok(captionIt.getAvailableStyles().includes("loud"));
+
+    assert.throws(
+        () => captionIt.registerStyle("bad", { extends: "missing" }),
+        /extends unknown style: missing/,
+    );
+    assert.throws(
+        () => captionIt.registerStyle("bad", { fontcolor: "red" }),
+        /must set "extends"/,
+    );
+    assert.throws(
+        () =>
+            captionIt.registerStyle("bad", { extends: "gif", baseFontsize: 0 }),
+        /positive baseFontsize/,
+    );
+});
+
+test("loadStyles registers a config file's styles with fonts beside it", (t) => {
+    const dir = tempDir(t);
+    const configPath = path.join(dir, "styles.json");
+    fs.writeFileSync(
+        configPath,
+        JSON.stringify({
+            brand: {
+                extends: "gif",
+                fontfile: "fonts/Brand.ttf",
+                referenceResolution: { width: 1000, height: 1000 },
+            },
+        }),
+    );
+    const captionIt = new CaptionIt();
+
+    assert.deepEqual(captionIt.loadStyles(configPath), ["brand"]);
+    const brand = captionIt.getBaseStyleConfig("brand");
+    assert.equal(brand.fontfile, path.join(dir, "fonts", "Brand.ttf"));
+    assert.equal(
+        captionIt.getStyleConfig("brand", 1000, 1000).fontsize,
+        brand.baseFontsize,
+    );
+    assert.throws(
+        () => captionIt.loadStyles(path.join(dir, "missing.json")),
+        /Styles config file not found/,
+    );
+});
+
+test("addMultipleCaptions throws typed errors for bad inputs", async () => {
+    const captionIt = new CaptionIt();
+    const render = (options) =>
+        captionIt.addMultipleCaptions({
+            outputPath: "output.mp4",
+            captions: [{ text: "Hi", startTime: 0, endTime: 1 }],
+            ...options,
+        });
+
+    await assert.rejects(render({ inputPath: "missing.mp4" }), {
+        name: "InputNotFoundError",
+        path: "missing.mp4",
+    });
+    await assert.rejects(
+        render({ inputPath: __filename, style: "loud" }),
+        (error) =>
+            error instanceof CaptionIt.UnknownStyleError &&
+            error instanceof CaptionIt.CaptionItError &&
+            error.availableStyles.includes("gif"),
+    );
+});
+
+test("buildKaraokeFilters fades words in and refuses pop", (t) => {
+    const captionIt = new CaptionIt();
+    const caption = {
+        startTime: 0,
+        endTime: 2,
+        words: [{ text: "Hi", start: 0, end: 2 }],
+    };
+    const style = { fontsize: 40, fontcolor: "white" };
+
+    const karaoke = captionIt.buildKaraokeFilters(
+        caption,
+        style,
+        wrap,
+        "center",
+        undefined,
+        { in: "fade", out: "none", inDuration: 0.5, outDuration: 0.3 },
+    );
+    t.after(() => karaoke.files.forEach((file) => fs.unlinkSync(file)));
+    karaoke.filters.forEach((filter) =>
+        assert.match(filter, /:alpha=clip\(\(t-0\)\/0\.5\\,0\\,1\):/),
+    );
+
+    assert.throws(
+        () =>
+            captionIt.buildKaraokeFilters(
+                caption,
+                style,
+                wrap,
+                "center",
+                undefined,
+                { in: "pop", out: "none" },
+            ),
+        /The pop animation can't be used on captions with word timings/,
+    );
+});
+
+test("buildKaraokeFilters stacks lines by the font's line height", (t) => {
+    const captionIt = new CaptionIt();
+    const karaoke = captionIt.buildKaraokeFilters(
+        {
+            startTime: 0,
+            endTime: 2,
+            words: [
+                { text: "Hello", start: 0, end: 1 },
+                { text: "world", start: 1, end: 2 },
+            ],
+        },
+        { fontsize: 40, fontcolor: "white", line_spacing: 4 },
+        { ...wrap, maxWidth: 150 },
+    );
+    t.after(() => karaoke.files.forEach((file) => fs.unlinkSync(file)));
+
+    const [first, , second] = karaoke.filters;
+    assert.doesNotMatch(first, /:y=[^:]*\+52/);
+    assert.match(second, /:y=[^:]*\+52/);
+});
+
+test("warnUnshaped logs a warning for Arabic text without shaping", () => {
+    const captionIt = new CaptionIt();
+    const logs = [];
+    captionIt.on("log", (entry) => logs.push(entry));
+
+    captionIt.warnUnshaped(["Hello", undefined]);
+    assert.equal(logs.length, 0);
+    captionIt.warnUnshaped(["Hello", "مرحبا"]);
+    assert.equal(logs.length, 1);
+    assert.equal(logs[0].level, "warn");
+    assert.match(logs[0].message, /drawn unjoined/);
+});
+
+test("runBatch records failing jobs without stopping the others", async () => {
+    const captionIt = new CaptionIt();
+    const ended = [];
+
+    const summary = await captionIt.runBatch(
+        [
+            { inputPath: "a.mp4" },
+            { inputPath: "b.mp4", outputPath: "./b.mp4" },
+            { inputPath: "c.mp4", outputPath: "out.mp4" },
+        ],
+        { concurrency: 2, onJobEnd: (result) => ended.push(result.index) },
+    );
+
+    assert.equal(summary.total, 3);
+    assert.equal(summary.failed, 3);
+    assert.deepEqual(ended.sort(), [0, 1, 2]);
+    assert.deepEqual(
+        summary.results.map((result) => result.error),
+        [
+            "Each job needs an input and an output path",
+            "Output would overwrite the input: b.mp4",
+            "Each job needs text, captions, tracks or a script",
+        ],
+    );
+    await assert.rejects(
+        captionIt.runBatch([], { concurrency: 0 }),
+        /Concurrency must be a positive integer/,
+    );
+});
+
+test("preview checks its time and output path before rendering", async () => {
+    const captionIt = new CaptionIt();
+    const preview = (options) =>
+        captionIt.preview({ inputPath: "missing.mp4", text: "Hi", ...options });
+
+    await assert.rejects(preview({ time: -1 }), /Preview time must be/);
+    await assert.rejects(
+        preview({ outputPath: "frame.mp4" }),
+        /Frame previews are images/,
+    );
+    await assert.rejects(
+        preview({ proxy: true, outputPath: "clip.png" }),
+        /Proxy previews are clips/,
+    );
+    await assert.rejects(
+        preview({ time: 2, proxy: { duration: 1 } }),
+        /Input file does not exist/,
+    );
+});
+
+test("renders cancelled before FFmpeg starts reject with an AbortError", async (t) => {
+    const dir = tempDir(t);
+    const subtitlePath = path.join(dir, "captions.srt");
+    fs.writeFileSync(subtitlePath, "");
+    const captionIt = new CaptionIt();
+    const mux = (options) =>
+        captionIt.muxSubtitles({
+            inputPath: __filename,
+            outputPath: path.join(dir, "output.mkv"),
+            subtitlePath,
+            ...options,
+        });
+
+    await assert.rejects(
+        mux({ timeout: -1 }),
+        /timeout must be a positive number of seconds/,
+    );
+
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(mux({ signal: controller.signal }), {
+        name: "AbortError",
+        code: "ABORT_ERR",
+        reason: "aborted",
+    });
+    assert.equal(fs.existsSync(path.join(dir, "output.mkv")), false);
+});
+
+test("registerStyle checks style colors", () => {
+    const captionIt = new CaptionIt();
+
+    assert.throws(
+        () =>
+            captionIt.registerStyle("bad", {
+                extends: "gif",
+                backgroundColor: "white:enable=0",
+            }),
+        /Invalid backgroundColor: white:enable=0/,
+    );
+});
+
+test("exportCaptions resolves its fonts like a render", async (t) => {
+    const captionIt = new CaptionIt();
+
+    await assert.rejects(
+        captionIt.exportCaptions({
+            captions: [{ text: "Hi", startTime: 0, endTime: 1 }],
+            outputPath: path.join(tempDir(t), "captions.srt"),
+            fallbackFonts: ["missing/Emoji.ttf"],
+        }),
+        { name: "FontNotFoundError", font: "missing/Emoji.ttf" },
+    );
+});
+
+test("timeScript checks its options before reading the video", async () => {
+    const captionIt = new CaptionIt();
+
+    await assert.rejects(
+        captionIt.timeScript({ inputPath: "in.mp4", script: " \n" }),
+        /Script is empty/,
+    );
+    await assert.rejects(
+        captionIt.timeScript({
+            inputPath: "in.mp4",
+            script: "Hi",
+            maxLines: 0,
+        }),
+        /maxLines must be a positive whole number/,
+    );
+    await assert.rejects(
+        captionIt.timeScript({ inputPath: "missing.mp4", script: "Hi" }),
+        { name: "InputNotFoundError" },
+    );
+});
+
+test("buildKaraokeFilters draws a speaker label once, never highlighted", (t) => {
+    const captionIt = new CaptionIt();
+    const karaoke = captionIt.buildKaraokeFilters(
+        {
+            startTime: 1,
+            endTime: 2,
+            words: [{ text: "Hi", start: 1, end: 2 }],
+            speakerLabel: { text: "ALEX:", color: "yellow" },
+        },
+        { fontsize: 40, fontcolor: "white", highlightColor: "red" },
+        wrap,
+    );
+    t.after(() => karaoke.files.forEach((file) => fs.unlinkSync(file)));
+
+    assert.equal(karaoke.filters.length, 3);
+    assert.match(karaoke.filters[0], /fontcolor=yellow:/);
+    assert.match(karaoke.filters[0], /:enable=between\(t\\,1\\,2\):/);
+    assert.equal(fs.readFileSync(karaoke.files[0], "utf8"), "ALEX:");
+});
+
+test("getTracks gives each track the call's options as defaults", () => {
+    const captionIt = new CaptionIt();
+    const options = { inputPath: "in.mp4", captions: [], style: "gif" };
+    assert.deepEqual(captionIt.getTracks(options), [options]);
+
+    assert.deepEqual(
+        captionIt.getTracks({
+            inputPath: "in.mp4",
+            style: "gif",
+            fontfile: "Brand.ttf",
+            tracks: [{ captions: [] }, { captions: [], style: "tiktok" }],
+        }),
+        [
+            { style: "gif", fontfile: "Brand.ttf", captions: [] },
+            { style: "tiktok", fontfile: "Brand.ttf", captions: [] },
+        ],
+    );
+
+    assert.throws(
+        () => captionIt.getTracks({ tracks: [] }),
+        /tracks must be a non-empty array/,
+    );
+    assert.throws(
+        () => captionIt.getTracks({ captions: [], tracks: [{ captions: [] }] }),
+        /Give either captions or tracks, not both/,
+    );
+    assert.throws(
+        () => captionIt.getTracks({ tracks: [{ captions: [], color: "red" }] }),
+        /Track 0 has unknown fields: color/,
+    );
+});
+
+test("buildKaraokeFilters draws a word needing several fonts a run at a time", (t) => {
+    const captionIt = new CaptionIt();
+    const runsWrap = {
+        ...wrap,
+        runs: () => [
+            { text: "Hi", font: "/fonts/Latin.ttf", width: 40, dy: 0 },
+            { text: "\u{1F600}", font: "/fonts/Emoji.ttf", width: 40, dy: 4 },
+        ],
+    };
+    const karaoke = captionIt.buildKaraokeFilters(
+        {
+            startTime: 0,
+            endTime: 1,
+            words: [{ text: "Hi\u{1F600}", start: 0, end: 1 }],
+        },
+        { fontsize: 40, fontcolor: "white", highlightScale: 1.5 },
+        runsWrap,
+    );
+    t.after(() => karaoke.files.forEach((file) => fs.unlinkSync(file)));
+
+    assert.equal(karaoke.files.length, 2);
+    const [plainLatin, plainEmoji, highLatin, highEmoji] = karaoke.filters;
+    assert.match(plainLatin, /:x=[^:]*\+40-40:.*fontfile=\/fonts\/Latin\.ttf/);
+    assert.match(plainEmoji, /:y=\([^:]*\)\+4:.*fontfile=\/fonts\/Emoji\.ttf/);
+    // The highlighted copy scales the runs' offsets with its size
+    assert.match(highLatin, /fontsize=60:.*:x=[^:]*\+40-60:/);
+    assert.match(highEmoji, /:y=\([^:]*\)\+6:/);
+});
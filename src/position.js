@@ -0,0 +1,210 @@
+// Named anchors for caption placement, as [row, column]
+const ANCHORS = {
+    "top-left": ["top", "left"],
+    top: ["top", "center"],
+    "top-right": ["top", "right"],
+    left: ["center", "left"],
+    center: ["center", "center"],
+    right: ["center", "right"],
+    "bottom-left": ["bottom", "left"],
+    bottom: ["bottom", "center"],
+    "bottom-right": ["bottom", "right"],
+};
+
+// Parts of the frame covered by each platform's UI (username, description,
+// like/comment/share buttons), as fractions of the frame size
+const SAFE_AREAS = {
+    tiktok: { top: 0.08, bottom: 0.2, left: 0.05, right: 0.15 },
+    reels: { top: 0.12, bottom: 0.22, left: 0.05, right: 0.14 },
+    shorts: { top: 0.08, bottom: 0.18, left: 0.05, right: 0.14 },
+};
+
+const NO_SAFE_AREA = { top: 0, bottom: 0, left: 0, right: 0 };
+
+// Look up a safe area by platform name ("none" or nothing for the full frame)
+function getSafeArea(name) {
+    if (!name || name === "none") {
+        return NO_SAFE_AREA;
+    }
+
+    const safeArea = SAFE_AREAS[name];
+    if (!safeArea) {
+        throw new Error(
+            `Unknown safe area: ${name}. Available safe areas: none, ${Object.keys(SAFE_AREAS).join(", ")}`,
+        );
+    }
+    return safeArea;
+}
+
+// Width left for text once the safe area's side margins are taken off
+function getSafeWidth(videoWidth, safeAreaName) {
+    const safeArea = getSafeArea(safeAreaName);
+    return Math.round(videoWidth * (1 - safeArea.left - safeArea.right));
+}
+
+// Offsets are pixels (numbers) or percentages of the frame ("5%")
+function parseOffset(offset) {
+    if (typeof offset === "number" && Number.isFinite(offset)) {
+        return { pixels: offset };
+    }
+
+    const match = /^(-?\d+(?:\.\d+)?)%$/.exec(String(offset).trim());
+    if (!match) {
+        throw new Error(
+            `Invalid position offset: ${offset}. Use pixels (20) or a percentage ("5%")`,
+        );
+    }
+    return { fraction: parseFloat(match[1]) / 100 };
+}
+
+// Parse an aspect ratio given as "1:1", "4:5" or a number (width / height)
+function parseAspectRatio(aspectRatio) {
+    const match = /^(\d+(?:\.\d+)?)[:/](\d+(?:\.\d+)?)$/.exec(
+        String(aspectRatio).trim(),
+    );
+    const ratio = match
+        ? parseFloat(match[1]) / parseFloat(match[2])
+        : Number(aspectRatio);
+
+    if (!Number.isFinite(ratio) || ratio <= 0) {
+        throw new Error(
+            `Invalid aspect ratio: ${aspectRatio}. Use width:height (e.g. 1:1) or a number`,
+        );
+    }
+    return ratio;
+}
+
+// Turn "bottom" or { anchor, offsetX, offsetY } into a row, column and offsets
+function normalizePosition(position) {
+    const config =
+        typeof position === "string" ? { anchor: position } : position;
+
+    if (!config || typeof config !== "object") {
+        throw new Error(`Invalid position: ${position}`);
+    }
+
+    const { anchor = "center", offsetX = 0, offsetY = 0 } = config;
+    if (!ANCHORS[anchor]) {
+        throw new Error(
+            `Unknown position: ${anchor}. Available positions: ${Object.keys(ANCHORS).join(", ")}`,
+        );
+    }
+
+    const [row, column] = ANCHORS[anchor];
+    return {
+        row,
+        column,
+        offsetX: parseOffset(offsetX),
+        offsetY: parseOffset(offsetY),
+    };
+}
+
+// Round away floating point noise in generated expressions
+function round(value) {
+    return Number(value.toFixed(4));
+}
+
+// Join expression terms with "+", dropping zeros
+function sumTerms(...terms) {
+    const expression = terms
+        .filter((term) => term !== 0 && term !== "0" && term !== "")
+        .join("+")
+        .replace(/\+-/g, "-");
+    return expression || "0";
+}
+
+// Expression for a fraction of the frame size
+function fractionOf(frame, fraction) {
+    if (fraction === 0) {
+        return 0;
+    }
+    return fraction === 1 ? frame : `${frame}*${round(fraction)}`;
+}
+
+function offsetTerm(offset, frame) {
+    return offset.fraction !== undefined
+        ? fractionOf(frame, offset.fraction)
+        : round(offset.pixels);
+}
+
+// Place text along one axis: "start" (left/top), "center" or "end"
+// (right/bottom) of the part of the frame between the safe margins
+function resolveAxis(align, { start, end, frame, text, margin, offset }) {
+    const shift = offsetTerm(offset, frame);
+
+    if (align === "start") {
+        return sumTerms(fractionOf(frame, start), margin, shift);
+    }
+
+    if (align === "end") {
+        return sumTerms(fractionOf(frame, 1 - end), `-${text}`, -margin, shift);
+    }
+
+    const span = fractionOf(frame, 1 - start - end);
+    return sumTerms(fractionOf(frame, start), `(${span}-${text})/2`, shift);
+}
+
+// drawtext x expression for a normalized position
+function resolveX(position, options = {}) {
+    const {
+        safeArea,
+        margin = 0,
+        frameWidth = "w",
+        textWidth = "text_w",
+    } = options;
+    const area = getSafeArea(safeArea);
+    const align = { left: "start", center: "center", right: "end" };
+
+    return resolveAxis(align[position.column], {
+        start: area.left,
+        end: area.right,
+        frame: frameWidth,
+        text: textWidth,
+        margin,
+        offset: position.offsetX,
+    });
+}
+
+// drawtext y expression for a normalized position
+function resolveY(position, options = {}) {
+    const {
+        safeArea,
+        margin = 0,
+        frameHeight = "h",
+        textHeight = "text_h",
+    } = options;
+    const area = getSafeArea(safeArea);
+    const align = { top: "start", center: "center", bottom: "end" };
+
+    return resolveAxis(align[position.row], {
+        start: area.top,
+        end: area.bottom,
+        frame: frameHeight,
+        text: textHeight,
+        margin,
+        offset: position.offsetY,
+    });
+}
+
+// drawtext x/y expressions for a position inside the (safe) frame.
+// frameWidth/frameHeight and textWidth/textHeight can be swapped for other
+// variables (drawbox's iw/ih) or fixed sizes.
+function resolvePosition(position, options = {}) {
+    const normalized = normalizePosition(position);
+    return {
+        x: resolveX(normalized, options),
+        y: resolveY(normalized, options),
+    };
+}
+
+module.exports = {
+    ANCHORS,
+    SAFE_AREAS,
+    getSafeArea,
+    getSafeWidth,
+    parseAspectRatio,
+    normalizePosition,
+    resolveX,
+    resolveY,
+    resolvePosition,
+};
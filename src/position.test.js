@@ -0,0 +1,79 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+    getSafeArea,
+    getSafeWidth,
+    parseAspectRatio,
+    normalizePosition,
+    resolvePosition,
+} = require("./position");
+
+test("normalizePosition reads anchors and offsets", () => {
+    assert.deepEqual(normalizePosition("top-left"), {
+        row: "top",
+        column: "left",
+        offsetX: { pixels: 0 },
+        offsetY: { pixels: 0 },
+    });
+    assert.deepEqual(
+        normalizePosition({ anchor: "bottom", offsetX: "5%", offsetY: -20 }),
+        {
+            row: "bottom",
+            column: "center",
+            offsetX: { fraction: 0.05 },
+            offsetY: { pixels: -20 },
+        },
+    );
+    assert.throws(() => normalizePosition("middle"), /Unknown position/);
+    assert.throws(
+        () => normalizePosition({ offsetX: "5px" }),
+        /Invalid position offset/,
+    );
+});
+
+test("resolvePosition builds drawtext expressions", () => {
+    assert.deepEqual(resolvePosition("center"), {
+        x: "(w-text_w)/2",
+        y: "(h-text_h)/2",
+    });
+    assert.deepEqual(resolvePosition("bottom-right", { margin: 40 }), {
+        x: "w-text_w-40",
+        y: "h-text_h-40",
+    });
+    assert.deepEqual(
+        resolvePosition({ anchor: "top-left", offsetX: "10%", offsetY: 5 }),
+        { x: "w*0.1", y: "5" },
+    );
+});
+
+test("resolvePosition keeps text inside a platform's safe area", () => {
+    assert.deepEqual(resolvePosition("bottom", { safeArea: "tiktok" }), {
+        x: "w*0.05+(w*0.8-text_w)/2",
+        y: "h*0.8-text_h",
+    });
+    assert.deepEqual(
+        resolvePosition("top", {
+            safeArea: "tiktok",
+            frameWidth: "iw",
+            frameHeight: "ih",
+            textWidth: 100,
+            textHeight: 50,
+        }),
+        { x: "iw*0.05+(iw*0.8-100)/2", y: "ih*0.08" },
+    );
+});
+
+test("getSafeArea and getSafeWidth look up platforms", () => {
+    assert.deepEqual(getSafeArea("none"), getSafeArea());
+    assert.equal(getSafeWidth(1080, "tiktok"), 864);
+    assert.equal(getSafeWidth(1080), 1080);
+    assert.throws(() => getSafeArea("snapchat"), /Unknown safe area/);
+});
+
+test("parseAspectRatio reads ratios and numbers", () => {
+    assert.equal(parseAspectRatio("4:5"), 0.8);
+    assert.equal(parseAspectRatio("16/8"), 2);
+    assert.equal(parseAspectRatio(1.5), 1.5);
+    assert.throws(() => parseAspectRatio("wide"), /Invalid aspect ratio/);
+    assert.throws(() => parseAspectRatio("0:1"), /Invalid aspect ratio/);
+});
@@ -0,0 +1,760 @@
+// HTTP render service around CaptionIt: upload a video (or name a local
+// file), submit caption jobs, poll their progress and download the results.
+// Jobs wait in a queue and run a few at a time through runJob, like batches.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+const crypto = require("crypto");
+const { pipeline, Transform } = require("stream");
+const { formatFileSize } = require("./encoding");
+const { VIDEO_EXTENSIONS } = require("./batch");
+const { parseCaptions } = require("./subtitles");
+const { isFontPath } = require("./fonts");
+const { validateCaptions } = require("./validation");
+const {
+    InputNotFoundError,
+    UnknownStyleError,
+    CaptionValidationError,
+} = require("./errors");
+
+// Output formats a job can ask for
+const OUTPUT_EXTENSIONS = [...VIDEO_EXTENSIONS, ".gif", ".webp"];
+
+const CONTENT_TYPES = {
+    ".mp4": "video/mp4",
+    ".m4v": "video/mp4",
+    ".mov": "video/quicktime",
+    ".mkv": "video/x-matroska",
+    ".webm": "video/webm",
+    ".avi": "video/x-msvideo",
+    ".gif": "image/gif",
+    ".webp": "image/webp",
+    ".png": "image/png",
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".bmp": "image/bmp",
+};
+
+// Fields of a job request. upload or inputPath names the input; output is
+// the output format; format is the format of captions (and track captions)
+// given as a string.
+const JOB_FIELDS = [
+    "upload",
+    "inputPath",
+    "output",
+    "text",
+    "bottomText",
+    "captions",
+    "tracks",
+    "format",
+    "script",
+    "maxLines",
+    "wordsPerMinute",
+    "minDuration",
+    "maxDuration",
+    "align",
+    "style",
+    "startTime",
+    "duration",
+    "fontfile",
+    "fallbackFonts",
+    "position",
+    "safeArea",
+    "aspectRatio",
+    "animation",
+    "speakers",
+    "speakerLabels",
+    "encoding",
+];
+
+// Largest JSON request body, in bytes
+const MAX_JSON_SIZE = 10 * 1024 * 1024;
+
+// Seconds browsers may reuse the answer to a CORS preflight request
+const PREFLIGHT_MAX_AGE = 600;
+
+// An error sent back with its HTTP status
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function newId() {
+    return crypto.randomBytes(8).toString("hex");
+}
+
+// The JSON body sent for an error: its type and message, plus the caption
+// index and field for caption errors
+function errorBody(error) {
+    return {
+        type: error.name,
+        message: error.message,
+        index: error.index,
+        field: error.field,
+    };
+}
+
+function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, {
+        "Content-Type": "application/json",
+        ...headers,
+    });
+    res.end(JSON.stringify(body));
+}
+
+// Read a JSON request body
+async function readJson(req) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_JSON_SIZE) {
+            throw new HttpError(
+                413,
+                `Request body is over the ${formatFileSize(MAX_JSON_SIZE)} limit`,
+            );
+        }
+        chunks.push(chunk);
+    }
+
+    try {
+        return JSON.parse(Buffer.concat(chunks).toString("utf8"));
+    } catch (error) {
+        throw new HttpError(400, `Request body must be JSON: ${error.message}`);
+    }
+}
+
+// Write a request body to filePath, failing once it passes maxSize bytes.
+// Resolves to the number of bytes written.
+function saveBody(req, filePath, maxSize) {
+    let size = 0;
+    const limit = new Transform({
+        transform(chunk, encoding, callback) {
+            size += chunk.length;
+            callback(
+                size > maxSize
+                    ? new HttpError(
+                          413,
+                          `Upload is over the ${formatFileSize(maxSize)} limit`,
+                      )
+                    : null,
+                chunk,
+            );
+        },
+    });
+
+    return new Promise((resolve, reject) => {
+        pipeline(req, limit, fs.createWriteStream(filePath), (error) => {
+            if (error) {
+                fs.rmSync(filePath, { force: true });
+                reject(error);
+            } else {
+                resolve(size);
+            }
+        });
+    });
+}
+
+// The CORS headers letting a browser on origin call the service. corsOrigin
+// is "*", an origin or a list of origins; other origins get none.
+function corsHeaders(corsOrigin, origin) {
+    const origins = [].concat(corsOrigin || []);
+    if (!origins.length) {
+        return {};
+    }
+
+    const wildcard = origins.includes("*");
+    const vary = wildcard ? {} : { Vary: "Origin" };
+    if (!wildcard && !origins.includes(origin)) {
+        return vary;
+    }
+    return {
+        "Access-Control-Allow-Origin": wildcard ? "*" : origin,
+        "Access-Control-Allow-Methods": "GET, POST, DELETE",
+        "Access-Control-Allow-Headers": "Content-Type, Authorization",
+        "Access-Control-Expose-Headers": "Location, Content-Disposition",
+        ...vary,
+    };
+}
+
+// Resolve a path through any symlinks, or as given when it doesn't exist
+function realPath(filePath) {
+    try {
+        return fs.realpathSync(filePath);
+    } catch (error) {
+        return path.resolve(filePath);
+    }
+}
+
+// Whether filePath is inside one of dirs. Symlinks are followed first, so a
+// link can't lead out of an allowed folder.
+function isInside(filePath, dirs) {
+    const target = realPath(filePath);
+    return dirs.some((dir) => {
+        const relative = path.relative(realPath(dir), target);
+        return (
+            relative !== "" &&
+            !relative.startsWith("..") &&
+            !path.isAbsolute(relative)
+        );
+    });
+}
+
+// Whether a request carries the token as "Authorization: Bearer <token>"
+function hasToken(req, token) {
+    const [scheme, given = ""] = String(req.headers.authorization || "").split(
+        " ",
+    );
+    const expected = Buffer.from(token);
+    const actual = Buffer.from(given);
+    return (
+        scheme === "Bearer" &&
+        actual.length === expected.length &&
+        crypto.timingSafeEqual(actual, expected)
+    );
+}
+
+// Guess the format of captions sent as a string
+function detectCaptionsFormat(content) {
+    const start = content.trimStart();
+    if (start.startsWith("WEBVTT")) {
+        return "vtt";
+    }
+    return start.startsWith("[") || start.startsWith("{") ? "json" : "srt";
+}
+
+// Create the HTTP server. Options:
+// - concurrency: number of jobs rendered at once (default: 2)
+// - workDir: folder for uploads and outputs (default: caption-it-server in
+//   the system temp folder)
+// - maxUploadSize: largest upload, in bytes (default: 2 GB)
+// - timeout: seconds after which a job is cancelled
+// - retention: seconds finished jobs, with their outputs, and unused uploads
+//   are kept (default: one day; Infinity keeps them until shutdown)
+// - corsOrigin: "*", an origin or a list of origins browsers may call the
+//   service from (default: none)
+// - allowedPaths: folders whose files jobs may name as inputPath or font
+//   paths (default: none, so jobs use uploads and installed font names)
+// - token: when set, requests must send "Authorization: Bearer <token>"
+// - onJobEnd: called with each job's status as it finishes
+// Returns the http.Server; call listen() on it to start serving, and
+// shutdown() to stop taking requests, cancel the queued and running jobs
+// and delete the uploads and outputs. shutdown() resolves once the running
+// jobs have stopped.
+function createServer(captionIt, options = {}) {
+    const {
+        concurrency = 2,
+        workDir = path.join(os.tmpdir(), "caption-it-server"),
+        maxUploadSize = 2 * 1024 * 1024 * 1024,
+        timeout,
+        retention = 24 * 60 * 60,
+        corsOrigin,
+        allowedPaths = [],
+        token,
+        onJobEnd,
+    } = options;
+
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new Error("Concurrency must be a positive integer");
+    }
+    if (typeof retention !== "number" || !(retention > 0)) {
+        throw new Error("Retention must be a positive number of seconds");
+    }
+    if (
+        !Array.isArray(allowedPaths) ||
+        allowedPaths.some((dir) => typeof dir !== "string")
+    ) {
+        throw new Error("allowedPaths must be an array of folders");
+    }
+    if (token !== undefined && !(typeof token === "string" && token)) {
+        throw new Error("Token must be a non-empty string");
+    }
+
+    const uploadDir = path.join(workDir, "uploads");
+    const outputDir = path.join(workDir, "outputs");
+    fs.mkdirSync(uploadDir, { recursive: true });
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    const uploads = new Map();
+    const jobs = new Map();
+    const queue = [];
+    const running = new Set();
+
+    // The status of a job as sent to clients
+    const jobStatus = (job) => ({
+        id: job.id,
+        status: job.status,
+        progress: job.progress,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        error: job.error,
+        output: job.status === "done" ? `/jobs/${job.id}/output` : undefined,
+    });
+
+    const finishJob = (job, status, error) => {
+        job.status = status;
+        job.error = error && errorBody(error);
+        job.finishedAt = new Date().toISOString();
+        touchUpload(job.upload);
+        if (onJobEnd) {
+            onJobEnd(jobStatus(job));
+        }
+    };
+
+    // Uploads are kept for retention seconds after they were last used
+    const touchUpload = (id) => {
+        if (uploads.has(id)) {
+            uploads.get(id).usedAt = Date.now();
+        }
+    };
+
+    const removeUpload = (upload) => {
+        uploads.delete(upload.id);
+        fs.rmSync(upload.path, { force: true });
+    };
+
+    // Remove a finished job and its output. Its upload goes with it unless
+    // another job uses it too.
+    const removeJob = (job) => {
+        jobs.delete(job.id);
+        fs.rmSync(job.outputPath, { force: true });
+        if (
+            uploads.has(job.upload) &&
+            ![...jobs.values()].some((other) => other.upload === job.upload)
+        ) {
+            removeUpload(uploads.get(job.upload));
+        }
+    };
+
+    // Remove the finished jobs and unused uploads older than retention
+    const prune = () => {
+        const cutoff = Date.now() - retention * 1000;
+        for (const job of [...jobs.values()]) {
+            if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) {
+                removeJob(job);
+            }
+        }
+        for (const upload of [...uploads.values()]) {
+            if (
+                upload.usedAt < cutoff &&
+                ![...jobs.values()].some((job) => job.upload === upload.id)
+            ) {
+                removeUpload(upload);
+            }
+        }
+    };
+    const pruneTimer = Number.isFinite(retention)
+        ? setInterval(prune, Math.min(retention, 60) * 1000)
+        : null;
+    if (pruneTimer) {
+        pruneTimer.unref();
+    }
+
+    // Progress events carry the output path of the render
+    const onProgress = ({ outputPath, percent }) => {
+        for (const job of running) {
+            if (job.outputPath === outputPath && percent !== undefined) {
+                job.progress = Math.round(percent * 10) / 10;
+            }
+        }
+    };
+    captionIt.on("progress", onProgress);
+
+    const runJob = async (job) => {
+        job.status = "running";
+        job.startedAt = new Date().toISOString();
+        try {
+            await captionIt.runJob({
+                timeout,
+                ...job.options,
+                signal: job.controller.signal,
+            });
+            job.progress = 100;
+            finishJob(job, "done");
+        } catch (error) {
+            finishJob(
+                job,
+                job.controller.signal.aborted ? "cancelled" : "failed",
+                error,
+            );
+        }
+    };
+
+    // Start queued jobs while fewer than concurrency are running
+    const runQueue = () => {
+        while (running.size < concurrency && queue.length) {
+            const job = queue.shift();
+            running.add(job);
+            job.done = runJob(job).then(() => {
+                running.delete(job);
+                runQueue();
+            });
+        }
+    };
+
+    // Jobs may only name files on the server's machine inside allowedPaths
+    const checkAllowed = (filePath, name) => {
+        if (!isInside(String(filePath), allowedPaths)) {
+            throw new HttpError(
+                403,
+                `${name} ${filePath} is outside the folders this service may read. Upload the file instead`,
+            );
+        }
+    };
+
+    // Turn a job request into runJob options, checking what can be checked
+    // before rendering
+    const jobOptions = (body, id) => {
+        if (!body || typeof body !== "object" || Array.isArray(body)) {
+            throw new Error("Job must be a JSON object");
+        }
+        const unknown = Object.keys(body).filter(
+            (key) => !JOB_FIELDS.includes(key),
+        );
+        if (unknown.length) {
+            throw new Error(
+                `Unknown job fields: ${unknown.join(", ")}. Allowed fields: ${JOB_FIELDS.join(", ")}`,
+            );
+        }
+
+        const { upload, output, format, ...renderOptions } = body;
+        if (!upload === !renderOptions.inputPath) {
+            throw new Error("Give either an upload id or an inputPath");
+        }
+        let inputPath = renderOptions.inputPath;
+        if (upload) {
+            if (!uploads.has(upload)) {
+                throw new HttpError(404, `Unknown upload: ${upload}`);
+            }
+            inputPath = uploads.get(upload).path;
+        } else {
+            checkAllowed(inputPath, "inputPath");
+            if (!fs.existsSync(inputPath)) {
+                throw new InputNotFoundError(inputPath);
+            }
+        }
+
+        const extension = output
+            ? `.${String(output).replace(/^\./, "").toLowerCase()}`
+            : path.extname(inputPath).toLowerCase();
+        if (!OUTPUT_EXTENSIONS.includes(extension)) {
+            throw new Error(
+                `Unknown output format: ${output || extension}. Available formats: ${OUTPUT_EXTENSIONS.map((ext) => ext.slice(1)).join(", ")}`,
+            );
+        }
+
+        const style = renderOptions.style || "gif";
+        if (!captionIt.getAvailableStyles().includes(style)) {
+            throw new UnknownStyleError(style, captionIt.getAvailableStyles());
+        }
+
+        // Captions sent as a string are parsed here, so they are never read
+        // as a file path
+        const checkCaptions = (captions, prefix = "") => {
+            if (typeof captions === "string") {
+                captions = parseCaptions(
+                    captions,
+                    format || detectCaptionsFormat(captions),
+                );
+            }
+            const [error] = validateCaptions(captions).errors;
+            if (error) {
+                throw new CaptionValidationError(prefix + error.message, error);
+            }
+            return captions;
+        };
+
+        let { captions, tracks } = renderOptions;
+        if (captions !== undefined && tracks !== undefined) {
+            throw new Error("Give either captions or tracks, not both");
+        }
+        if (captions !== undefined) {
+            captions = checkCaptions(captions);
+        }
+        if (Array.isArray(tracks)) {
+            tracks = tracks.map((track, index) =>
+                track && track.captions !== undefined
+                    ? {
+                          ...track,
+                          captions: checkCaptions(
+                              track.captions,
+                              `Track ${index}: `,
+                          ),
+                      }
+                    : track,
+            );
+        } else if (
+            captions === undefined &&
+            tracks === undefined &&
+            !renderOptions.text &&
+            renderOptions.script === undefined
+        ) {
+            throw new Error("Give text, captions, tracks or a script");
+        }
+
+        // The fonts of the job, its tracks and their captions' styles
+        const fontsOf = (options, captionList = []) => [
+            options.fontfile,
+            ...[].concat(options.fallbackFonts || []),
+            ...captionList.map((caption) => (caption.style || {}).fontfile),
+        ];
+        const fonts = [
+            ...fontsOf(renderOptions, captions),
+            ...(Array.isArray(tracks) ? tracks : [])
+                .filter((track) => track && typeof track === "object")
+                .flatMap((track) => fontsOf(track, track.captions)),
+        ];
+        for (const font of fonts) {
+            if (typeof font === "string" && isFontPath(font)) {
+                checkAllowed(font, "Font");
+            }
+        }
+
+        return {
+            ...renderOptions,
+            captions,
+            tracks,
+            inputPath,
+            outputPath: path.join(outputDir, `${id}${extension}`),
+        };
+    };
+
+    const routes = [
+        [
+            "POST",
+            /^\/uploads$/,
+            async (req, res, url) => {
+                const name = path.basename(url.searchParams.get("name") || "");
+                const extension = path.extname(name).toLowerCase();
+                if (!VIDEO_EXTENSIONS.includes(extension)) {
+                    throw new HttpError(
+                        400,
+                        `Name the upload with a video or image extension, e.g. /uploads?name=clip.mp4 (${VIDEO_EXTENSIONS.join(", ")})`,
+                    );
+                }
+                if (Number(req.headers["content-length"]) > maxUploadSize) {
+                    throw new HttpError(
+                        413,
+                        `Upload is over the ${formatFileSize(maxUploadSize)} limit`,
+                    );
+                }
+
+                const id = newId();
+                const filePath = path.join(uploadDir, `${id}${extension}`);
+                const size = await saveBody(req, filePath, maxUploadSize);
+                uploads.set(id, {
+                    id,
+                    name,
+                    path: filePath,
+                    size,
+                    usedAt: Date.now(),
+                });
+                sendJson(res, 201, { id, name, size });
+            },
+        ],
+        [
+            // Delete an upload that no queued or running job needs
+            "DELETE",
+            /^\/uploads\/(\w+)$/,
+            (req, res, url, upload) => {
+                const job = [...jobs.values()].find(
+                    (other) =>
+                        other.upload === upload.id &&
+                        (other.status === "queued" ||
+                            other.status === "running"),
+                );
+                if (job) {
+                    throw new HttpError(
+                        409,
+                        `Upload ${upload.id} is in use by job ${job.id}`,
+                    );
+                }
+                removeUpload(upload);
+                res.writeHead(204);
+                res.end();
+            },
+        ],
+        [
+            "GET",
+            /^\/styles$/,
+            (req, res) => sendJson(res, 200, captionIt.getAvailableStyles()),
+        ],
+        [
+            "GET",
+            /^\/jobs$/,
+            (req, res) => sendJson(res, 200, [...jobs.values()].map(jobStatus)),
+        ],
+        [
+            "POST",
+            /^\/jobs$/,
+            async (req, res) => {
+                const body = await readJson(req);
+                const id = newId();
+                let renderOptions;
+                try {
+                    renderOptions = jobOptions(body, id);
+                } catch (error) {
+                    // A job that can't be run is the client's mistake
+                    error.status = error.status || 400;
+                    throw error;
+                }
+
+                const job = {
+                    id,
+                    status: "queued",
+                    progress: 0,
+                    createdAt: new Date().toISOString(),
+                    options: renderOptions,
+                    outputPath: renderOptions.outputPath,
+                    upload: body.upload,
+                    controller: new AbortController(),
+                };
+                jobs.set(id, job);
+                touchUpload(job.upload);
+                queue.push(job);
+                runQueue();
+                sendJson(res, 202, jobStatus(job), {
+                    Location: `/jobs/${id}`,
+                });
+            },
+        ],
+        [
+            "GET",
+            /^\/jobs\/(\w+)$/,
+            (req, res, url, job) => sendJson(res, 200, jobStatus(job)),
+        ],
+        [
+            // Cancel a queued or running job, or remove a finished one, its
+            // output and its upload (unless another job uses it)
+            "DELETE",
+            /^\/jobs\/(\w+)$/,
+            async (req, res, url, job) => {
+                if (job.status === "queued") {
+                    queue.splice(queue.indexOf(job), 1);
+                    finishJob(job, "cancelled");
+                } else if (job.status === "running") {
+                    job.controller.abort();
+                    await job.done;
+                } else {
+                    removeJob(job);
+                    res.writeHead(204);
+                    res.end();
+                    return;
+                }
+                sendJson(res, 200, jobStatus(job));
+            },
+        ],
+        [
+            "GET",
+            /^\/jobs\/(\w+)\/output$/,
+            (req, res, url, job) => {
+                if (job.status !== "done") {
+                    throw new HttpError(
+                        409,
+                        `Job ${job.id} is ${job.status}, not done`,
+                    );
+                }
+                const extension = path.extname(job.outputPath);
+                res.writeHead(200, {
+                    "Content-Type":
+                        CONTENT_TYPES[extension] || "application/octet-stream",
+                    "Content-Length": fs.statSync(job.outputPath).size,
+                    "Content-Disposition": `attachment; filename="captioned-${job.id}${extension}"`,
+                });
+                pipeline(fs.createReadStream(job.outputPath), res, () => {});
+            },
+        ],
+    ];
+
+    const handle = async (req, res) => {
+        // Preflights can't carry the token; they only describe the routes
+        if (token && req.method !== "OPTIONS" && !hasToken(req, token)) {
+            res.setHeader("WWW-Authenticate", "Bearer");
+            throw new HttpError(401, "Missing or wrong token");
+        }
+
+        const url = new URL(req.url, "http://localhost");
+        const matching = routes.filter(([, pattern]) =>
+            pattern.test(url.pathname),
+        );
+        if (!matching.length) {
+            throw new HttpError(404, `Not found: ${url.pathname}`);
+        }
+
+        // Browsers ask before sending JSON from another origin
+        if (req.method === "OPTIONS") {
+            res.writeHead(204, {
+                Allow: matching.map(([method]) => method).join(", "),
+                "Access-Control-Max-Age": PREFLIGHT_MAX_AGE,
+            });
+            res.end();
+            return;
+        }
+
+        const route = matching.find(([method]) => method === req.method);
+        if (!route) {
+            throw new HttpError(
+                405,
+                `${req.method} is not allowed on ${url.pathname}. Allowed: ${matching.map(([method]) => method).join(", ")}`,
+            );
+        }
+
+        // Routes with an id act on the job or upload it names
+        const [, pattern, handler] = route;
+        const [, id] = pattern.exec(url.pathname);
+        const isUpload = url.pathname.startsWith("/uploads/");
+        const target = id && (isUpload ? uploads : jobs).get(id);
+        if (id && !target) {
+            throw new HttpError(
+                404,
+                `Unknown ${isUpload ? "upload" : "job"}: ${id}`,
+            );
+        }
+        await handler(req, res, url, target);
+    };
+
+    const server = http.createServer((req, res) => {
+        const headers = corsHeaders(corsOrigin, req.headers.origin);
+        for (const [name, value] of Object.entries(headers)) {
+            res.setHeader(name, value);
+        }
+        handle(req, res).catch((error) => {
+            if (res.headersSent) {
+                res.destroy(error);
+                return;
+            }
+            sendJson(res, error.status || 500, { error: errorBody(error) });
+        });
+    });
+
+    server.shutdown = async () => {
+        clearInterval(pruneTimer);
+        server.close();
+        if (server.closeIdleConnections) {
+            server.closeIdleConnections();
+        }
+        captionIt.off("progress", onProgress);
+        for (const job of queue.splice(0)) {
+            finishJob(job, "cancelled");
+        }
+        const stopping = [...running];
+        stopping.forEach((job) => job.controller.abort());
+        await Promise.all(stopping.map((job) => job.done));
+
+        // Nothing can be fetched once the service has stopped
+        [...jobs.values()].forEach(removeJob);
+        [...uploads.values()].forEach(removeUpload);
+    };
+
+    return server;
+}
+
+module.exports = {
+    OUTPUT_EXTENSIONS,
+    createServer,
+};
@@ -0,0 +1,195 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const CaptionIt = require("./index");
+const { createServer } = require("./server");
+
+// A temp folder removed once the test finishes
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "caption-it-test-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+// Start a service on a free port, shut down once the test finishes. Returns
+// a fetch for its routes.
+async function startServer(t, options = {}) {
+    const server = createServer(new CaptionIt(), {
+        workDir: path.join(tempDir(t), "work"),
+        ...options,
+    });
+    t.after(() => server.shutdown());
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const { port } = server.address();
+    return (route, init) => fetch(`http://127.0.0.1:${port}${route}`, init);
+}
+
+const postJob = (request, job) =>
+    request("/jobs", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(job),
+    });
+
+test("createServer rejects bad options", () => {
+    const captionIt = new CaptionIt();
+    assert.throws(
+        () => createServer(captionIt, { concurrency: 0 }),
+        /Concurrency must be a positive integer/,
+    );
+    assert.throws(
+        () => createServer(captionIt, { allowedPaths: "/srv" }),
+        /allowedPaths must be an array of folders/,
+    );
+    assert.throws(
+        () => createServer(captionIt, { token: "" }),
+        /Token must be a non-empty string/,
+    );
+});
+
+test("uploads can be added and deleted", async (t) => {
+    const request = await startServer(t);
+
+    const upload = await request("/uploads?name=clip.mp4", {
+        method: "POST",
+        body: "not really a video",
+    });
+    assert.equal(upload.status, 201);
+    const { id, name, size } = await upload.json();
+    assert.equal(name, "clip.mp4");
+    assert.equal(size, 18);
+
+    const removed = await request(`/uploads/${id}`, { method: "DELETE" });
+    assert.equal(removed.status, 204);
+    const missing = await request(`/uploads/${id}`, { method: "DELETE" });
+    assert.equal(missing.status, 404);
+
+    const unnamed = await request("/uploads?name=notes.txt", {
+        method: "POST",
+        body: "",
+    });
+    assert.equal(unnamed.status, 400);
+});
+
+test("bad jobs are rejected with a typed error", async (t) => {
+    const request = await startServer(t);
+
+    const response = await postJob(request, { text: "Hi", colour: "red" });
+    assert.equal(response.status, 400);
+    const { error } = await response.json();
+    assert.equal(error.type, "Error");
+    assert.match(error.message, /Unknown job fields: colour/);
+
+    const unknown = await postJob(request, { upload: "abc", text: "Hi" });
+    assert.equal(unknown.status, 404);
+
+    const upload = await request("/uploads?name=clip.mp4", {
+        method: "POST",
+        body: "",
+    });
+    const both = await postJob(request, {
+        upload: (await upload.json()).id,
+        captions: [],
+        tracks: [{ captions: [] }],
+    });
+    assert.equal(both.status, 400);
+    assert.match((await both.json()).error.message, /not both/);
+});
+
+test("jobs can only read files inside the allowed folders", async (t) => {
+    const allowed = tempDir(t);
+    const outside = tempDir(t);
+    fs.writeFileSync(path.join(outside, "clip.mp4"), "");
+    // A link inside an allowed folder can't lead out of it
+    fs.symlinkSync(outside, path.join(allowed, "link"));
+    const request = await startServer(t, { allowedPaths: [allowed] });
+
+    for (const inputPath of [
+        path.join(outside, "clip.mp4"),
+        path.join(allowed, "..", path.basename(outside), "clip.mp4"),
+        path.join(allowed, "link", "clip.mp4"),
+    ]) {
+        const response = await postJob(request, { inputPath, text: "Hi" });
+        assert.equal(response.status, 403);
+        const { error } = await response.json();
+        assert.match(error.message, /is outside the folders/);
+    }
+
+    // Inside the folder, the usual checks apply
+    const missing = await postJob(request, {
+        inputPath: path.join(allowed, "missing.mp4"),
+        text: "Hi",
+    });
+    assert.equal(missing.status, 400);
+    assert.equal((await missing.json()).error.type, "InputNotFoundError");
+
+    const upload = await request("/uploads?name=clip.mp4", {
+        method: "POST",
+        body: "",
+    });
+    const { id } = await upload.json();
+    const font = await postJob(request, {
+        upload: id,
+        captions: [
+            {
+                text: "Hi",
+                startTime: 0,
+                endTime: 1,
+                style: { fontfile: path.join(outside, "Brand.ttf") },
+            },
+        ],
+    });
+    assert.equal(font.status, 403);
+    assert.match((await font.json()).error.message, /^Font .*Brand\.ttf/);
+
+    // Tracks are checked too
+    const track = await postJob(request, {
+        upload: id,
+        tracks: [
+            {
+                captions: [{ text: "Hi", startTime: 0, endTime: 1 }],
+                fallbackFonts: [path.join(outside, "Emoji.ttf")],
+            },
+        ],
+    });
+    assert.equal(track.status, 403);
+    assert.match((await track.json()).error.message, /Emoji\.ttf/);
+});
+
+test("a token is required when the service has one", async (t) => {
+    const request = await startServer(t, {
+        token: "s3cret",
+        corsOrigin: "https://editor.example.com",
+    });
+
+    const missing = await request("/styles");
+    assert.equal(missing.status, 401);
+    assert.equal(missing.headers.get("www-authenticate"), "Bearer");
+    const wrong = await request("/styles", {
+        headers: { Authorization: "Bearer s3cre" },
+    });
+    assert.equal(wrong.status, 401);
+
+    const styles = await request("/styles", {
+        headers: { Authorization: "Bearer s3cret" },
+    });
+    assert.equal(styles.status, 200);
+    assert.ok((await styles.json()).includes("tiktok"));
+
+    // Preflights can't carry the token
+    const preflight = await request("/jobs", {
+        method: "OPTIONS",
+        headers: {
+            Origin: "https://editor.example.com",
+            "Access-Control-Request-Method": "POST",
+        },
+    });
+    assert.equal(preflight.status, 204);
+    assert.equal(preflight.headers.get("access-control-max-age"), "600");
+    assert.match(
+        preflight.headers.get("access-control-allow-headers"),
+        /Authorization/,
+    );
+});
@@ -0,0 +1,95 @@
+// Speaker styling for dialogue captions. A style (or a render) maps speaker
+// names to how their captions look: a color for the whole caption, and a
+// label such as "ALEX:" drawn before the text in its own color.
+
+const { checkColor } = require("./filters");
+
+// Fields a speaker's entry can set
+const SPEAKER_FIELDS = ["color", "label", "labelColor"];
+
+// Check a map of speaker names to { color, label, labelColor }. Throws on the
+// first problem.
+function checkSpeakers(speakers) {
+    if (!speakers || typeof speakers !== "object" || Array.isArray(speakers)) {
+        throw new Error("speakers must map speaker names to speaker styles");
+    }
+
+    for (const [name, speaker] of Object.entries(speakers)) {
+        if (!speaker || typeof speaker !== "object" || Array.isArray(speaker)) {
+            throw new Error(`Speaker ${name} must be an object`);
+        }
+        for (const [key, value] of Object.entries(speaker)) {
+            if (!SPEAKER_FIELDS.includes(key)) {
+                throw new Error(
+                    `Speaker ${name} has unknown field "${key}". Allowed fields: ${SPEAKER_FIELDS.join(", ")}`,
+                );
+            }
+            if (key === "label") {
+                if (typeof value !== "string" || !value.trim()) {
+                    throw new Error(
+                        `Speaker ${name} label must be a non-empty string`,
+                    );
+                }
+            } else {
+                checkColor(value, `speaker ${name} ${key}`);
+            }
+        }
+    }
+    return speakers;
+}
+
+// Find a speaker's entry, matching names case-insensitively when there is
+// no exact match
+function findSpeaker(speakers, name) {
+    if (speakers[name]) {
+        return speakers[name];
+    }
+    const key = Object.keys(speakers).find(
+        (speaker) => speaker.toLowerCase() === name.toLowerCase(),
+    );
+    return key ? speakers[key] : undefined;
+}
+
+// Work out how a caption's speaker is drawn. Returns the caption with the
+// speaker's color as its fontcolor (unless it sets its own), and with a
+// label its text is prefixed with the label and it gets a speakerLabel of
+// { text, color }. With labels true, speakers without their own label are
+// labelled with their name in capitals. Captions without a speaker, or
+// with one that has no entry and no label, are returned as they are.
+function applySpeaker(caption, speakers = {}, { labels = false } = {}) {
+    if (caption.speaker === undefined) {
+        return caption;
+    }
+
+    const speaker = findSpeaker(speakers, caption.speaker) || {};
+    const label =
+        speaker.label || (labels ? `${caption.speaker.toUpperCase()}:` : "");
+    const styled =
+        speaker.color &&
+        !(caption.style && caption.style.fontcolor !== undefined)
+            ? {
+                  ...caption,
+                  style: { ...caption.style, fontcolor: speaker.color },
+              }
+            : caption;
+
+    if (!label) {
+        return styled;
+    }
+
+    return {
+        ...styled,
+        text: `${label} ${caption.text}`,
+        speakerLabel: {
+            text: label,
+            color: speaker.labelColor,
+        },
+    };
+}
+
+module.exports = {
+    SPEAKER_FIELDS,
+    checkSpeakers,
+    findSpeaker,
+    applySpeaker,
+};
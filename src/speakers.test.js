@@ -0,0 +1,51 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { checkSpeakers, findSpeaker, applySpeaker } = require("./speakers");
+
+test("checkSpeakers rejects speaker styles that can't be drawn", () => {
+    const speakers = { Alex: { color: "yellow", label: "A:" } };
+    assert.equal(checkSpeakers(speakers), speakers);
+    assert.throws(() => checkSpeakers([]), /speakers must map speaker names/);
+    assert.throws(
+        () => checkSpeakers({ Alex: { size: 2 } }),
+        /Speaker Alex has unknown field "size"/,
+    );
+    assert.throws(
+        () => checkSpeakers({ Alex: { label: " " } }),
+        /Speaker Alex label must be a non-empty string/,
+    );
+    assert.throws(
+        () => checkSpeakers({ Alex: { labelColor: "red:x" } }),
+        /Invalid speaker Alex labelColor: red:x/,
+    );
+});
+
+test("findSpeaker prefers an exact match over a case-insensitive one", () => {
+    const speakers = { alex: { color: "red" }, Alex: { color: "blue" } };
+    assert.equal(findSpeaker(speakers, "Alex").color, "blue");
+    assert.equal(findSpeaker(speakers, "ALEX").color, "red");
+    assert.equal(findSpeaker(speakers, "Sam"), undefined);
+});
+
+test("applySpeaker colors and labels a caption", () => {
+    const caption = { text: "Hi", startTime: 0, endTime: 1, speaker: "alex" };
+    const speakers = { Alex: { color: "red", labelColor: "yellow" } };
+
+    assert.deepEqual(applySpeaker(caption, speakers, { labels: true }), {
+        ...caption,
+        text: "ALEX: Hi",
+        style: { fontcolor: "red" },
+        speakerLabel: { text: "ALEX:", color: "yellow" },
+    });
+    // Without labels only the color applies
+    assert.deepEqual(applySpeaker(caption, speakers), {
+        ...caption,
+        style: { fontcolor: "red" },
+    });
+    // A caption's own fontcolor wins over the speaker's
+    const styled = { ...caption, style: { fontcolor: "blue" } };
+    assert.equal(applySpeaker(styled, speakers), styled);
+
+    const unspoken = { text: "Hi", startTime: 0, endTime: 1 };
+    assert.equal(applySpeaker(unspoken, speakers, { labels: true }), unspoken);
+});
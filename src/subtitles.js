@@ -0,0 +1,498 @@
+const fs = require("fs");
+const path = require("path");
+const { InputNotFoundError } = require("./errors");
+
+// Subtitle formats that can be read into a captions array
+const SUBTITLE_FORMATS = ["json", "srt", "vtt"];
+
+// Subtitle formats that a captions array can be written out as
+const EXPORT_FORMATS = ["srt", "vtt", "ass"];
+
+// Map of file extensions to the subtitle formats that can be read. ASS is
+// only exported, so .ass files aren't picked up.
+const EXTENSION_FORMATS = {
+    ".json": "json",
+    ".srt": "srt",
+    ".vtt": "vtt",
+    ".webvtt": "vtt",
+};
+
+// Named colors accepted by ffmpeg that we translate for ASS styles
+const NAMED_COLORS = {
+    black: "000000",
+    white: "FFFFFF",
+    red: "FF0000",
+    green: "008000",
+    lime: "00FF00",
+    blue: "0000FF",
+    yellow: "FFFF00",
+    cyan: "00FFFF",
+    magenta: "FF00FF",
+    orange: "FFA500",
+    purple: "800080",
+    pink: "FFC0CB",
+    gray: "808080",
+    grey: "808080",
+};
+
+// Parse "hh:mm:ss,mmm" (SRT) or "[hh:]mm:ss.mmm" (VTT) into seconds
+function parseTimestamp(value) {
+    const match = /^(?:(\d+):)?(\d{1,2}):(\d{1,2})(?:[.,](\d{1,3}))?$/.exec(
+        value.trim(),
+    );
+    if (!match) {
+        throw new Error(`Invalid timestamp: ${value}`);
+    }
+
+    const hours = parseInt(match[1] || "0", 10);
+    const minutes = parseInt(match[2], 10);
+    const seconds = parseInt(match[3], 10);
+    const millis = parseInt((match[4] || "0").padEnd(3, "0"), 10);
+
+    return hours * 3600 + minutes * 60 + seconds + millis / 1000;
+}
+
+// Normalize line endings and strip a leading byte order mark
+function normalizeContent(content) {
+    return content.replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n");
+}
+
+// Split subtitle content into blocks separated by blank lines
+function splitBlocks(content) {
+    return normalizeContent(content)
+        .split(/\n[ \t]*\n/)
+        .map((block) => block.split("\n").filter((line) => line.trim() !== ""))
+        .filter((lines) => lines.length > 0);
+}
+
+// Markup tags cue text can hold: <i>, <b>, <u> and <font ...> in SRT, plus
+// classes, voices, languages, ruby and timestamps in WebVTT (<c.class>,
+// <v Speaker>, <lang en>, <ruby>, <rt>, <00:00:01.000>)
+const CUE_TAG =
+    /<\/?(?:i|b|u|font|c|v|lang|ruby|rt)(?:[.\s][^>]*)?>|<(?:\d+:)?\d{2}:\d{2}\.\d{3}>/gi;
+
+// Decode the entities allowed in cue text
+function decodeCueText(text) {
+    return text
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&nbsp;/g, " ")
+        .replace(/&amp;/g, "&");
+}
+
+// Escape the characters cue text and voice names can't hold as they are
+function escapeCueText(text) {
+    return text
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;");
+}
+
+// Remove markup tags and decode the entities allowed in cue text. Other
+// text between < and > is kept as written.
+function cleanCueText(lines) {
+    return lines
+        .map((line) =>
+            decodeCueText(
+                line.replace(/\{\\[^}]*\}/g, "").replace(CUE_TAG, ""),
+            ).trim(),
+        )
+        .filter((line) => line !== "")
+        .join("\n");
+}
+
+// Parse a "start --> end [settings]" timing line
+function parseTimingLine(line) {
+    const match = /^\s*(\S+)\s+-->\s+(\S+)(.*)$/.exec(line);
+    if (!match) {
+        return null;
+    }
+
+    return {
+        startTime: parseTimestamp(match[1]),
+        endTime: parseTimestamp(match[2]),
+        rest: match[3].trim(),
+    };
+}
+
+// Translate SRT {\anN} alignment tags into drawtext x/y expressions
+function srtAlignmentToPosition(lines) {
+    const match = /\{\\an([1-9])\}/.exec(lines.join(""));
+    if (!match) {
+        return {};
+    }
+
+    const an = parseInt(match[1], 10);
+    const column = (an - 1) % 3; // 0 = left, 1 = center, 2 = right
+    const row = Math.floor((an - 1) / 3); // 0 = bottom, 1 = middle, 2 = top
+
+    return {
+        x: ["0", "(w-text_w)/2", "w-text_w"][column],
+        y: ["h-text_h", "(h-text_h)/2", "0"][row],
+    };
+}
+
+// Translate the WebVTT cue settings we can express with drawtext
+// (line and align) into x/y expressions
+function vttSettingsToPosition(settings) {
+    const position = {};
+
+    if (settings.line !== undefined) {
+        // "auto" keeps the default placement at the bottom
+        const line = settings.line.split(",")[0];
+        if (/^\d+(\.\d+)?%$/.test(line)) {
+            const percent = Math.min(100, parseFloat(line));
+            position.y = `h*${percent}/100`;
+        } else if (/^-?\d+$/.test(line)) {
+            // Line numbers count from the top when positive and from the
+            // bottom when negative
+            position.y = parseInt(line, 10) < 0 ? "h-text_h" : "0";
+        }
+    }
+
+    if (settings.align === "start" || settings.align === "left") {
+        position.x = "0";
+    } else if (settings.align === "end" || settings.align === "right") {
+        position.x = "w-text_w";
+    }
+
+    return position;
+}
+
+// Attach a cue's position to a caption as style overrides
+function withPosition(caption, position) {
+    return Object.keys(position).length
+        ? { ...caption, style: position }
+        : caption;
+}
+
+// Parse the contents of an SRT file into a captions array
+function parseSrt(content) {
+    const captions = [];
+
+    for (const lines of splitBlocks(content)) {
+        const timingIndex = lines.findIndex((line) => line.includes("-->"));
+        if (timingIndex === -1) {
+            continue;
+        }
+
+        const timing = parseTimingLine(lines[timingIndex]);
+        if (!timing) {
+            continue;
+        }
+
+        const textLines = lines.slice(timingIndex + 1);
+        const text = cleanCueText(textLines);
+        if (!text) {
+            continue;
+        }
+
+        captions.push(
+            withPosition(
+                { text, startTime: timing.startTime, endTime: timing.endTime },
+                srtAlignmentToPosition(textLines),
+            ),
+        );
+    }
+
+    return captions;
+}
+
+// Parse the contents of a WebVTT file into a captions array
+function parseVtt(content) {
+    const blocks = splitBlocks(content);
+    if (!blocks.length || !/^WEBVTT(\s|$)/.test(blocks[0][0])) {
+        throw new Error("Invalid WebVTT file: missing WEBVTT header");
+    }
+
+    const captions = [];
+
+    for (const lines of blocks.slice(1)) {
+        // NOTE, STYLE and REGION blocks carry no cues
+        if (/^(NOTE|STYLE|REGION)(\s|$)/.test(lines[0])) {
+            continue;
+        }
+
+        const timingIndex = lines.findIndex((line) => line.includes("-->"));
+        if (timingIndex === -1) {
+            continue;
+        }
+
+        const timing = parseTimingLine(lines[timingIndex]);
+        if (!timing) {
+            continue;
+        }
+
+        const cueLines = lines.slice(timingIndex + 1);
+        const text = cleanCueText(cueLines);
+        if (!text) {
+            continue;
+        }
+
+        // A <v Name> voice tag says who is speaking
+        const voice = /<v(?:\.[^\s>]*)?\s+([^>]+)>/.exec(cueLines.join("\n"));
+        const caption = {
+            text,
+            startTime: timing.startTime,
+            endTime: timing.endTime,
+        };
+        if (voice) {
+            caption.speaker = decodeCueText(voice[1]).trim();
+        }
+
+        const settings = {};
+        for (const setting of timing.rest.split(/\s+/).filter(Boolean)) {
+            const [key, value] = setting.split(":");
+            if (key && value !== undefined) {
+                settings[key] = value;
+            }
+        }
+
+        captions.push(withPosition(caption, vttSettingsToPosition(settings)));
+    }
+
+    return captions;
+}
+
+// Format seconds as "hh:mm:ss<sep>mmm"
+function formatTimestamp(seconds, separator = ",") {
+    const totalMillis = Math.max(0, Math.round(seconds * 1000));
+    const hours = Math.floor(totalMillis / 3600000);
+    const minutes = Math.floor((totalMillis % 3600000) / 60000);
+    const secs = Math.floor((totalMillis % 60000) / 1000);
+    const millis = totalMillis % 1000;
+
+    return (
+        `${String(hours).padStart(2, "0")}:` +
+        `${String(minutes).padStart(2, "0")}:` +
+        `${String(secs).padStart(2, "0")}${separator}` +
+        String(millis).padStart(3, "0")
+    );
+}
+
+// Format seconds as the "h:mm:ss.cc" timestamps used by ASS
+function formatAssTimestamp(seconds) {
+    const totalCentis = Math.max(0, Math.round(seconds * 100));
+    const hours = Math.floor(totalCentis / 360000);
+    const minutes = Math.floor((totalCentis % 360000) / 6000);
+    const secs = Math.floor((totalCentis % 6000) / 100);
+    const centis = totalCentis % 100;
+
+    return (
+        `${hours}:${String(minutes).padStart(2, "0")}:` +
+        `${String(secs).padStart(2, "0")}.${String(centis).padStart(2, "0")}`
+    );
+}
+
+// Convert an ffmpeg color ("white", "black@0.6", "#ff0000", "0xff0000")
+// into an ASS "&HAABBGGRR" color
+function toAssColor(color = "white") {
+    const [name, alphaValue] = String(color).split("@");
+    let hex = NAMED_COLORS[name.toLowerCase()];
+
+    if (!hex) {
+        const match = /^(?:#|0x)?([0-9a-f]{6})$/i.exec(name);
+        hex = match ? match[1].toUpperCase() : NAMED_COLORS.white;
+    }
+
+    const opacity = alphaValue === undefined ? 1 : parseFloat(alphaValue);
+    const alpha = Math.round((1 - Math.min(1, Math.max(0, opacity))) * 255);
+
+    return (
+        "&H" +
+        alpha.toString(16).toUpperCase().padStart(2, "0") +
+        hex.slice(4, 6) +
+        hex.slice(2, 4) +
+        hex.slice(0, 2)
+    );
+}
+
+// Sort captions by start time without touching the original array
+function sortCaptions(captions) {
+    return [...captions].sort((a, b) => a.startTime - b.startTime);
+}
+
+// Write a captions array as SRT
+function formatSrt(captions) {
+    return (
+        sortCaptions(captions)
+            .map(
+                (caption, index) =>
+                    `${index + 1}\n` +
+                    `${formatTimestamp(caption.startTime)} --> ${formatTimestamp(caption.endTime)}\n` +
+                    caption.text,
+            )
+            .join("\n\n") + "\n"
+    );
+}
+
+// Write a captions array as WebVTT
+function formatVtt(captions) {
+    const cues = sortCaptions(captions).map(
+        (caption) =>
+            `${formatTimestamp(caption.startTime, ".")} --> ${formatTimestamp(caption.endTime, ".")}\n` +
+            (caption.speaker ? `<v ${escapeCueText(caption.speaker)}>` : "") +
+            escapeCueText(caption.text),
+    );
+
+    return ["WEBVTT", ...cues].join("\n\n") + "\n";
+}
+
+// Escape caption text for an ASS Dialogue line, so braces aren't read as
+// override tags and backslashes as escapes like \N. A word joiner after a
+// backslash keeps it from starting an escape without showing.
+function escapeAssText(text) {
+    return text
+        .replace(/\\/g, "\\\u2060")
+        .replace(/[{}]/g, "\\$&")
+        .replace(/\n/g, "\\N");
+}
+
+// Write a captions array as an ASS script. styleConfig is a scaled style
+// from CaptionIt.getScaledStyle so the soft subtitles match the burned-in look
+function formatAss(
+    captions,
+    { styleConfig = {}, videoInfo = {}, alignment = 2 } = {},
+) {
+    const width = videoInfo.width || 1920;
+    const height = videoInfo.height || 1080;
+    const fontName = styleConfig.fontname || "Arial";
+    const fontSize = styleConfig.fontsize || 48;
+    const primary = toAssColor(styleConfig.fontcolor);
+    const outline = toAssColor(styleConfig.bordercolor || "black");
+
+    // BorderStyle 3 draws an opaque box behind the text like drawtext's box
+    const borderStyle = styleConfig.box ? 3 : 1;
+    const back = styleConfig.box ? toAssColor(styleConfig.boxcolor) : outline;
+    const outlineWidth = styleConfig.box
+        ? styleConfig.boxborderw || 0
+        : styleConfig.borderw || 0;
+    const marginV = styleConfig.textPadding || 10;
+
+    const events = sortCaptions(captions).map(
+        (caption) =>
+            `Dialogue: 0,${formatAssTimestamp(caption.startTime)},${formatAssTimestamp(caption.endTime)},Default,,0,0,0,,` +
+            escapeAssText(caption.text),
+    );
+
+    return (
+        [
+            "[Script Info]",
+            "ScriptType: v4.00+",
+            `PlayResX: ${width}`,
+            `PlayResY: ${height}`,
+            "WrapStyle: 2",
+            "ScaledBorderAndShadow: yes",
+            "",
+            "[V4+ Styles]",
+            "Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding",
+            `Style: Default,${fontName},${fontSize},${primary},${primary},${outline},${back},0,0,0,0,100,100,0,0,${borderStyle},${outlineWidth},0,${alignment},10,10,${marginV},1`,
+            "",
+            "[Events]",
+            "Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text",
+            ...events,
+        ].join("\n") + "\n"
+    );
+}
+
+// Write a captions array in the given export format
+function formatCaptions(captions, format, options = {}) {
+    switch (format) {
+        case "srt":
+            return formatSrt(captions);
+        case "vtt":
+            return formatVtt(captions);
+        case "ass":
+            return formatAss(captions, options);
+        default:
+            throw new Error(
+                `Unknown export format: ${format}. Available formats: ${EXPORT_FORMATS.join(", ")}`,
+            );
+    }
+}
+
+// Parse the contents of a JSON captions file
+function parseJson(content) {
+    const captions = JSON.parse(normalizeContent(content));
+
+    if (!Array.isArray(captions)) {
+        throw new Error(
+            "Captions file must contain an array of caption objects",
+        );
+    }
+
+    return captions;
+}
+
+// Work out a subtitle format from a file extension
+function detectFormat(filePath) {
+    const format = EXTENSION_FORMATS[path.extname(filePath).toLowerCase()];
+    if (!format) {
+        throw new Error(
+            `Cannot detect captions format from file extension: ${filePath}. Use one of: ${SUBTITLE_FORMATS.join(", ")}`,
+        );
+    }
+    return format;
+}
+
+// Parse captions content in the given format
+function parseCaptions(content, format) {
+    switch (format) {
+        case "json":
+            return parseJson(content);
+        case "srt":
+            return parseSrt(content);
+        case "vtt":
+            return parseVtt(content);
+        default:
+            throw new Error(
+                `Unknown captions format: ${format}. Available formats: ${SUBTITLE_FORMATS.join(", ")}`,
+            );
+    }
+}
+
+// Read a captions file, detecting the format from its extension unless given
+function readCaptionsFile(filePath, format) {
+    if (!fs.existsSync(filePath)) {
+        throw new InputNotFoundError(filePath, "Captions file");
+    }
+
+    const content = fs.readFileSync(filePath, "utf8");
+    return parseCaptions(content, format || detectFormat(filePath));
+}
+
+// Write a captions array to a JSON, SRT or WebVTT file, detecting the format
+// from its extension unless given
+function writeCaptionsFile(filePath, captions, format) {
+    const fileFormat = format || detectFormat(filePath);
+    if (!SUBTITLE_FORMATS.includes(fileFormat)) {
+        throw new Error(
+            `Captions can't be saved as ${fileFormat}. Use one of: ${SUBTITLE_FORMATS.join(", ")}`,
+        );
+    }
+
+    fs.writeFileSync(
+        filePath,
+        fileFormat === "json"
+            ? JSON.stringify(captions, null, 2) + "\n"
+            : formatCaptions(captions, fileFormat),
+    );
+    return filePath;
+}
+
+module.exports = {
+    SUBTITLE_FORMATS,
+    EXPORT_FORMATS,
+    parseTimestamp,
+    parseSrt,
+    parseVtt,
+    parseCaptions,
+    detectFormat,
+    readCaptionsFile,
+    writeCaptionsFile,
+    formatTimestamp,
+    formatSrt,
+    formatVtt,
+    formatAss,
+    formatCaptions,
+};
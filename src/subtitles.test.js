@@ -0,0 +1,165 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+    parseTimestamp,
+    parseSrt,
+    parseVtt,
+    parseCaptions,
+    detectFormat,
+    formatTimestamp,
+    formatSrt,
+    formatVtt,
+    formatAss,
+    formatCaptions,
+} = require("./subtitles");
+
+test("parseTimestamp reads SRT and WebVTT timestamps", () => {
+    assert.equal(parseTimestamp("00:00:01,500"), 1.5);
+    assert.equal(parseTimestamp("01:02:03.004"), 3723.004);
+    assert.equal(parseTimestamp("02:03.4"), 123.4);
+    assert.throws(() => parseTimestamp("1.5"), /Invalid timestamp/);
+});
+
+test("parseSrt reads cues, skipping blocks without text", () => {
+    const content =
+        "\uFEFF1\r\n00:00:01,000 --> 00:00:02,500\r\nHello\r\nworld\r\n\r\n" +
+        "2\r\n00:00:03,000 --> 00:00:04,000\r\n\r\n" +
+        "3\r\n00:00:05,000 --> 00:00:06,000\r\n<i>Bye</i> &amp; thanks\r\n";
+
+    assert.deepEqual(parseSrt(content), [
+        { text: "Hello\nworld", startTime: 1, endTime: 2.5 },
+        { text: "Bye & thanks", startTime: 5, endTime: 6 },
+    ]);
+});
+
+test("parseSrt keeps text between < and > that isn't a tag", () => {
+    const [caption] = parseSrt(
+        "1\n00:00:01,000 --> 00:00:02,000\na < b and c > d\n",
+    );
+    assert.equal(caption.text, "a < b and c > d");
+});
+
+test("parseSrt strips formatting tags and places {\\an} cues", () => {
+    const [caption] = parseSrt(
+        '1\n00:00:01,000 --> 00:00:02,000\n{\\an8}<FONT color="red">Top</FONT> <b>line</b>\n',
+    );
+    assert.equal(caption.text, "Top line");
+    assert.deepEqual(caption.style, { x: "(w-text_w)/2", y: "0" });
+});
+
+test("parseVtt reads cues and strips WebVTT tags", () => {
+    const content = [
+        "WEBVTT - title",
+        "",
+        "NOTE a comment",
+        "",
+        "intro",
+        "00:01.000 --> 00:02.000",
+        "<v Alex>Hi <c.loud>there</c> <00:01.500>you</v>",
+        "",
+        "00:03.000 --> 00:04.000 align:start",
+        "<lang en>Left</lang>",
+    ].join("\n");
+
+    assert.deepEqual(parseVtt(content), [
+        { text: "Hi there you", startTime: 1, endTime: 2, speaker: "Alex" },
+        { text: "Left", startTime: 3, endTime: 4, style: { x: "0" } },
+    ]);
+});
+
+test("parseVtt maps line settings to y positions", () => {
+    const cue = (settings) =>
+        parseVtt(`WEBVTT\n\n00:01.000 --> 00:02.000 ${settings}\nText\n`)[0];
+
+    assert.deepEqual(cue("line:0").style, { y: "0" });
+    assert.deepEqual(cue("line:-1").style, { y: "h-text_h" });
+    assert.deepEqual(cue("line:90%").style, { y: "h*90/100" });
+    assert.equal(cue("line:auto").style, undefined);
+});
+
+test("parseVtt requires the WEBVTT header", () => {
+    assert.throws(() => parseVtt("00:01.000 --> 00:02.000\nText\n"), {
+        message: /missing WEBVTT header/,
+    });
+});
+
+test("parseCaptions and detectFormat pick the format", () => {
+    assert.equal(detectFormat("captions.SRT"), "srt");
+    assert.equal(detectFormat("captions.webvtt"), "vtt");
+    assert.throws(() => detectFormat("captions.txt"), /Cannot detect/);
+    assert.throws(() => detectFormat("captions.ass"), /Cannot detect/);
+    assert.deepEqual(parseCaptions('[{"text":"Hi"}]', "json"), [
+        { text: "Hi" },
+    ]);
+    assert.throws(() => parseCaptions("", "csv"), /Unknown captions format/);
+});
+
+test("formatTimestamp writes SRT and WebVTT timestamps", () => {
+    assert.equal(formatTimestamp(3723.004), "01:02:03,004");
+    assert.equal(formatTimestamp(1.5, "."), "00:00:01.500");
+});
+
+test("formatSrt numbers cues in start order", () => {
+    const captions = [
+        { text: "Second", startTime: 2, endTime: 3 },
+        { text: "First\nline", startTime: 0, endTime: 1.5 },
+    ];
+    assert.equal(
+        formatSrt(captions),
+        "1\n00:00:00,000 --> 00:00:01,500\nFirst\nline\n\n" +
+            "2\n00:00:02,000 --> 00:00:03,000\nSecond\n",
+    );
+});
+
+test("formatVtt escapes cue text and round-trips through parseVtt", () => {
+    const captions = [{ text: "a < b & c > d", startTime: 1, endTime: 2 }];
+    const content = formatVtt(captions);
+
+    assert.equal(
+        content,
+        "WEBVTT\n\n00:00:01.000 --> 00:00:02.000\na &lt; b &amp; c &gt; d\n",
+    );
+    assert.deepEqual(parseVtt(content), captions);
+});
+
+test("WebVTT voice tags set and keep the caption's speaker", () => {
+    const content =
+        "WEBVTT\n\n00:00:01.000 --> 00:00:02.000\n<v Tom &amp; Jerry>Hi &lt;3</v>\n";
+    const captions = parseVtt(content);
+
+    assert.deepEqual(captions, [
+        { text: "Hi <3", startTime: 1, endTime: 2, speaker: "Tom & Jerry" },
+    ]);
+    assert.equal(formatVtt(captions), content.replace("</v>", ""));
+    assert.equal(
+        formatVtt([{ text: "Hi", startTime: 1, endTime: 2, speaker: "<b>" }]),
+        "WEBVTT\n\n00:00:01.000 --> 00:00:02.000\n<v &lt;b&gt;>Hi\n",
+    );
+});
+
+test("formatAss escapes override tags and line breaks", () => {
+    const content = formatAss(
+        [{ text: "{\\b1}bold\\N\nnext", startTime: 0, endTime: 1.25 }],
+        {
+            styleConfig: { fontsize: 60, fontcolor: "yellow" },
+            videoInfo: { width: 1280, height: 720 },
+            alignment: 8,
+        },
+    );
+
+    assert.match(content, /^PlayResX: 1280$/m);
+    assert.match(
+        content,
+        /^Style: Default,Arial,60,&H0000FFFF,&H0000FFFF,.*,8,10,10,10,1$/m,
+    );
+    assert.ok(
+        content.endsWith(
+            "Dialogue: 0,0:00:00.00,0:00:01.25,Default,,0,0,0,," +
+                "\\{\\\u2060b1\\}bold\\\u2060N\\Nnext\n",
+        ),
+    );
+});
+
+test("formatCaptions rejects unknown formats", () => {
+    assert.throws(() => formatCaptions([], "sub"), /Unknown export format/);
+});
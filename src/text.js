@@ -0,0 +1,332 @@
+// Unicode helpers for laying out caption text: grapheme splitting, line
+// break opportunities (a subset of UAX #14), wide character detection and
+// right-to-left reordering (a subset of UAX #9).
+
+// Scripts written without spaces between words, plus emoji. Lines can break
+// between any two of these characters.
+const IDEOGRAPHIC =
+    /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\p{Emoji_Presentation}\u3000-\u303F\uFF01-\uFF60]/u;
+
+// East Asian wide and fullwidth characters and emoji, drawn about twice as
+// wide as Latin letters
+const WIDE =
+    /[\u1100-\u115F\u2E80-\u303E\u3041-\u33FF\u3400-\u4DBF\u4E00-\u9FFF\uA000-\uA4CF\uAC00-\uD7A3\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFF60\uFFE0-\uFFE6\u{20000}-\u{3FFFD}\p{Emoji_Presentation}\uFE0F]/u;
+
+// Closing punctuation and small kana that can't start a line
+const NO_BREAK_BEFORE = new Set(
+    Array.from(
+        ")]}!?,.:;%’”…‥" +
+            "、。，．・：；？！ー" +
+            "」』）】〕〉》〙〗｝］" +
+            "々ゝゞ〜" +
+            "ぁぃぅぇぉっゃゅょゎ" +
+            "ァィゥェォッャュョヮヵヶ",
+    ),
+);
+
+// Opening punctuation that can't end a line
+const NO_BREAK_AFTER = new Set(Array.from("([{‘“" + "「『（【〔〈《〘〖｛［"));
+
+// Hyphens and dashes lines can break after
+const HYPHENS = new Set(["-", "\u2010", "\u2013", "\u2014"]);
+
+// Hebrew, Arabic, Syriac, Thaana, N'Ko and their presentation forms
+const RTL =
+    /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF\u{10800}-\u{10FFF}\u{1E800}-\u{1EFFF}]/u;
+const LTR = /[\p{L}\p{Mc}]/u;
+
+// Scripts whose letters join and change shape with their neighbours
+const JOINING = /[\p{Script=Arabic}\p{Script=Syriac}\p{Script=Nko}]/u;
+const NUMBER = /\p{Nd}/u;
+
+// Brackets swapped when drawn inside right-to-left text
+const MIRRORED = {
+    "(": ")",
+    ")": "(",
+    "[": "]",
+    "]": "[",
+    "{": "}",
+    "}": "{",
+    "<": ">",
+    ">": "<",
+    "«": "»",
+    "»": "«",
+};
+
+// Opening brackets and the closing brackets they pair with
+const BRACKET_PAIRS = { "(": ")", "[": "]", "{": "}" };
+
+const segmenter =
+    typeof Intl !== "undefined" && Intl.Segmenter
+        ? new Intl.Segmenter(undefined, { granularity: "grapheme" })
+        : null;
+
+// Characters that join the previous code point into one grapheme when
+// Intl.Segmenter isn't available: marks, joiners, skin tones and tags
+const EXTENDS_GRAPHEME =
+    /[\p{M}\u200C\u200D\u{1F3FB}-\u{1F3FF}\u{E0020}-\u{E007F}]/u;
+const REGIONAL_INDICATOR = /[\u{1F1E6}-\u{1F1FF}]/u;
+
+// Split text into user-perceived characters, so emoji sequences, flags and
+// accented letters stay whole
+function splitGraphemes(text) {
+    if (segmenter) {
+        return Array.from(segmenter.segment(text), (part) => part.segment);
+    }
+
+    const graphemes = [];
+    let joinNext = false;
+    for (const codePoint of text) {
+        const previous = graphemes[graphemes.length - 1];
+        const pairsFlag =
+            previous &&
+            REGIONAL_INDICATOR.test(codePoint) &&
+            Array.from(previous).length === 1 &&
+            REGIONAL_INDICATOR.test(previous);
+
+        if (
+            previous &&
+            (joinNext || EXTENDS_GRAPHEME.test(codePoint) || pairsFlag)
+        ) {
+            graphemes[graphemes.length - 1] += codePoint;
+        } else {
+            graphemes.push(codePoint);
+        }
+        joinNext = codePoint === "\u200D";
+    }
+    return graphemes;
+}
+
+function isWide(grapheme) {
+    return WIDE.test(grapheme);
+}
+
+function isIdeographic(grapheme) {
+    return IDEOGRAPHIC.test(grapheme);
+}
+
+function isSpace(grapheme) {
+    return /^\s+$/.test(grapheme);
+}
+
+// Can a line break between graphemes a and b?
+function canBreakBetween(a, b) {
+    if (isSpace(b) || NO_BREAK_BEFORE.has(b)) {
+        return false;
+    }
+
+    if (isSpace(a)) {
+        return true;
+    }
+
+    if (NO_BREAK_AFTER.has(a)) {
+        return false;
+    }
+
+    if (isIdeographic(a) || isIdeographic(b)) {
+        return true;
+    }
+
+    return HYPHENS.has(a) && !NUMBER.test(b);
+}
+
+// Split a line of text into the pieces a line can break between. Each
+// piece keeps its trailing spaces.
+function splitBreakable(text) {
+    const pieces = [];
+    let piece = "";
+    let previous;
+
+    for (const grapheme of splitGraphemes(text)) {
+        if (piece && canBreakBetween(previous, grapheme)) {
+            pieces.push(piece);
+            piece = "";
+        }
+        piece += grapheme;
+        previous = grapheme;
+    }
+
+    if (piece) {
+        pieces.push(piece);
+    }
+    return pieces;
+}
+
+// Join words back into a line, without spaces between words of scripts that
+// don't use them
+function joinWords(words) {
+    return words.reduce((line, word) => {
+        if (!line) {
+            return word;
+        }
+
+        const last = splitGraphemes(line).pop();
+        const first = splitGraphemes(word)[0];
+        const spaced = !(isIdeographic(last) && isIdeographic(first));
+        return spaced ? `${line} ${word}` : line + word;
+    }, "");
+}
+
+function bidiType(grapheme) {
+    if (RTL.test(grapheme)) {
+        return "R";
+    }
+    if (NUMBER.test(grapheme)) {
+        return "N";
+    }
+    return LTR.test(grapheme) ? "L" : null;
+}
+
+// Whether text needs shaping to join its letters, as Arabic does
+function needsShaping(text) {
+    return JOINING.test(text);
+}
+
+// Direction of a line from its first strong character
+function textDirection(text) {
+    for (const grapheme of splitGraphemes(text)) {
+        const type = bidiType(grapheme);
+        if (type === "R" || type === "L") {
+            return type === "R" ? "rtl" : "ltr";
+        }
+    }
+    return "ltr";
+}
+
+// Find the bracket pairs of a line, as [open, close] grapheme indexes in
+// order of their opening bracket. A closing bracket pairs with the nearest
+// open one of its kind, closing any opened after it.
+function bracketPairs(graphemes) {
+    const pairs = [];
+    const open = [];
+
+    graphemes.forEach((grapheme, index) => {
+        if (BRACKET_PAIRS[grapheme]) {
+            open.push({ close: BRACKET_PAIRS[grapheme], index });
+            return;
+        }
+        const depth = open
+            .map((bracket) => bracket.close)
+            .lastIndexOf(grapheme);
+        if (depth !== -1) {
+            pairs.push([open[depth].index, index]);
+            open.length = depth;
+        }
+    });
+
+    return pairs.sort((a, b) => a[0] - b[0]);
+}
+
+// Reorder one line from logical (typed) order into the left-to-right order
+// it is drawn in. Right-to-left runs are reversed, numbers and left-to-right
+// runs inside them keep their order, and brackets are mirrored. For
+// example, "שלום world 123 (abc)" is drawn as "world 123 (abc) םולש", and
+// "abc שלום (123)" as "abc (123) םולש".
+function reorderLine(line) {
+    const graphemes = splitGraphemes(line);
+    if (!graphemes.some((grapheme) => RTL.test(grapheme))) {
+        return line;
+    }
+
+    const baseLevel = textDirection(line) === "rtl" ? 1 : 0;
+    const baseDirection = baseLevel ? "R" : "L";
+
+    // Numbers after left-to-right text are left-to-right (rule W7)
+    let lastStrong = baseDirection;
+    const types = graphemes.map((grapheme) => {
+        const type = bidiType(grapheme);
+        if (type === "R" || type === "L") {
+            lastStrong = type;
+        }
+        return type === "N" && lastStrong === "L" ? "L" : type;
+    });
+
+    // Other numbers count as right-to-left for the neutrals around them
+    const directionOf = (type) => (type === "L" ? "L" : "R");
+
+    // Paired brackets take the line's direction when the text inside them
+    // has it, otherwise the opposite direction when the text inside and
+    // before them both have it (rule N0)
+    const strongBefore = (index) => {
+        const type = types.slice(0, index).reverse().find(Boolean);
+        return type ? directionOf(type) : baseDirection;
+    };
+    for (const [open, close] of bracketPairs(graphemes)) {
+        const inside = types
+            .slice(open + 1, close)
+            .filter(Boolean)
+            .map(directionOf);
+        if (!inside.length) {
+            continue;
+        }
+        const direction =
+            inside.includes(baseDirection) ||
+            strongBefore(open) === baseDirection
+                ? baseDirection
+                : inside[0];
+        types[open] = direction;
+        types[close] = direction;
+    }
+
+    // Resolve strong and number levels
+    const levelOf = { R: 1, L: baseLevel ? 2 : 0, N: 2 };
+    const levels = types.map((type) => (type ? levelOf[type] : null));
+
+    // Neutrals take the direction around them when both sides agree,
+    // otherwise the line's direction (rules N1 and N2)
+    const directionAt = (index) => directionOf(types[index]);
+    for (let i = 0; i < levels.length; i++) {
+        if (levels[i] !== null) {
+            continue;
+        }
+
+        let end = i;
+        while (end < levels.length && levels[end] === null) {
+            end++;
+        }
+        const before = i > 0 ? directionAt(i - 1) : baseDirection;
+        const after = end < levels.length ? directionAt(end) : baseDirection;
+        levels.fill(before === after ? levelOf[before] : baseLevel, i, end);
+        i = end - 1;
+    }
+
+    const characters = graphemes.map((grapheme, index) =>
+        levels[index] % 2 === 1 && MIRRORED[grapheme]
+            ? MIRRORED[grapheme]
+            : grapheme,
+    );
+
+    // Reverse every run at each level, from the highest down to 1
+    const order = characters.map((_, index) => index);
+    for (let level = Math.max(...levels); level >= 1; level--) {
+        for (let i = 0; i < order.length; i++) {
+            if (levels[order[i]] < level) {
+                continue;
+            }
+            let end = i;
+            while (end < order.length && levels[order[end]] >= level) {
+                end++;
+            }
+            const run = order.slice(i, end).reverse();
+            order.splice(i, run.length, ...run);
+            i = end;
+        }
+    }
+
+    return order.map((index) => characters[index]).join("");
+}
+
+// Reorder every line of text into drawing order
+function toVisualOrder(text) {
+    return text.split("\n").map(reorderLine).join("\n");
+}
+
+module.exports = {
+    splitGraphemes,
+    isWide,
+    splitBreakable,
+    joinWords,
+    textDirection,
+    needsShaping,
+    toVisualOrder,
+};
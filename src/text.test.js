@@ -0,0 +1,67 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+    splitGraphemes,
+    isWide,
+    splitBreakable,
+    joinWords,
+    textDirection,
+    needsShaping,
+    toVisualOrder,
+} = require("./text");
+
+test("splitGraphemes keeps emoji sequences, flags and accents whole", () => {
+    assert.deepEqual(splitGraphemes("é👍🏽🇯🇵👩‍👩‍👧"), ["é", "👍🏽", "🇯🇵", "👩‍👩‍👧"]);
+    assert.ok(isWide("漢"));
+    assert.ok(isWide("👍🏽"));
+    assert.ok(!isWide("a"));
+});
+
+test("splitBreakable finds break opportunities", () => {
+    assert.deepEqual(splitBreakable("hello big world"), [
+        "hello ",
+        "big ",
+        "world",
+    ]);
+    assert.deepEqual(splitBreakable("well-known 1-2"), [
+        "well-",
+        "known ",
+        "1-2",
+    ]);
+    // No line starts with 。 or ends with 「
+    assert.deepEqual(splitBreakable("日本「語」。"), ["日", "本", "「語」。"]);
+});
+
+test("joinWords only puts spaces between words of spaced scripts", () => {
+    assert.equal(joinWords(["hello", "world"]), "hello world");
+    assert.equal(joinWords(["日本", "語"]), "日本語");
+    assert.equal(joinWords(["日本", "OK"]), "日本 OK");
+});
+
+test("textDirection follows the first strong character", () => {
+    assert.equal(textDirection("123 שלום abc"), "rtl");
+    assert.equal(textDirection("abc שלום"), "ltr");
+    assert.equal(textDirection("123"), "ltr");
+});
+
+test("toVisualOrder reverses right-to-left runs line by line", () => {
+    assert.equal(toVisualOrder("hello"), "hello");
+    assert.equal(toVisualOrder("שלום world 123 (abc)"), "world 123 (abc) םולש");
+    assert.equal(toVisualOrder("abc שלום (123)"), "abc (123) םולש");
+    assert.equal(toVisualOrder("שלום\nabc"), "םולש\nabc");
+});
+
+test("toVisualOrder keeps numbers after Latin text in order (W7)", () => {
+    assert.equal(toVisualOrder("שלום abc 123"), "abc 123 םולש");
+});
+
+test("toVisualOrder mirrors brackets around right-to-left text (N0)", () => {
+    assert.equal(toVisualOrder("שלום (עולם)"), "(םלוע) םולש");
+    assert.equal(toVisualOrder("abc (שלום)"), "abc (םולש)");
+});
+
+test("needsShaping spots scripts with joined letters", () => {
+    assert.ok(needsShaping("مرحبا"));
+    assert.ok(!needsShaping("שלום"));
+    assert.ok(!needsShaping("hello"));
+});
@@ -0,0 +1,274 @@
+// Timing for captions written as a plain script, without timestamps: the
+// script is split into caption-sized chunks, which are then spread over the
+// video by word count or shown at a reading speed.
+
+const { splitBreakable, splitGraphemes, isWide } = require("./text");
+
+const SCRIPT_TIMING_DEFAULTS = {
+    maxLines: 2,
+    minDuration: 1,
+    maxDuration: 6,
+};
+
+// Sentence ends: terminal punctuation (and any closing quotes or brackets)
+// followed by spaces, or CJK terminal punctuation, which needs no space
+const SENTENCE_BREAK =
+    /(?<=[.!?…]["'”’)\]]*)\s+|(?<=[。！？]["'”’」』)\]]*)(?=\S)/u;
+
+// Words that are followed by a period without ending a sentence
+const ABBREVIATIONS = [
+    "mr",
+    "mrs",
+    "ms",
+    "dr",
+    "prof",
+    "sr",
+    "jr",
+    "st",
+    "mt",
+    "vs",
+    "cf",
+    "e.g",
+    "i.e",
+    "approx",
+    "fig",
+    "inc",
+    "ltd",
+];
+
+// Whether a period break between two pieces of text is not a sentence end:
+// the period ends an abbreviation or an initial ("J."), or the next word
+// starts in lowercase
+function continuesSentence(before, after) {
+    if (!before.endsWith(".")) {
+        return false;
+    }
+    const word = before
+        .split(" ")
+        .pop()
+        .replace(/^["'“‘(\[]+/u, "")
+        .slice(0, -1);
+    return (
+        ABBREVIATIONS.includes(word.toLowerCase()) ||
+        /^\p{Lu}$/u.test(word) ||
+        /^["'“‘(\[]*\p{Ll}/u.test(after)
+    );
+}
+
+// Split a script into sentences. Blank lines end a sentence too; other line
+// breaks are treated as spaces.
+function splitSentences(script) {
+    return String(script)
+        .split(/\n\s*\n/)
+        .flatMap((paragraph) =>
+            paragraph
+                .replace(/\s+/g, " ")
+                .trim()
+                .split(SENTENCE_BREAK)
+                .reduce((sentences, piece) => {
+                    const last = sentences.length - 1;
+                    if (
+                        last >= 0 &&
+                        continuesSentence(sentences[last], piece)
+                    ) {
+                        sentences[last] += ` ${piece}`;
+                    } else {
+                        sentences.push(piece);
+                    }
+                    return sentences;
+                }, []),
+        )
+        .map((sentence) => sentence.trim())
+        .filter(Boolean);
+}
+
+// Greedily pack pieces into chunks that fit. A piece too big to fit on its
+// own becomes a chunk by itself.
+function packPieces(pieces, fits) {
+    const chunks = [];
+    let chunk = "";
+
+    for (const piece of pieces) {
+        if (chunk && !fits((chunk + piece).trim())) {
+            chunks.push(chunk.trim());
+            chunk = piece;
+        } else {
+            chunk += piece;
+        }
+    }
+    if (chunk.trim()) {
+        chunks.push(chunk.trim());
+    }
+    return chunks;
+}
+
+// Split a sentence into as few chunks as fit, evened out so the last chunk
+// isn't left with a word or two
+function chunkSentence(sentence, fits) {
+    const pieces = splitBreakable(sentence);
+    const greedy = packPieces(pieces, fits);
+    if (greedy.length < 2) {
+        return greedy;
+    }
+
+    // Close each chunk once it holds its share of the sentence's characters
+    const share = splitGraphemes(sentence).length / greedy.length;
+    const even = [];
+    let chunk = "";
+    for (const piece of pieces) {
+        chunk += piece;
+        if (
+            even.length < greedy.length - 1 &&
+            splitGraphemes(chunk.trim()).length >= share
+        ) {
+            even.push(chunk.trim());
+            chunk = "";
+        }
+    }
+    if (chunk.trim()) {
+        even.push(chunk.trim());
+    }
+
+    return even.length === greedy.length && even.every(fits) ? even : greedy;
+}
+
+// Split a script into caption texts. fits(text) says whether a text fits in
+// one caption; sentences are never joined, and only split when too long.
+function chunkScript(script, fits) {
+    return splitSentences(script).flatMap((sentence) =>
+        chunkSentence(sentence, fits),
+    );
+}
+
+// Count the words of a text, counting each CJK character as a word
+function countWords(text) {
+    return text
+        .split(/\s+/)
+        .filter(Boolean)
+        .reduce(
+            (count, word) =>
+                count + Math.max(1, splitGraphemes(word).filter(isWide).length),
+            0,
+        );
+}
+
+// Share total seconds out in proportion to weights, keeping each share
+// between minDuration and maxDuration. Shares pushed to a limit are fixed
+// and the rest of the time is shared out again among the others.
+function spreadDurations(weights, total, minDuration, maxDuration) {
+    const durations = new Array(weights.length);
+    let open = weights.map((weight, index) => index);
+
+    while (open.length) {
+        const fixedTime = durations.reduce(
+            (sum, duration) => sum + (duration || 0),
+            0,
+        );
+        const openWeight = open.reduce((sum, index) => sum + weights[index], 0);
+        const perWeight = (total - fixedTime) / openWeight;
+
+        // Fix the long shares first: that leaves more time for the others,
+        // which may lift the short ones over minDuration
+        const long = open.filter(
+            (index) => weights[index] * perWeight > maxDuration,
+        );
+        const clamped = long.length
+            ? long
+            : open.filter((index) => weights[index] * perWeight < minDuration);
+        if (!clamped.length) {
+            open.forEach((index) => {
+                durations[index] = weights[index] * perWeight;
+            });
+            break;
+        }
+
+        clamped.forEach((index) => {
+            durations[index] = long.length ? maxDuration : minDuration;
+        });
+        open = open.filter((index) => !clamped.includes(index));
+    }
+
+    return durations;
+}
+
+// Time caption texts back to back from startTime, within endTime. Without
+// wordsPerMinute the texts fill the time, weighted by word count; with it
+// each is shown for as long as it takes to read, leaving any time over at
+// the end. Either way each caption is shown for minDuration to maxDuration
+// seconds, unless there is too little time for that. warn is called with a
+// message when captions have to be sped up.
+function timeCaptions(texts, options = {}, warn) {
+    const {
+        startTime = 0,
+        endTime,
+        wordsPerMinute,
+        minDuration = SCRIPT_TIMING_DEFAULTS.minDuration,
+        maxDuration = SCRIPT_TIMING_DEFAULTS.maxDuration,
+    } = options;
+
+    if (!(minDuration > 0) || !(maxDuration >= minDuration)) {
+        throw new Error(
+            "minDuration must be a positive number of seconds, no more than maxDuration",
+        );
+    }
+    if (wordsPerMinute !== undefined && !(wordsPerMinute > 0)) {
+        throw new Error("wordsPerMinute must be a positive number");
+    }
+    const available = endTime - startTime;
+    if (!(available > 0)) {
+        throw new Error(
+            `No time to show the script in: it would start at ${startTime}s and end at ${endTime}s`,
+        );
+    }
+    if (!texts.length) {
+        return [];
+    }
+
+    const words = texts.map(countWords);
+    let durations;
+    if (texts.length * minDuration > available) {
+        warn(
+            `${texts.length} captions can't each be shown for ${minDuration}s in ${available}s; showing each for ${Math.round((available / texts.length) * 100) / 100}s`,
+        );
+        durations = texts.map(() => available / texts.length);
+    } else if (wordsPerMinute) {
+        durations = words.map((count) =>
+            Math.min(
+                maxDuration,
+                Math.max(minDuration, (count / wordsPerMinute) * 60),
+            ),
+        );
+        const needed = durations.reduce((sum, duration) => sum + duration, 0);
+        if (needed > available) {
+            warn(
+                `At ${wordsPerMinute} words per minute the script needs ${Math.round(needed)}s but only ${available}s is available; speeding the captions up to fit`,
+            );
+            durations = spreadDurations(
+                durations,
+                available,
+                minDuration,
+                maxDuration,
+            );
+        }
+    } else {
+        durations = spreadDurations(words, available, minDuration, maxDuration);
+    }
+
+    // Round the boundaries rather than each duration, so captions stay back
+    // to back
+    const round = (seconds) => Math.round(seconds * 1000) / 1000;
+    let time = startTime;
+    return texts.map((text, index) => {
+        const start = time;
+        time += durations[index];
+        return { text, startTime: round(start), endTime: round(time) };
+    });
+}
+
+module.exports = {
+    SCRIPT_TIMING_DEFAULTS,
+    splitSentences,
+    chunkScript,
+    countWords,
+    timeCaptions,
+};
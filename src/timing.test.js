@@ -0,0 +1,118 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+    splitSentences,
+    chunkScript,
+    countWords,
+    timeCaptions,
+} = require("./timing");
+
+test("splitSentences splits at sentence ends, not abbreviations", () => {
+    assert.deepEqual(
+        splitSentences(
+            'Dr. Smith met J. Doe. he waved! "Then?" We left, e.g. early.\n\nNew\nline',
+        ),
+        [
+            "Dr. Smith met J. Doe. he waved!",
+            '"Then?"',
+            "We left, e.g. early.",
+            "New line",
+        ],
+    );
+    assert.deepEqual(splitSentences("今日は。明日も。"), [
+        "今日は。",
+        "明日も。",
+    ]);
+});
+
+test("chunkScript splits long sentences into even chunks", () => {
+    const fits = (text) => text.length <= 20;
+
+    assert.deepEqual(
+        chunkScript(
+            "One two three four five six seven eight nine ten. Short.",
+            fits,
+        ),
+        ["One two three four", "five six seven eight", "nine ten.", "Short."],
+    );
+    // Greedy packing would leave "e" on its own
+    assert.deepEqual(chunkScript("aaaa bbbb cccc dddd e", fits), [
+        "aaaa bbbb cccc",
+        "dddd e",
+    ]);
+});
+
+test("countWords counts each CJK character as a word", () => {
+    assert.equal(countWords("hello 世界 ok"), 4);
+    assert.equal(countWords("  "), 0);
+});
+
+test("timeCaptions fills the time by word count", () => {
+    assert.deepEqual(timeCaptions(["a b c", "d", "e f"], { endTime: 6 }), [
+        { text: "a b c", startTime: 0, endTime: 3 },
+        { text: "d", startTime: 3, endTime: 4 },
+        { text: "e f", startTime: 4, endTime: 6 },
+    ]);
+    // The long caption is held to maxDuration, leaving the rest of the time
+    // to the short one
+    assert.deepEqual(
+        timeCaptions(["a b c d e f g h i j k l", "m"], { endTime: 8 }),
+        [
+            { text: "a b c d e f g h i j k l", startTime: 0, endTime: 6 },
+            { text: "m", startTime: 6, endTime: 8 },
+        ],
+    );
+});
+
+test("timeCaptions shows captions at a reading speed", () => {
+    assert.deepEqual(
+        timeCaptions(["a b c", "d"], {
+            startTime: 1,
+            endTime: 20,
+            wordsPerMinute: 60,
+        }),
+        [
+            { text: "a b c", startTime: 1, endTime: 4 },
+            { text: "d", startTime: 4, endTime: 5 },
+        ],
+    );
+
+    const warnings = [];
+    assert.deepEqual(
+        timeCaptions(
+            ["a b c d e", "f g h i j"],
+            { endTime: 6, wordsPerMinute: 60 },
+            (message) => warnings.push(message),
+        ),
+        [
+            { text: "a b c d e", startTime: 0, endTime: 3 },
+            { text: "f g h i j", startTime: 3, endTime: 6 },
+        ],
+    );
+    assert.match(warnings[0], /needs 10s but only 6s is available/);
+});
+
+test("timeCaptions speeds captions up when there is too little time", () => {
+    const warnings = [];
+    assert.deepEqual(
+        timeCaptions(["a", "b", "c"], { endTime: 2 }, (message) =>
+            warnings.push(message),
+        ),
+        [
+            { text: "a", startTime: 0, endTime: 0.667 },
+            { text: "b", startTime: 0.667, endTime: 1.333 },
+            { text: "c", startTime: 1.333, endTime: 2 },
+        ],
+    );
+    assert.match(warnings[0], /showing each for 0\.67s/);
+
+    assert.throws(
+        () => timeCaptions(["a"], { startTime: 5, endTime: 5 }),
+        /No time to show the script in/,
+    );
+    assert.throws(
+        () =>
+            timeCaptions(["a"], { endTime: 5, minDuration: 3, maxDuration: 2 }),
+        /minDuration must be a positive number/,
+    );
+});
@@ -0,0 +1,260 @@
+// Checks for caption arrays before they are rendered or exported. Problems
+// that stop a caption from rendering are errors; ones that render, but
+// probably not as meant, are warnings.
+
+const { normalizePosition } = require("./position");
+const { normalizeAnimation } = require("./animation");
+const { checkColor } = require("./filters");
+
+// Style fields a single caption can override through its "style" object
+const CAPTION_STYLE_FIELDS = [
+    "fontcolor",
+    "fontScale",
+    "fontfile",
+    "animation",
+    "position",
+    "x",
+    "y",
+    "box",
+    "boxcolor",
+    "bordercolor",
+    "highlightColor",
+    "highlightScale",
+];
+
+// Style fields holding colors, in a caption's overrides or a registered style
+const COLOR_FIELDS = [
+    "fontcolor",
+    "boxcolor",
+    "bordercolor",
+    "highlightColor",
+    "backgroundColor",
+];
+
+function isTime(value) {
+    return typeof value === "number" && Number.isFinite(value);
+}
+
+// Build an issue for a caption ({ index, field, message }). The message is
+// prefixed with the caption's index when there is one.
+function issue(index, field, message) {
+    return {
+        index,
+        field,
+        message: index === undefined ? message : `Caption ${index}: ${message}`,
+    };
+}
+
+// Check a caption's style overrides
+function checkStyle(style, index, errors) {
+    if (!style || typeof style !== "object" || Array.isArray(style)) {
+        errors.push(issue(index, "style", "style must be an object"));
+        return;
+    }
+
+    for (const [key, value] of Object.entries(style)) {
+        if (!CAPTION_STYLE_FIELDS.includes(key)) {
+            errors.push(
+                issue(
+                    index,
+                    "style",
+                    `unknown style field "${key}". Allowed fields: ${CAPTION_STYLE_FIELDS.join(", ")}`,
+                ),
+            );
+        } else if (
+            (key === "fontScale" || key === "highlightScale") &&
+            !(typeof value === "number" && value > 0)
+        ) {
+            errors.push(
+                issue(index, "style", `${key} must be a positive number`),
+            );
+        } else if (
+            key === "position" ||
+            key === "animation" ||
+            COLOR_FIELDS.includes(key)
+        ) {
+            try {
+                if (key === "position") {
+                    normalizePosition(value);
+                } else if (key === "animation") {
+                    normalizeAnimation(value);
+                } else {
+                    checkColor(value, key);
+                }
+            } catch (error) {
+                errors.push(issue(index, "style", error.message));
+            }
+        }
+    }
+}
+
+// Check the per-word timings of a caption
+function checkWords(words, index, errors) {
+    if (!Array.isArray(words)) {
+        errors.push(issue(index, "words", "words must be an array"));
+        return;
+    }
+
+    words.forEach((word, wordIndex) => {
+        if (!word || typeof word.text !== "string" || !word.text.trim()) {
+            errors.push(issue(index, "words", `word ${wordIndex} has no text`));
+        } else if (!isTime(word.start) || !isTime(word.end)) {
+            errors.push(
+                issue(
+                    index,
+                    "words",
+                    `word ${wordIndex} needs start and end times in seconds`,
+                ),
+            );
+        } else if (word.end < word.start) {
+            errors.push(
+                issue(
+                    index,
+                    "words",
+                    `word ${wordIndex} ends before it starts`,
+                ),
+            );
+        }
+    });
+}
+
+// Check one caption's text and timing
+function checkCaption(caption, index, errors, warnings) {
+    if (!caption || typeof caption !== "object" || Array.isArray(caption)) {
+        errors.push(issue(index, undefined, "must be an object"));
+        return;
+    }
+
+    if (caption.words !== undefined) {
+        checkWords(caption.words, index, errors);
+    }
+    if (caption.text !== undefined && typeof caption.text !== "string") {
+        errors.push(issue(index, "text", "text must be a string"));
+    } else if (
+        caption.words === undefined &&
+        !(caption.text && caption.text.trim())
+    ) {
+        errors.push(issue(index, "text", "text is empty"));
+    }
+
+    const { startTime, endTime } = caption;
+    for (const [field, value] of [
+        ["startTime", startTime],
+        ["endTime", endTime],
+    ]) {
+        if (!isTime(value)) {
+            errors.push(
+                issue(index, field, `${field} must be a number of seconds`),
+            );
+        } else if (value < 0) {
+            errors.push(issue(index, field, `${field} is negative (${value})`));
+        }
+    }
+
+    if (isTime(startTime) && isTime(endTime)) {
+        if (endTime < startTime) {
+            errors.push(
+                issue(
+                    index,
+                    "endTime",
+                    `endTime (${endTime}) is before startTime (${startTime})`,
+                ),
+            );
+        } else if (endTime === startTime) {
+            warnings.push(
+                issue(index, "endTime", "is never shown: it ends as it starts"),
+            );
+        }
+    }
+
+    if (caption.style !== undefined) {
+        checkStyle(caption.style, index, errors);
+    }
+
+    if (
+        caption.speaker !== undefined &&
+        !(typeof caption.speaker === "string" && caption.speaker.trim())
+    ) {
+        errors.push(
+            issue(index, "speaker", "speaker must be a non-empty string"),
+        );
+    }
+}
+
+// Check an array of captions. duration, the video's length in seconds when
+// known, flags captions running past the end. Returns { errors, warnings },
+// lists of { index, field, message }.
+function validateCaptions(captions, { duration } = {}) {
+    const errors = [];
+    const warnings = [];
+
+    if (!Array.isArray(captions)) {
+        errors.push(issue(undefined, "captions", "Captions must be an array"));
+        return { errors, warnings };
+    }
+
+    if (!captions.length) {
+        warnings.push(issue(undefined, "captions", "There are no captions"));
+    }
+
+    captions.forEach((caption, index) =>
+        checkCaption(caption, index, errors, warnings),
+    );
+
+    // Flag captions that start before the latest-ending caption so far ends
+    const timed = captions
+        .map((caption, index) => ({ caption, index }))
+        .filter(
+            ({ caption }) =>
+                caption &&
+                isTime(caption.startTime) &&
+                isTime(caption.endTime) &&
+                caption.endTime > caption.startTime,
+        )
+        .sort((a, b) => a.caption.startTime - b.caption.startTime);
+    let latest;
+    for (const entry of timed) {
+        if (latest && entry.caption.startTime < latest.caption.endTime) {
+            warnings.push(
+                issue(
+                    entry.index,
+                    "startTime",
+                    `overlaps caption ${latest.index}, so both are shown at once`,
+                ),
+            );
+        }
+        if (!latest || entry.caption.endTime > latest.caption.endTime) {
+            latest = entry;
+        }
+    }
+
+    if (duration > 0) {
+        for (const { caption, index } of timed) {
+            if (caption.startTime >= duration) {
+                warnings.push(
+                    issue(
+                        index,
+                        "startTime",
+                        `starts at ${caption.startTime}s, after the video ends (${duration}s), so it is never shown`,
+                    ),
+                );
+            } else if (caption.endTime > duration) {
+                warnings.push(
+                    issue(
+                        index,
+                        "endTime",
+                        `ends at ${caption.endTime}s, after the video ends (${duration}s)`,
+                    ),
+                );
+            }
+        }
+    }
+
+    return { errors, warnings };
+}
+
+module.exports = {
+    CAPTION_STYLE_FIELDS,
+    COLOR_FIELDS,
+    validateCaptions,
+};
@@ -0,0 +1,84 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { validateCaptions } = require("./validation");
+
+const messages = (issues) => issues.map((issue) => issue.message);
+
+test("validateCaptions reports captions that can't be rendered", () => {
+    const { errors } = validateCaptions([
+        { text: " ", startTime: 0, endTime: 1 },
+        { text: "Hi", startTime: "1", endTime: -1 },
+        { text: "Hi", startTime: 2, endTime: 1 },
+        { words: [{ text: "Hi", start: 1 }], startTime: 0, endTime: 1 },
+        "Hi",
+    ]);
+
+    assert.deepEqual(messages(errors), [
+        "Caption 0: text is empty",
+        "Caption 1: startTime must be a number of seconds",
+        "Caption 1: endTime is negative (-1)",
+        "Caption 2: endTime (1) is before startTime (2)",
+        "Caption 3: word 0 needs start and end times in seconds",
+        "Caption 4: must be an object",
+    ]);
+    assert.deepEqual(errors[3], {
+        index: 2,
+        field: "endTime",
+        message: "Caption 2: endTime (1) is before startTime (2)",
+    });
+    assert.deepEqual(messages(validateCaptions({}).errors), [
+        "Captions must be an array",
+    ]);
+});
+
+test("validateCaptions checks style overrides", () => {
+    const caption = (style) => ({
+        text: "Hi",
+        startTime: 0,
+        endTime: 1,
+        style,
+    });
+    const { errors } = validateCaptions([
+        caption({ shadow: 2 }),
+        caption({ fontScale: -1 }),
+        caption({ animation: "spin" }),
+        caption({ fontScale: 2, position: "top" }),
+    ]);
+
+    assert.deepEqual(
+        errors.map((error) => [error.index, error.field]),
+        [
+            [0, "style"],
+            [1, "style"],
+            [2, "style"],
+        ],
+    );
+    assert.match(errors[0].message, /unknown style field "shadow"/);
+    assert.match(errors[1].message, /fontScale must be a positive number/);
+    assert.match(errors[2].message, /spin/);
+});
+
+test("validateCaptions warns about captions that render oddly", () => {
+    const { errors, warnings } = validateCaptions(
+        [
+            { text: "A", startTime: 0, endTime: 4 },
+            { text: "B", startTime: 2, endTime: 3 },
+            { text: "C", startTime: 5, endTime: 5 },
+            { text: "D", startTime: 9, endTime: 12 },
+            { text: "E", startTime: 10, endTime: 11 },
+        ],
+        { duration: 10 },
+    );
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(messages(warnings), [
+        "Caption 2: is never shown: it ends as it starts",
+        "Caption 1: overlaps caption 0, so both are shown at once",
+        "Caption 4: overlaps caption 3, so both are shown at once",
+        "Caption 3: ends at 12s, after the video ends (10s)",
+        "Caption 4: starts at 10s, after the video ends (10s), so it is never shown",
+    ]);
+    assert.deepEqual(messages(validateCaptions([]).warnings), [
+        "There are no captions",
+    ]);
+});